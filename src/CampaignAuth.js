@@ -1,4 +1,15 @@
+// npm
+import chalk from "chalk";
+// acc
 import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+/**
+ * Default IMS host for technical accounts
+ * @constant {string}
+ * @private
+ */
+const DEFAULT_IMS_HOST = "https://ims-na1.adobelogin.com";
 
 /**
  * Campaign CLI class for managing ACC (Campaign Classic) instances.
@@ -15,17 +26,71 @@ class CampaignAuth {
    */
   INSTANCES_KEY = "instances";
 
+  /**
+   * Supported authentication types, with their required and optional fields.
+   * Secret fields are encrypted in the vault, the others are stored as is.
+   * @type {Object<string, {required: string[], optional: string[], secrets: string[]}>}
+   */
+  AUTH_TYPES = {
+    password: {
+      required: ["user", "password"],
+      optional: [],
+      secrets: ["password"],
+    },
+    "session-token": {
+      required: ["sessionToken"],
+      optional: ["securityToken"],
+      secrets: ["sessionToken", "securityToken"],
+    },
+    "bearer-token": {
+      required: ["bearerToken"],
+      optional: [],
+      secrets: ["bearerToken"],
+    },
+    "ims-service-token": {
+      required: ["user", "serviceToken"],
+      optional: [],
+      secrets: ["serviceToken"],
+    },
+    "ims-technical-account": {
+      required: ["clientId", "clientSecret", "scope"],
+      optional: ["imsHost"],
+      secrets: ["clientSecret"],
+    },
+  };
+
+  /**
+   * Default authentication type, also used for instances saved before auth types existed
+   * @type {string}
+   */
+  DEFAULT_AUTH_TYPE = "password";
+
+  /**
+   * Configuration key for storing cached sessions, by alias
+   * @type {string}
+   * @private
+   */
+  SESSIONS_KEY = "sessions";
+
+  /**
+   * Duration a cached session is reused before logging in again, in milliseconds
+   * @type {number}
+   */
+  SESSION_TTL = 60 * 60 * 1000;
+
   /**
    * Creates a new CampaignAuth instance.
    *
    * @param {Object} sdk - ACC JS SDK instance
    * @param {Object} config - Configstore instance for persistent storage
+   * @param {CampaignVault} [vault] - Vault encrypting the credentials. Without it, credentials are stored in plain text.
+   * @param {CampaignLogger} [logger] - Logger of the output, or any object with error, warn, info and debug methods
    * @throws {CampaignError} Throws if SDK or config parameters are missing
    *
    * @example
-   * const auth = new CampaignAuth(sdk, config);
+   * const auth = new CampaignAuth(sdk, config, new CampaignVault(config));
    */
-  constructor(sdk, config) {
+  constructor(sdk, config, vault, logger = new CampaignLogger()) {
     if (!sdk || !config) {
       throw new CampaignError(
         "SDK and Configstore instances are required to initialize CampaignAuth.",
@@ -33,17 +98,35 @@ class CampaignAuth {
     }
     this.sdk = sdk;
     this.config = config;
+    this.vault = vault;
+    this.logger = logger;
     this.instances = config.get(this.INSTANCES_KEY) || {};
     this.instanceIds = Object.keys(this.instances);
-    console.log(
-      `🏠 acc initialized with SDK ${this.sdk.getSDKVersion().version} and authentication from ${this.config.path}`,
-    );
+    this.observers = [];
+    /**
+     * Logins of this process by alias: { alias, host, authType, sessionReused, serverInfo }
+     * @type {Object<string, Object>}
+     */
+    this.logins = {};
+  }
+
+  /**
+   * Registers an SDK observer on every client created from now on, e.g. to trace SOAP calls.
+   *
+   * @param {Object} observer - SDK observer, with onSOAPCall, onSOAPCallSuccess, ... callbacks
+   * @returns {void}
+   *
+   * @example
+   * auth.registerObserver(new CampaignTrace('./traces').observer());
+   */
+  registerObserver(observer) {
+    this.observers.push(observer);
   }
 
   async ip(){
-    console.log(`Fetching IP address...`);
+    this.logger.info(`Fetching IP address...`);
     const ip = await this.sdk.ip();
-    console.log(ip);
+    this.logger.info(ip);
   }
 
   /**
@@ -52,10 +135,20 @@ class CampaignAuth {
    * @param {Object} options - Initialization options
    * @param {string} options.alias - Local alias for this instance (e.g., 'prod', 'staging')
    * @param {string} options.host - URL of ACC root (e.g., 'http://localhost:8080')
-   * @param {string} options.user - Operator username
-   * @param {string} options.password - Operator password
+   * @param {string} [options.authType] - One of AUTH_TYPES, defaults to 'password'
+   * @param {string} [options.user] - Operator username (password, ims-service-token)
+   * @param {string} [options.password] - Operator password (password)
+   * @param {string} [options.sessionToken] - Session token (session-token)
+   * @param {string} [options.securityToken] - Security token (session-token, optional)
+   * @param {string} [options.bearerToken] - IMS bearer token (bearer-token)
+   * @param {string} [options.serviceToken] - IMS service token (ims-service-token)
+   * @param {string} [options.clientId] - IMS client id (ims-technical-account)
+   * @param {string} [options.clientSecret] - IMS client secret (ims-technical-account)
+   * @param {string} [options.scope] - IMS scopes, comma separated (ims-technical-account)
+   * @param {string} [options.imsHost] - IMS host (ims-technical-account, optional)
+   * @param {boolean} [options.protected] - Protect the instance, e.g. production, see assertUnprotected()
    * @returns {Promise<void>} Resolves when instance is initialized and logged in
-   * @throws {CampaignError} Throws if instance with alias already exists
+   * @throws {CampaignError} Throws if instance with alias already exists, or if a field of the auth type is missing
    *
    * @example
    * await auth.init({
@@ -71,9 +164,15 @@ class CampaignAuth {
         `Instance with alias ${options.alias} already exists. Please choose a different alias.`,
       );
     }
-    const { alias, host, user, password } = options;
-    this.config.set(`${this.INSTANCES_KEY}.${alias}`, { host, user, password });
-    console.log(`✅ Instance ${alias} added successfully.`);
+    const { alias, host } = options;
+    const authType = options.authType || this.DEFAULT_AUTH_TYPE;
+    const credentials = this._pickCredentials(authType, options);
+    const instance = await this._storeCredentials(authType, host, credentials);
+    if (options.protected) {
+      instance.protected = true;
+    }
+    this.config.set(`${this.INSTANCES_KEY}.${alias}`, instance);
+    this.logger.info(`✅ Instance ${alias} added successfully.`);
     return this.login(options);
   }
 
@@ -89,45 +188,771 @@ class CampaignAuth {
    * const client = await auth.login({ alias: 'prod' });
    */
   async login(options) {
-    const { host, user, password } =
-      this.config.get(`instances.${options.alias}`) || {};
-    if (!host || !user || !password) {
+    const { alias } = options;
+    const credentials = await this._getCredentials(alias);
+    if (!credentials.host) {
       throw new CampaignError(
-        `Authentication with alias "${options.alias}" doesn't exist. Use campaign auth list to see all configured instances or campaign auth init to add a new instance.`,
+        `Authentication with alias "${alias}" doesn't exist. Use campaign auth list to see all configured instances or campaign auth init to add a new instance.`,
       );
     }
-    console.log(`↔️ Connecting ${user}@${host}...`);
-    const connectionParameters =
-      this.sdk.ConnectionParameters.ofUserAndPassword(host, user, password);
-    const client = await this.sdk.init(connectionParameters);
+    const authType = credentials.authType || this.DEFAULT_AUTH_TYPE;
+    // a cached session is refreshed when the server rejects it
+    const connectionOptions = {
+      refreshClient: async (client) => {
+        this.logger.info(`🔄 Session of ${alias} expired, logging in again...`);
+        this._clearSession(alias);
+        client.reinit(
+          await this._getConnectionParameters(
+            authType,
+            credentials,
+            connectionOptions,
+          ),
+        );
+        await client.logon();
+        await this._saveSession(alias, authType, client);
+        return client;
+      },
+    };
+
+    const session = await this._getSession(alias);
+    if (session) {
+      const client = await this._initClient(
+        this.sdk.ConnectionParameters.ofSessionAndSecurityToken(
+          credentials.host,
+          session.sessionToken,
+          session.securityToken,
+          connectionOptions,
+        ),
+      );
+      await client.logon();
+      const { serverInfo } = session;
+      this.logins[alias] = {
+        alias,
+        host: credentials.host,
+        authType,
+        sessionReused: true,
+        serverInfo,
+      };
+      this.logger.info(
+        `✅ Reusing session of ${serverInfo.instanceName} (${serverInfo.releaseName} build ${serverInfo.buildNumber}).`,
+      );
+      return client;
+    }
+
+    this.logger.info(`↔️ Connecting ${this._getLabel(credentials)}...`);
+    const client = await this._createClient(credentials, connectionOptions);
     await client.logon();
-    const serverInfo = client.getSessionInfo().serverInfo;
+    const serverInfo = await this._saveSession(alias, authType, client);
     if (!serverInfo) {
       throw new CampaignError(`Unable to get server info.`);
     }
-    console.log(
+    const { instanceName, releaseName, buildNumber } = serverInfo;
+    this.logins[alias] = {
+      alias,
+      host: credentials.host,
+      authType,
+      sessionReused: false,
+      serverInfo: { instanceName, releaseName, buildNumber },
+    };
+    this.logger.info(
       `✅ Logged in to ${serverInfo.instanceName} (${serverInfo.releaseName} build ${serverInfo.buildNumber}) successfully.`,
     );
     return client;
   }
 
+  /**
+   * Logs out of one or all instances: closes the cached sessions on the server and clears them.
+   *
+   * @param {Object} [options] - Logout options
+   * @param {string} [options.alias] - Alias to log out of. Defaults to all instances.
+   * @returns {Promise<number>} Number of cleared sessions
+   *
+   * @example
+   * await auth.logout({ alias: 'prod' });
+   */
+  async logout(options = {}) {
+    const aliases = options.alias
+      ? [options.alias]
+      : Object.keys(this.config.get(this.SESSIONS_KEY) || {});
+    let cleared = 0;
+    for (const alias of aliases) {
+      const session = await this._getSession(alias, true);
+      if (!session) {
+        continue;
+      }
+      try {
+        const { host } = this.config.get(`${this.INSTANCES_KEY}.${alias}`) || {};
+        const client = await this._initClient(
+          this.sdk.ConnectionParameters.ofSessionAndSecurityToken(
+            host,
+            session.sessionToken,
+            session.securityToken,
+          ),
+        );
+        await client.logon();
+        await client.logoff();
+      } catch (err) {
+        // the session may already be expired on the server, clearing it locally is enough
+      }
+      this._clearSession(alias);
+      cleared++;
+      this.logger.info(`👋 Logged out of ${alias}.`);
+    }
+    this.logger.info(`✅ ${cleared} session(s) cleared.`);
+    return cleared;
+  }
+
+  /**
+   * Gets the cached session of an alias, decrypting its tokens from the vault if needed.
+   *
+   * @param {string} alias - Alias of the instance
+   * @param {boolean} [includeExpired] - Also return expired sessions
+   * @returns {Promise<Object|null>} { sessionToken, securityToken, serverInfo, expiresAt }, or null if there is no valid session
+   */
+  async _getSession(alias, includeExpired = false) {
+    const session = this.config.get(`${this.SESSIONS_KEY}.${alias}`);
+    if (!session || (!includeExpired && !(session.expiresAt > Date.now()))) {
+      return null;
+    }
+    if (!session.secrets) {
+      return session;
+    }
+    if (!this.vault) {
+      return null;
+    }
+    const { secrets, ...fields } = session;
+    return { ...fields, ...(await this.vault.decrypt(secrets)) };
+  }
+
+  /**
+   * Caches the session of a logged client, its tokens stored like the credentials of the alias:
+   * encrypted when they are in the vault, in plain text otherwise.
+   * Only sessions obtained through xtk:session#Logon are cached, and a caching failure,
+   * e.g. a vault without passphrase, doesn't fail the login.
+   *
+   * @param {string} alias - Alias of the instance
+   * @param {string} authType - One of AUTH_TYPES
+   * @param {Object} client - Logged client
+   * @returns {Promise<Object|null>} Server info of the client
+   */
+  async _saveSession(alias, authType, client) {
+    const serverInfo = await this._getServerInfo(authType, client);
+    if (!serverInfo || authType === "session-token") {
+      return serverInfo;
+    }
+    // the SDK has no public getter for the tokens obtained at logon
+    const tokens = {
+      sessionToken: client._sessionToken,
+      securityToken: client._securityToken,
+    };
+    if (
+      typeof tokens.sessionToken !== "string" ||
+      typeof tokens.securityToken !== "string" ||
+      !tokens.sessionToken ||
+      !tokens.securityToken
+    ) {
+      this.logger.debug(`Session of ${alias} not cached: the client has no session tokens.`);
+      return serverInfo;
+    }
+    const { instanceName, releaseName, buildNumber } = serverInfo;
+    const session = {
+      expiresAt: Date.now() + this.SESSION_TTL,
+      serverInfo: { instanceName, releaseName, buildNumber },
+    };
+    try {
+      const instance = this.config.get(`${this.INSTANCES_KEY}.${alias}`);
+      if (this.vault && instance && instance.secrets) {
+        session.secrets = await this.vault.encrypt(tokens);
+      } else {
+        Object.assign(session, tokens);
+      }
+      this.config.set(`${this.SESSIONS_KEY}.${alias}`, session);
+    } catch (err) {
+      this.logger.warn(`⚠️ Session of ${alias} not cached: ${err.message}`);
+    }
+    return serverInfo;
+  }
+
+  /**
+   * Clears the cached session of an alias.
+   *
+   * @param {string} alias - Alias of the instance
+   * @returns {void}
+   */
+  _clearSession(alias) {
+    this.config.delete(`${this.SESSIONS_KEY}.${alias}`);
+  }
+
+  /**
+   * Tells whether an instance is protected, e.g. production: commands writing to it
+   * continuously, such as instance watch, refuse to run, and deployments, such as
+   * package install, need a confirmation.
+   *
+   * @param {string} alias - Alias of the instance
+   * @returns {boolean} True if the instance was added or updated with protected
+   * @throws {CampaignError} Throws if instance doesn't exist
+   *
+   * @example
+   * if (auth.isProtected('prod')) { ... }
+   */
+  isProtected(alias) {
+    this._assertExists(alias);
+    return Boolean(this.instances[alias].protected);
+  }
+
+  /**
+   * Refuses a command on a protected instance.
+   *
+   * @param {string} alias - Alias of the instance
+   * @param {string} command - Refused command, for the message, e.g. "instance watch"
+   * @returns {void}
+   * @throws {CampaignError} Throws if the instance is protected or doesn't exist
+   *
+   * @example
+   * auth.assertUnprotected('prod', 'instance watch');
+   */
+  assertUnprotected(alias, command) {
+    if (this.isProtected(alias)) {
+      throw new CampaignError(
+        `Instance ${alias} is protected, ${command} is refused. Use a development instance, or run campaign auth update --alias ${alias} --no-protected.`,
+      );
+    }
+  }
+
+  /**
+   * Requires the confirmation of a command on a protected instance: the alias, repeated.
+   *
+   * @param {string} alias - Alias of the instance
+   * @param {string} [confirmation] - Confirmation of the user, e.g. the value of --confirm
+   * @param {string} command - Confirmed command, for the message, e.g. "package install"
+   * @returns {void}
+   * @throws {CampaignError} Throws if the instance is protected and the confirmation isn't its alias, or doesn't exist
+   *
+   * @example
+   * auth.assertConfirmed('prod', options.confirm, 'package install');
+   */
+  assertConfirmed(alias, confirmation, command) {
+    if (this.isProtected(alias) && confirmation !== alias) {
+      throw new CampaignError(
+        `Instance ${alias} is protected, ${command} needs a confirmation. Run it again with --confirm ${alias}.`,
+      );
+    }
+  }
+
+  /**
+   * Removes an instance.
+   *
+   * @param {Object} options - Remove options
+   * @param {string} options.alias - Alias of the instance to remove
+   * @returns {void}
+   * @throws {CampaignError} Throws if instance doesn't exist
+   *
+   * @example
+   * auth.remove({ alias: 'staging' });
+   */
+  remove(options) {
+    this._assertExists(options.alias);
+    this.config.delete(`${this.INSTANCES_KEY}.${options.alias}`);
+    this._clearSession(options.alias);
+    delete this.instances[options.alias];
+    this.instanceIds = Object.keys(this.instances);
+    this.logger.info(`✅ Instance ${options.alias} removed successfully.`);
+  }
+
+  /**
+   * Renames an instance alias, keeping its credentials.
+   *
+   * @param {Object} options - Rename options
+   * @param {string} options.alias - Current alias
+   * @param {string} options.to - New alias
+   * @returns {void}
+   * @throws {CampaignError} Throws if the current alias doesn't exist or the new one already exists
+   *
+   * @example
+   * auth.rename({ alias: 'stage', to: 'staging' });
+   */
+  rename(options) {
+    this._assertExists(options.alias);
+    if (this.instanceIds.includes(options.to)) {
+      throw new CampaignError(
+        `Instance with alias ${options.to} already exists. Please choose a different alias.`,
+      );
+    }
+    const instance = this.instances[options.alias];
+    this.config.set(`${this.INSTANCES_KEY}.${options.to}`, instance);
+    this.config.delete(`${this.INSTANCES_KEY}.${options.alias}`);
+    const session = this.config.get(`${this.SESSIONS_KEY}.${options.alias}`);
+    if (session) {
+      this.config.set(`${this.SESSIONS_KEY}.${options.to}`, session);
+      this._clearSession(options.alias);
+    }
+    this.instances[options.to] = instance;
+    delete this.instances[options.alias];
+    this.instanceIds = Object.keys(this.instances);
+    this.logger.info(
+      `✅ Instance ${options.alias} renamed to ${options.to} successfully.`,
+    );
+  }
+
+  /**
+   * Updates the host and credentials of an instance, e.g. to rotate a password, then logs in.
+   * Fields not provided are kept.
+   *
+   * @param {Object} options - Same options as init(), all optional except alias
+   * @returns {Promise<Object>} Resolves with the authenticated client
+   * @throws {CampaignError} Throws if instance doesn't exist or a field of the auth type is missing
+   *
+   * @example
+   * await auth.update({ alias: 'prod', password: 'new-password' });
+   */
+  async update(options) {
+    this._assertExists(options.alias);
+    const current = await this._getCredentials(options.alias);
+    const authType =
+      options.authType || current.authType || this.DEFAULT_AUTH_TYPE;
+    // switching auth type drops the fields of the previous one
+    const merged =
+      authType === (current.authType || this.DEFAULT_AUTH_TYPE)
+        ? { ...current }
+        : { host: current.host };
+    for (const [field, value] of Object.entries(options)) {
+      if (value !== undefined) {
+        merged[field] = value;
+      }
+    }
+    const credentials = this._pickCredentials(authType, merged);
+    const instance = await this._storeCredentials(
+      authType,
+      merged.host,
+      credentials,
+    );
+    if (options.protected ?? this.instances[options.alias].protected) {
+      instance.protected = true;
+    }
+    this.config.set(`${this.INSTANCES_KEY}.${options.alias}`, instance);
+    this._clearSession(options.alias);
+    this.instances[options.alias] = instance;
+    this.logger.info(`✅ Instance ${options.alias} updated successfully.`);
+    return this.login({ alias: options.alias });
+  }
+
+  /**
+   * Logs in to one or all instances and prints a health table:
+   * reachable (/r/test), login OK, instance name, release, build and login latency.
+   *
+   * @param {Object} [options] - Test options
+   * @param {string} [options.alias] - Alias to test. Defaults to all instances.
+   * @returns {Promise<Object[]>} One row per instance
+   * @throws {CampaignError} Throws if the alias doesn't exist
+   *
+   * @example
+   * const rows = await auth.test();
+   * const healthy = rows.every((row) => row.login);
+   */
+  async test(options = {}) {
+    if (options.alias) {
+      this._assertExists(options.alias);
+    }
+    const aliases = options.alias ? [options.alias] : this.instanceIds;
+    this.logger.info(`🩺 Testing ${aliases.length} instance(s)...`);
+    const rows = [];
+    for (const alias of aliases) {
+      const row = {
+        alias,
+        reachable: false,
+        login: false,
+        instanceName: "",
+        release: "",
+        build: "",
+        latency: null,
+        error: "",
+      };
+      rows.push(row);
+      try {
+        const credentials = await this._getCredentials(alias);
+        const client = await this._createClient(credentials);
+        await client.test();
+        row.reachable = true;
+        const start = Date.now();
+        await client.logon();
+        row.latency = Date.now() - start;
+        row.login = true;
+        const serverInfo = await this._getServerInfo(
+          credentials.authType || this.DEFAULT_AUTH_TYPE,
+          client,
+        );
+        if (serverInfo) {
+          row.instanceName = serverInfo.instanceName;
+          row.release = serverInfo.releaseName;
+          row.build = serverInfo.buildNumber;
+        }
+      } catch (err) {
+        row.error = err.message;
+      }
+    }
+    this._printHealthTable(rows);
+    return rows;
+  }
+
+  /**
+   * Prints the rows of test() as an aligned table.
+   *
+   * @param {Object[]} rows - Rows from test()
+   * @returns {void}
+   */
+  _printHealthTable(rows) {
+    const yesNo = (value) => (value ? "yes" : "no");
+    const columns = [
+      { title: "ALIAS", value: (row) => row.alias },
+      { title: "REACHABLE", value: (row) => yesNo(row.reachable), color: true },
+      { title: "LOGIN", value: (row) => yesNo(row.login), color: true },
+      { title: "INSTANCE", value: (row) => row.instanceName },
+      { title: "RELEASE", value: (row) => row.release },
+      { title: "BUILD", value: (row) => row.build },
+      {
+        title: "LATENCY",
+        value: (row) => (row.latency === null ? "" : `${row.latency} ms`),
+      },
+      { title: "ERROR", value: (row) => row.error },
+    ];
+    const widths = columns.map((column) =>
+      Math.max(
+        column.title.length,
+        ...rows.map((row) => String(column.value(row)).length),
+      ),
+    );
+    this.logger.info(
+      columns
+        .map((column, index) => chalk.bold(column.title.padEnd(widths[index])))
+        .join("  "),
+    );
+    for (const row of rows) {
+      this.logger.info(
+        columns
+          .map((column, index) => {
+            const text = String(column.value(row)).padEnd(widths[index]);
+            if (!column.color) {
+              return text;
+            }
+            return text.startsWith("yes") ? chalk.green(text) : chalk.red(text);
+          })
+          .join("  "),
+      );
+    }
+  }
+
+  /**
+   * Throws if an alias isn't configured.
+   *
+   * @param {string} alias - Alias of the instance
+   * @returns {void}
+   * @throws {CampaignError} Throws if instance doesn't exist
+   */
+  _assertExists(alias) {
+    if (!this.instanceIds.includes(alias)) {
+      throw new CampaignError(
+        `Authentication with alias "${alias}" doesn't exist. Use campaign auth list to see all configured instances or campaign auth init to add a new instance.`,
+      );
+    }
+  }
+
+  /**
+   * Creates a SDK client from credentials, without logging in.
+   *
+   * @param {Object} credentials - Decrypted credentials, from _getCredentials()
+   * @param {Object} [connectionOptions] - SDK connection options, e.g. { refreshClient }
+   * @returns {Promise<Object>} SDK client
+   * @throws {CampaignError} Throws if a field of the auth type is missing
+   */
+  async _createClient(credentials, connectionOptions) {
+    const authType = credentials.authType || this.DEFAULT_AUTH_TYPE;
+    this._pickCredentials(authType, credentials);
+    const connectionParameters = await this._getConnectionParameters(
+      authType,
+      credentials,
+      connectionOptions,
+    );
+    return this._initClient(connectionParameters);
+  }
+
+  /**
+   * Creates an SDK client with the registered observers.
+   *
+   * @param {Object} connectionParameters - SDK connection parameters
+   * @returns {Promise<Object>} SDK client, not logged in yet
+   */
+  async _initClient(connectionParameters) {
+    const client = await this.sdk.init(connectionParameters);
+    for (const observer of this.observers) {
+      client.registerObserver(observer);
+    }
+    return client;
+  }
+
+  /**
+   * Picks the fields of an auth type from options, checking required ones.
+   *
+   * @param {string} authType - One of AUTH_TYPES
+   * @param {Object} options - Options holding the fields
+   * @returns {Object} Fields of the auth type, e.g. { user, password }
+   * @throws {CampaignError} Throws if the auth type is unknown or a required field is missing
+   */
+  _pickCredentials(authType, options) {
+    const type = this.AUTH_TYPES[authType];
+    if (!type) {
+      throw new CampaignError(
+        `Unknown auth type "${authType}". Please use one of ${Object.keys(this.AUTH_TYPES).join(", ")}.`,
+      );
+    }
+    const missing = type.required.filter((field) => !options[field]);
+    if (missing.length) {
+      throw new CampaignError(
+        `Missing ${missing.join(", ")} for auth type "${authType}".`,
+      );
+    }
+    const credentials = {};
+    for (const field of [...type.required, ...type.optional]) {
+      if (options[field]) {
+        credentials[field] = options[field];
+      }
+    }
+    return credentials;
+  }
+
+  /**
+   * Builds the Configstore entry of an instance, encrypting secret fields when a vault is available.
+   *
+   * @param {string} authType - One of AUTH_TYPES
+   * @param {string} host - URL of ACC root
+   * @param {Object} credentials - Fields of the auth type, from _pickCredentials()
+   * @returns {Promise<Object>} Entry to store
+   */
+  async _storeCredentials(authType, host, credentials) {
+    const instance = { authType, host };
+    const secrets = {};
+    for (const [field, value] of Object.entries(credentials)) {
+      if (this.vault && this.AUTH_TYPES[authType].secrets.includes(field)) {
+        secrets[field] = value;
+      } else {
+        instance[field] = value;
+      }
+    }
+    if (this.vault) {
+      instance.secrets = await this.vault.encrypt(secrets);
+    }
+    return instance;
+  }
+
+  /**
+   * Builds the SDK connection parameters of an auth type.
+   * IMS technical accounts first exchange their client credentials for an access token.
+   *
+   * @param {string} authType - One of AUTH_TYPES
+   * @param {Object} credentials - Decrypted credentials, from _getCredentials()
+   * @param {Object} [connectionOptions] - SDK connection options, e.g. { refreshClient }
+   * @returns {Promise<Object>} SDK ConnectionParameters
+   */
+  async _getConnectionParameters(authType, credentials, connectionOptions) {
+    const { ConnectionParameters } = this.sdk;
+    const { host } = credentials;
+    switch (authType) {
+      case "session-token":
+        return credentials.securityToken
+          ? ConnectionParameters.ofSessionAndSecurityToken(
+              host,
+              credentials.sessionToken,
+              credentials.securityToken,
+              connectionOptions,
+            )
+          : ConnectionParameters.ofSessionToken(
+              host,
+              credentials.sessionToken,
+              connectionOptions,
+            );
+      case "bearer-token":
+        return ConnectionParameters.ofBearerToken(
+          host,
+          credentials.bearerToken,
+          connectionOptions,
+        );
+      case "ims-service-token":
+        return ConnectionParameters.ofUserAndServiceToken(
+          host,
+          credentials.user,
+          credentials.serviceToken,
+          connectionOptions,
+        );
+      case "ims-technical-account":
+        return ConnectionParameters.ofBearerToken(
+          host,
+          await this._getImsAccessToken(credentials),
+          connectionOptions,
+        );
+      default:
+        return ConnectionParameters.ofUserAndPassword(
+          host,
+          credentials.user,
+          credentials.password,
+          connectionOptions,
+        );
+    }
+  }
+
+  /**
+   * Gets an IMS access token for a technical account (OAuth server-to-server credentials).
+   *
+   * @param {Object} credentials - { clientId, clientSecret, scope, imsHost }
+   * @returns {Promise<string>} Access token
+   * @throws {CampaignError} Throws if IMS rejects the credentials
+   */
+  async _getImsAccessToken(credentials) {
+    const imsHost = credentials.imsHost || DEFAULT_IMS_HOST;
+    this.logger.info(`🔑 Getting IMS access token from ${imsHost}...`);
+    const response = await fetch(`${imsHost}/ims/token/v3`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "client_credentials",
+        client_id: credentials.clientId,
+        client_secret: credentials.clientSecret,
+        scope: credentials.scope,
+      }),
+    });
+    if (!response.ok) {
+      throw new CampaignError(
+        `IMS authentication failed (${response.status}): ${await response.text()}`,
+      );
+    }
+    const { access_token } = await response.json();
+    return access_token;
+  }
+
+  /**
+   * Gets the server info of a logged client.
+   * Token authentications don't call xtk:session#Logon, so their server info comes from /r/test.
+   *
+   * @param {string} authType - One of AUTH_TYPES
+   * @param {Object} client - Logged client
+   * @returns {Promise<Object|null>} { instanceName, releaseName, buildNumber }
+   */
+  async _getServerInfo(authType, client) {
+    const sessionInfo = client.getSessionInfo();
+    if (
+      (sessionInfo && sessionInfo.serverInfo) ||
+      authType === this.DEFAULT_AUTH_TYPE
+    ) {
+      return sessionInfo && sessionInfo.serverInfo;
+    }
+    const test = await client.test();
+    if (!test || !test.instance) {
+      return null;
+    }
+    return {
+      instanceName: test.instance,
+      releaseName: test.version,
+      buildNumber: test.build,
+    };
+  }
+
+  /**
+   * Gets a short label of an instance for display, e.g. admin@http://localhost:8080
+   *
+   * @param {Object} instance - Instance entry or credentials
+   * @returns {string} Label
+   */
+  _getLabel(instance) {
+    const who = instance.user || instance.clientId;
+    return who ? `${who}@${instance.host}` : instance.host;
+  }
+
+  /**
+   * Gets the credentials of an alias, decrypting them from the vault if needed.
+   *
+   * @param {string} alias - Alias of the instance
+   * @returns {Promise<Object>} { authType, host, ...fields of the auth type }, empty if the alias doesn't exist
+   * @throws {CampaignError} Throws if the credentials are encrypted and no vault is available
+   */
+  async _getCredentials(alias) {
+    const instance = this.config.get(`${this.INSTANCES_KEY}.${alias}`) || {};
+    if (!instance.secrets) {
+      return instance;
+    }
+    if (!this.vault) {
+      throw new CampaignError(
+        `Credentials of alias "${alias}" are encrypted but no vault is available.`,
+      );
+    }
+    const { secrets, ...fields } = instance;
+    return { ...fields, ...(await this.vault.decrypt(secrets)) };
+  }
+
+  /**
+   * Encrypts the plain text credentials of all instances with the vault.
+   *
+   * @returns {Promise<number>} Number of migrated instances
+   * @throws {CampaignError} Throws if no vault is available
+   *
+   * @example
+   * await auth.migrate(); // 2 instance(s) migrated to the vault.
+   */
+  async migrate() {
+    if (!this.vault) {
+      throw new CampaignError(`No vault available to migrate credentials.`);
+    }
+    let migrated = 0;
+    for (const [alias, instance] of Object.entries(this.instances)) {
+      if (instance.secrets) {
+        continue;
+      }
+      const { host, ...fields } = instance;
+      const authType = instance.authType || this.DEFAULT_AUTH_TYPE;
+      const credentials = this._pickCredentials(authType, fields);
+      // the other fields are flags of the alias, e.g. protected
+      const flags = Object.fromEntries(
+        Object.entries(fields).filter(([field]) => !(field in credentials)),
+      );
+      this.config.set(`${this.INSTANCES_KEY}.${alias}`, {
+        ...flags,
+        ...(await this._storeCredentials(authType, host, credentials)),
+      });
+      this.logger.info(`🔒 Instance ${alias} encrypted.`);
+      migrated++;
+    }
+    this.logger.info(`✅ ${migrated} instance(s) migrated to the vault.`);
+    return migrated;
+  }
+
   /**
    * Lists all configured ACC instances.
    *
-   * @returns {void} Outputs list of instances to console
+   * @returns {Object[]} Instances { alias, host, authType, encrypted }, also output to console
    *
    * @example
    * auth.list(); // Lists all configured instances
    */
   list() {
-    console.log(`📚 Reading ${this.instanceIds.length} instance(s)`);
+    this.logger.info(`📚 Reading ${this.instanceIds.length} instance(s)`);
     if(this.instanceIds.length === 0) {
-      console.log(`  No instances configured yet. Use "campaign auth init" to add an instance.`);
-      return;
+      this.logger.info(`  No instances configured yet. Use "campaign auth init" to add an instance.`);
+      return [];
     }
+    const instances = [];
     for (const [key, value] of Object.entries(this.instances)) {
-      console.log(`  - "${key}": ${value.user}@${value.host}`);
+      const authType = value.authType || this.DEFAULT_AUTH_TYPE;
+      const storage = value.secrets ? "🔒" : "⚠️ plain text";
+      this.logger.info(
+        `  - "${key}": ${this._getLabel(value)} (${authType}) ${storage}` +
+          (value.protected ? " 🛡️ protected" : ""),
+      );
+      instances.push({
+        alias: key,
+        host: value.host,
+        authType,
+        encrypted: Boolean(value.secrets),
+        protected: Boolean(value.protected),
+      });
     }
+    return instances;
   }
 }
 
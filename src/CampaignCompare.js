@@ -0,0 +1,318 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import chalk from "chalk";
+import { createTwoFilesPatch } from "diff";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+/**
+ * Campaign Compare class for comparing the configured schemas of two ACC instances.
+ * Fetches all records of both instances in memory and reports entities
+ * only present on one side and entities whose content differs.
+ *
+ * @class CampaignCompare
+ * @classdesc Class for comparing two ACC instances, e.g. staging and production
+ */
+class CampaignCompare {
+  /**
+   * Root attributes which always differ between instances and are ignored
+   * @type {string[]}
+   */
+  VOLATILE_ATTRIBUTES = [
+    "id",
+    "created",
+    "lastModified",
+    "createdBy-id",
+    "modifiedBy-id",
+  ];
+
+  /**
+   * Root child elements which always differ between instances and are ignored
+   * @type {string[]}
+   */
+  VOLATILE_ELEMENTS = ["createdBy", "modifiedBy"];
+
+  /**
+   * Creates a new CampaignCompare.
+   *
+   * @param {Object} from - Reference side
+   * @param {string} from.alias - Alias of the reference instance
+   * @param {CampaignInstance} from.instance - CampaignInstance of the reference instance
+   * @param {Object} to - Compared side
+   * @param {string} to.alias - Alias of the compared instance
+   * @param {CampaignInstance} to.instance - CampaignInstance of the compared instance
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Logger, defaults to a CampaignLogger
+   * @throws {CampaignError} Throws if both sides use the same alias
+   *
+   * @example
+   * const compare = new CampaignCompare(
+   *   { alias: 'staging', instance: stagingInstance },
+   *   { alias: 'prod', instance: prodInstance },
+   *   { logger },
+   * );
+   */
+  constructor(from, to, options = {}) {
+    if (from.alias === to.alias) {
+      throw new CampaignError(
+        `Cannot compare alias "${from.alias}" with itself. Please choose two different aliases.`,
+      );
+    }
+    this.from = from;
+    this.to = to;
+    this.logger = options.logger || new CampaignLogger();
+  }
+
+  /**
+   * Compares all configured schemas of both instances.
+   *
+   * @returns {Promise<Object>} Report with, per schema, the filenames only on each side,
+   * the different entities with their unified diff, and the count of identical ones
+   *
+   * @example
+   * const report = await compare.compare();
+   * compare.print(report);
+   */
+  async compare() {
+    this.logger.info(
+      `⚖️ Comparing ${chalk.bold(this.from.alias)} with ${chalk.bold(this.to.alias)}...`,
+    );
+    const report = {
+      from: this.from.alias,
+      to: this.to.alias,
+      date: new Date().toISOString(),
+      schemas: [],
+      summary: { onlyFrom: 0, onlyTo: 0, different: 0, identical: 0, errors: 0 },
+    };
+
+    for (const schemaId of this.from.instance.schemas) {
+      const schemaReport = {
+        schemaId,
+        onlyFrom: [],
+        onlyTo: [],
+        different: [],
+        identical: 0,
+      };
+      report.schemas.push(schemaReport);
+      let fromData, toData;
+      try {
+        fromData = await this.from.instance._fetchSchema(schemaId);
+        toData = await this.to.instance._fetchSchema(schemaId);
+      } catch (err) {
+        schemaReport.error = err.message;
+        report.summary.errors++;
+        continue;
+      }
+
+      for (const [filename, fromXml] of fromData) {
+        if (!toData.has(filename)) {
+          schemaReport.onlyFrom.push(filename);
+          continue;
+        }
+        const fromNormalized = this._normalize(fromXml);
+        const toNormalized = this._normalize(toData.get(filename));
+        if (fromNormalized === toNormalized) {
+          schemaReport.identical++;
+        } else {
+          schemaReport.different.push({
+            filename,
+            patch: createTwoFilesPatch(
+              `${this.from.alias}${filename}`,
+              `${this.to.alias}${filename}`,
+              fromNormalized,
+              toNormalized,
+            ),
+          });
+        }
+      }
+      for (const filename of toData.keys()) {
+        if (!fromData.has(filename)) {
+          schemaReport.onlyTo.push(filename);
+        }
+      }
+
+      report.summary.onlyFrom += schemaReport.onlyFrom.length;
+      report.summary.onlyTo += schemaReport.onlyTo.length;
+      report.summary.different += schemaReport.different.length;
+      report.summary.identical += schemaReport.identical;
+    }
+    return report;
+  }
+
+  /**
+   * Removes volatile attributes and elements from the root of an entity,
+   * and puts each element on its own line so diffs stay readable.
+   *
+   * @param {string} xml - XML content of the entity
+   * @returns {string} Normalized XML content
+   */
+  _normalize(xml) {
+    const DomUtil = this.from.instance.client.DomUtil;
+    const root = DomUtil.parse(xml).documentElement;
+    for (const attribute of this.VOLATILE_ATTRIBUTES) {
+      root.removeAttribute(attribute);
+    }
+    for (const elementName of this.VOLATILE_ELEMENTS) {
+      let child = DomUtil.getFirstChildElement(root, elementName);
+      while (child) {
+        const next = DomUtil.getNextSiblingElement(child, elementName);
+        root.removeChild(child);
+        child = next;
+      }
+    }
+    return DomUtil.toXMLString(root).replace(/>\s*</g, ">\n<");
+  }
+
+  /**
+   * Prints a human summary of a report, schema by schema.
+   *
+   * @param {Object} report - Report from compare()
+   * @returns {void}
+   */
+  print(report) {
+    for (const schemaReport of report.schemas) {
+      if (schemaReport.error) {
+        this.logger.warn(
+          `- ${chalk.bgCyan(schemaReport.schemaId)}: ⚠️ Error executing query: ${schemaReport.error}.`,
+        );
+        continue;
+      }
+      this.logger.info(
+        `- ${chalk.bgCyan(schemaReport.schemaId)}: ${schemaReport.identical} identical, ${schemaReport.different.length} different, ${schemaReport.onlyFrom.length} only in ${report.from}, ${schemaReport.onlyTo.length} only in ${report.to}.`,
+      );
+      for (const filename of schemaReport.onlyFrom) {
+        this.logger.info(`  ${chalk.red("<")} ${filename}`);
+      }
+      for (const filename of schemaReport.onlyTo) {
+        this.logger.info(`  ${chalk.green(">")} ${filename}`);
+      }
+      for (const { filename } of schemaReport.different) {
+        this.logger.info(`  ${chalk.yellow("≠")} ${filename}`);
+      }
+    }
+    const { summary } = report;
+    this.logger.info(
+      `\n${summary.identical} identical, ${summary.different} different, ${summary.onlyFrom} only in ${report.from}, ${summary.onlyTo} only in ${report.to}, ${summary.errors} error(s).`,
+    );
+  }
+
+  /**
+   * Writes a report to a file, as JSON or as a standalone HTML page depending on the extension.
+   *
+   * @param {Object} report - Report from compare()
+   * @param {string} filepath - Report path ending with .json or .html
+   * @returns {void}
+   * @throws {CampaignError} Throws if the extension is not supported
+   *
+   * @example
+   * compare.writeReport(report, './release-1.2/compare.html');
+   */
+  writeReport(report, filepath) {
+    const extension = path.extname(filepath).toLowerCase();
+    if (extension === ".json") {
+      fs.outputFileSync(filepath, JSON.stringify(report, null, 2));
+    } else if (extension === ".html" || extension === ".htm") {
+      fs.outputFileSync(filepath, this._toHTML(report));
+    } else {
+      throw new CampaignError(
+        `Unsupported report format "${extension}". Please use a .json or .html file.`,
+      );
+    }
+    this.logger.info(`📄 Report written to ${filepath}`);
+  }
+
+  /**
+   * Renders a report as a standalone HTML page.
+   *
+   * @param {Object} report - Report from compare()
+   * @returns {string} HTML page
+   */
+  _toHTML(report) {
+    const escape = (text) =>
+      String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    const rows = report.schemas
+      .map(
+        (schemaReport) =>
+          `<tr><td>${escape(schemaReport.schemaId)}</td>` +
+          (schemaReport.error
+            ? `<td colspan="4" class="error">${escape(schemaReport.error)}</td>`
+            : `<td>${schemaReport.identical}</td><td>${schemaReport.different.length}</td>` +
+              `<td>${schemaReport.onlyFrom.length}</td><td>${schemaReport.onlyTo.length}</td>`) +
+          `</tr>`,
+      )
+      .join("\n");
+    const details = report.schemas
+      .filter(
+        (schemaReport) =>
+          schemaReport.onlyFrom.length ||
+          schemaReport.onlyTo.length ||
+          schemaReport.different.length,
+      )
+      .map(
+        (schemaReport) =>
+          `<h2>${escape(schemaReport.schemaId)}</h2>\n<ul>\n` +
+          schemaReport.onlyFrom
+            .map((filename) => `<li class="from">Only in ${escape(report.from)}: ${escape(filename)}</li>`)
+            .concat(
+              schemaReport.onlyTo.map(
+                (filename) => `<li class="to">Only in ${escape(report.to)}: ${escape(filename)}</li>`,
+              ),
+            )
+            .join("\n") +
+          `\n</ul>\n` +
+          schemaReport.different
+            .map(
+              ({ filename, patch }) =>
+                `<details><summary>${escape(filename)}</summary><pre>${patch
+                  .split("\n")
+                  .map((line) => {
+                    const className = line.startsWith("+")
+                      ? "add"
+                      : line.startsWith("-")
+                        ? "del"
+                        : "";
+                    return className
+                      ? `<span class="${className}">${escape(line)}</span>`
+                      : escape(line);
+                  })
+                  .join("\n")}</pre></details>`,
+            )
+            .join("\n"),
+      )
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(report.from)} vs ${escape(report.to)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; }
+.add { color: #22863a; } .del, .error { color: #b31d28; }
+.from { color: #b31d28; } .to { color: #22863a; }
+</style>
+</head>
+<body>
+<h1>${escape(report.from)} vs ${escape(report.to)}</h1>
+<p>Generated on ${escape(report.date)}: ${report.summary.identical} identical, ${report.summary.different} different, ${report.summary.onlyFrom} only in ${escape(report.from)}, ${report.summary.onlyTo} only in ${escape(report.to)}, ${report.summary.errors} error(s).</p>
+<table>
+<tr><th>Schema</th><th>Identical</th><th>Different</th><th>Only in ${escape(report.from)}</th><th>Only in ${escape(report.to)}</th></tr>
+${rows}
+</table>
+${details}
+</body>
+</html>
+`;
+  }
+}
+
+export default CampaignCompare;
@@ -0,0 +1,349 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Ajv from "ajv";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+/**
+ * JSON Schema of acc.config.json, published with the package
+ * @constant {Object}
+ * @private
+ */
+const CONFIG_SCHEMA = fs.readJsonSync(
+  new URL("../config/acc.config.schema.json", import.meta.url),
+);
+
+/**
+ * Value of extends for the configuration bundled with the package
+ * @constant {string}
+ * @private
+ */
+const BUNDLED_EXTENDS = "campaign-cli";
+
+/**
+ * Path of the configuration bundled with the package
+ * @constant {string}
+ * @private
+ */
+const BUNDLED_CONFIG_PATH = fileURLToPath(
+  new URL("../config/acc.config.json", import.meta.url),
+);
+
+/**
+ * Key for default configuration in campaign config
+ * @constant {string}
+ * @private
+ */
+const CONFIG_DEFAULT_KEY = "default";
+
+/**
+ * Placeholders of a filename pattern, same as CampaignInstance.REGEX_CONFIG_ATTRIBUTE
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_CONFIG_ATTRIBUTE = /{(.+?)}/g;
+
+/**
+ * Valid placeholder content: an attribute of the record, e.g. @name
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_ATTRIBUTE_NAME = /^@[a-zA-Z_][\w-]*$/;
+
+/**
+ * Merges two values recursively: objects key by key, other values replaced by the override.
+ *
+ * @param {*} base - Base value
+ * @param {*} override - Overriding value
+ * @param {boolean} concatArrays - Concatenate arrays instead of replacing them
+ * @returns {*} Merged value, the arguments are left untouched
+ * @private
+ */
+function deepMerge(base, override, concatArrays) {
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return concatArrays ? [...base, ...override] : override;
+  }
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] =
+        key in base ? deepMerge(base[key], value, concatArrays) : value;
+    }
+    return merged;
+  }
+  return override;
+}
+
+/**
+ * @param {*} value - Value to test
+ * @returns {boolean} True for objects which aren't arrays or null
+ * @private
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Campaign Config class for loading and validating acc.config.json.
+ * Errors are reported with their location as a JSON pointer, e.g. /xtk:form/queryDef/where.
+ *
+ * A configuration can build on other ones with `extends`: a path relative to the file,
+ * "campaign-cli" for the bundled config/acc.config.json, or an array of them. Its schema
+ * entries are deep merged into the extended ones, arrays replaced, and null removes an entry.
+ *
+ * @class CampaignConfig
+ * @classdesc Configuration of the pulled schemas
+ */
+class CampaignConfig {
+  /**
+   * Creates a new CampaignConfig.
+   *
+   * @param {Object} data - Parsed configuration, keyed by schema name
+   * @param {string} [filepath] - Path of the configuration file, for messages
+   *
+   * @example
+   * const config = new CampaignConfig({ "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" } });
+   * config.validate(); // []
+   */
+  constructor(data, filepath = "") {
+    this.data = data;
+    this.filepath = filepath;
+  }
+
+  /**
+   * Loads a configuration file, with the configurations it extends.
+   *
+   * @param {string} filepath - Path of acc.config.json
+   * @param {string[]} [extendedBy] - Absolute paths of the files extending this one, to detect cycles
+   * @returns {CampaignConfig} Loaded configuration
+   * @throws {CampaignError} Throws if a file doesn't exist, isn't valid JSON or extends itself
+   *
+   * @example
+   * const config = CampaignConfig.load('./acc.config.json');
+   */
+  static load(filepath, extendedBy = []) {
+    const absolutePath = path.resolve(filepath);
+    if (extendedBy.includes(absolutePath)) {
+      throw new CampaignError(
+        `Circular extends: ${[...extendedBy, absolutePath].join(" → ")}.`,
+      );
+    }
+    if (!fs.existsSync(filepath)) {
+      throw new CampaignError(`Config file ${filepath} doesn't exist.`);
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+    } catch (err) {
+      throw new CampaignError(
+        `Config file ${filepath} isn't valid JSON: ${err.message}`,
+        { cause: err },
+      );
+    }
+    if (!isPlainObject(data)) {
+      return new CampaignConfig(data, filepath);
+    }
+
+    const { extends: parents, ...own } = data;
+    let merged = {};
+    for (const parent of [].concat(parents ?? [])) {
+      const parentPath =
+        parent === BUNDLED_EXTENDS
+          ? BUNDLED_CONFIG_PATH
+          : path.resolve(path.dirname(absolutePath), String(parent));
+      const parentData = CampaignConfig.load(parentPath, [
+        ...extendedBy,
+        absolutePath,
+      ]).data;
+      merged = CampaignConfig._extend(merged, parentData);
+    }
+    return new CampaignConfig(CampaignConfig._extend(merged, own), filepath);
+  }
+
+  /**
+   * Applies a configuration over an extended one: entries are deep merged,
+   * arrays replaced so that conditions can be overridden, and null entries removed.
+   *
+   * @param {Object} base - Extended configuration
+   * @param {Object} override - Extending configuration
+   * @returns {Object} Merged configuration
+   */
+  static _extend(base, override) {
+    const merged = { ...base };
+    for (const [schemaId, schemaConfig] of Object.entries(override)) {
+      if (schemaConfig === null) {
+        delete merged[schemaId];
+      } else {
+        merged[schemaId] = deepMerge(merged[schemaId], schemaConfig, false);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Merges the default entry into a schema entry: objects are deep merged and
+   * arrays concatenated, so that the where conditions of default apply to every schema.
+   *
+   * @param {Object} defaultConfig - Default entry of the configuration
+   * @param {Object} schemaConfig - Schema entry of the configuration
+   * @returns {Object} Schema configuration
+   *
+   * @example
+   * CampaignConfig.mergeDefault(
+   *   { queryDef: { where: { condition: [{ expr: "@builtIn = false" }] } } },
+   *   { filename: "/{@name}.xml", queryDef: { where: { condition: [{ expr: "@isModel = true" }] } } },
+   * ); // { filename, queryDef: { where: { condition: [ both conditions ] } } }
+   */
+  static mergeDefault(defaultConfig, schemaConfig) {
+    return deepMerge(defaultConfig || {}, schemaConfig, true);
+  }
+
+  /**
+   * Validates the structure against the JSON Schema, and the {@attribute} placeholders of filenames.
+   *
+   * @returns {Array<{location: string, message: string}>} Errors, empty if the configuration is valid
+   *
+   * @example
+   * for (const { location, message } of config.validate()) {
+   *   console.log(`${location}: ${message}`);
+   * }
+   */
+  validate() {
+    const ajv = new Ajv({ allErrors: true });
+    const validateSchema = ajv.compile(CONFIG_SCHEMA);
+    if (!validateSchema(this.data)) {
+      return validateSchema.errors.map((error) => ({
+        location: error.instancePath || "/",
+        message: error.params.additionalProperty
+          ? `${error.message}: "${error.params.additionalProperty}"`
+          : error.message,
+      }));
+    }
+
+    const errors = [];
+    for (const [schemaId, ownConfig] of Object.entries(this.data)) {
+      if (schemaId === "$schema" || ownConfig === null) {
+        continue;
+      }
+      // default isn't a schema: its filename is optional, and it isn't merged with itself
+      const isDefault = schemaId === CONFIG_DEFAULT_KEY;
+      const schemaConfig = isDefault
+        ? ownConfig
+        : CampaignConfig.mergeDefault(this.data[CONFIG_DEFAULT_KEY], ownConfig);
+      if (!schemaConfig.filename) {
+        if (isDefault) {
+          continue;
+        }
+        errors.push({
+          location: `/${schemaId}`,
+          message: "must have required property 'filename', or inherit it from default",
+        });
+        continue;
+      }
+      const location = `/${schemaId}/filename`;
+      const attributes = Array.from(
+        schemaConfig.filename.matchAll(REGEX_CONFIG_ATTRIBUTE),
+      ).map((match) => match[1]);
+      for (const attribute of attributes) {
+        if (!REGEX_ATTRIBUTE_NAME.test(attribute)) {
+          errors.push({
+            location,
+            message: `placeholder {${attribute}} must be an attribute, e.g. {@name}`,
+          });
+        }
+      }
+      if (/[{}]/.test(schemaConfig.filename.replace(REGEX_CONFIG_ATTRIBUTE, ""))) {
+        errors.push({ location, message: "unbalanced { or } in filename" });
+      }
+      if (attributes.length === 0) {
+        errors.push({
+          location,
+          message:
+            "must contain at least one {@attribute} placeholder, otherwise all records are written to the same file",
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Verifies the schema names, filename attributes and content elements against a live instance.
+   * The default entry is skipped, as it applies to any schema.
+   *
+   * @param {Object} client - Logged-in ACC client
+   * @returns {Promise<Array<{location: string, message: string}>>} Errors, empty if the configuration matches the instance
+   *
+   * @example
+   * const errors = await config.verify(await auth.login({ alias: 'prod' }));
+   */
+  async verify(client) {
+    const errors = [];
+    for (const [schemaId, ownConfig] of Object.entries(this.data)) {
+      if (
+        schemaId === CONFIG_DEFAULT_KEY ||
+        schemaId === "$schema" ||
+        ownConfig === null
+      ) {
+        continue;
+      }
+      const schemaConfig = CampaignConfig.mergeDefault(
+        this.data[CONFIG_DEFAULT_KEY],
+        ownConfig,
+      );
+      let schema;
+      try {
+        schema = await client.application.getSchema(schemaId);
+      } catch (err) {
+        errors.push({ location: `/${schemaId}`, message: err.message });
+        continue;
+      }
+      if (!schema) {
+        errors.push({
+          location: `/${schemaId}`,
+          message: `schema ${schemaId} doesn't exist on the instance`,
+        });
+        continue;
+      }
+      for (const match of schemaConfig.filename.matchAll(
+        REGEX_CONFIG_ATTRIBUTE,
+      )) {
+        if (!(await schema.root.findNode(match[1]))) {
+          errors.push({
+            location: `/${schemaId}/filename`,
+            message: `attribute ${match[1]} doesn't exist in ${schemaId}`,
+          });
+        }
+      }
+      if (schemaConfig.content && !(await schema.root.findNode(schemaConfig.content))) {
+        errors.push({
+          location: `/${schemaId}/content`,
+          message: `element ${schemaConfig.content} doesn't exist in ${schemaId}`,
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Prints the errors of validate() or verify().
+   *
+   * @param {Array<{location: string, message: string}>} errors - Errors to print
+   * @param {Object} [logger] - Logger, defaults to a CampaignLogger
+   * @returns {void}
+   */
+  print(errors, logger = new CampaignLogger()) {
+    if (errors.length === 0) {
+      logger.info(`✅ ${this.filepath} is valid.`);
+      return;
+    }
+    for (const { location, message } of errors) {
+      logger.error(`❌ ${this.filepath}#${location}: ${message}`);
+    }
+    logger.error(`${errors.length} error(s) in ${this.filepath}.`);
+  }
+}
+
+export default CampaignConfig;
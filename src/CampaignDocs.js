@@ -0,0 +1,592 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import chalk from "chalk";
+// acc
+import CampaignError from "./CampaignError.js";
+
+/**
+ * Schema of the schema definitions documented by CampaignDocs
+ * @constant {string}
+ * @private
+ */
+const SRC_SCHEMA = "xtk:srcSchema";
+
+/**
+ * Formats of the documentation, with the extension of their pages
+ * @constant {Object<string, string>}
+ * @private
+ */
+const EXTENSIONS = { markdown: ".md", html: ".html" };
+
+/**
+ * Campaign Docs class for generating a data dictionary from the xtk:srcSchema files produced by pull():
+ * an index page, and one page per schema with its attributes, links, keys, indexes and enumerations.
+ * Schemas are cross-linked through their links and extended schemas; schemas which aren't part of
+ * the documentation, e.g. built-in schemas such as nms:recipient, are named without link.
+ *
+ * Pages are built as blocks (headings, paragraphs, tables and lists of inline parts) and then
+ * rendered as Markdown or standalone HTML, so that both formats hold the same content.
+ *
+ * @class CampaignDocs
+ * @classdesc Data dictionary of the pulled schemas
+ */
+class CampaignDocs {
+  /**
+   * Supported formats
+   * @type {string[]}
+   */
+  static FORMATS = Object.keys(EXTENSIONS);
+
+  /**
+   * @param {CampaignInstance} instance - CampaignInstance of the config, mapping files to entities
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Logger, defaults to the logger of the instance
+   *
+   * @example
+   * const docs = new CampaignDocs(instance, { logger });
+   * docs.schemas({ path: './dist/prod', out: './docs/schemas', format: 'html' });
+   */
+  constructor(instance, options = {}) {
+    this.instance = instance;
+    this.logger = options.logger || instance.logger;
+  }
+
+  /**
+   * Generates the documentation of the xtk:srcSchema files under a folder.
+   *
+   * @param {Object} options - Generation options
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {string} options.out - Folder of the documentation
+   * @param {string} [options.format="markdown"] - markdown or html
+   * @returns {Object} { path, format, count, schemas: [{ schema, label, file }] }, files relative to the out folder
+   * @throws {CampaignError} Throws if the format isn't supported, or no xtk:srcSchema file is found
+   *
+   * @example
+   * docs.schemas({ path: './dist/prod', out: './docs/schemas' });
+   */
+  schemas(options) {
+    const format = options.format || "markdown";
+    const extension = EXTENSIONS[format];
+    if (!extension) {
+      throw new CampaignError(
+        `Invalid format ${format}, expected one of ${CampaignDocs.FORMATS.join(", ")}.`,
+      );
+    }
+    const rootPath = path.resolve(options.path);
+    const outPath = path.resolve(options.out);
+    const schemas = this._readSchemas(rootPath);
+    if (!schemas.size) {
+      throw new CampaignError(
+        `No ${SRC_SCHEMA} file found in ${rootPath}, pull ${SRC_SCHEMA} first with a filename pattern in the config.`,
+      );
+    }
+
+    this.logger.info(`📚 Documenting ${schemas.size} schema(s) in ${outPath}...`);
+    const render = (title, blocks) =>
+      format === "html" ? renderHTML(title, blocks) : renderMarkdown(blocks);
+    const fileOf = (schemaId) => schemaId.replace(":", "_") + extension;
+    const result = { path: outPath, format, count: schemas.size, schemas: [] };
+    for (const schema of schemas.values()) {
+      const file = fileOf(schema.id);
+      fs.outputFileSync(
+        path.join(outPath, file),
+        render(schema.id, this._schemaPage(schema, schemas, fileOf, "index" + extension)),
+      );
+      result.schemas.push({ schema: schema.id, label: schema.label, file });
+      this.logger.debug(`- ${chalk.bgCyan(schema.id)}: ${chalk.underline(file)}`);
+    }
+    fs.outputFileSync(
+      path.join(outPath, "index" + extension),
+      render("Data schemas", this._indexPage(schemas, fileOf)),
+    );
+    this.logger.info(
+      `✅ ${schemas.size} schema(s) documented in ${chalk.underline(path.join(outPath, "index" + extension))}.`,
+    );
+    return result;
+  }
+
+  /**
+   * Reads and parses the xtk:srcSchema files under a folder, mapped with the config filename pattern.
+   * Files which aren't valid XML are skipped with a warning.
+   *
+   * @param {string} rootPath - Root folder of the pulled files
+   * @returns {Map<string, Object>} Schemas from _parseSchema(), by schema name, sorted by schema name
+   * @private
+   */
+  _readSchemas(rootPath) {
+    const DomUtil = this.instance.client.DomUtil;
+    const schemas = [];
+    const files = fs.existsSync(rootPath) ? this.instance._listFiles(rootPath) : [];
+    for (const filepath of files) {
+      const filename = "/" + path.relative(rootPath, filepath).split(path.sep).join("/");
+      const entity = this.instance._resolveEntity(filename);
+      if (!entity || entity.schemaId !== SRC_SCHEMA) {
+        continue;
+      }
+      try {
+        const element = DomUtil.parse(fs.readFileSync(filepath, "utf8")).documentElement;
+        schemas.push(this._parseSchema(element));
+      } catch (err) {
+        this.logger.warn(`⚠️ ${filename} isn't a valid schema, skipped: ${err.message}`);
+      }
+    }
+    return new Map(
+      schemas.sort((a, b) => a.id.localeCompare(b.id)).map((schema) => [schema.id, schema]),
+    );
+  }
+
+  /**
+   * Parses a schema definition.
+   *
+   * @param {Object} element - XML element of the srcSchema
+   * @returns {Object} { id, namespace, name, label, desc, extendedSchema, sqltable, attributes, links, keys, indexes, enumerations }
+   * @throws {CampaignError} Throws if the element isn't a srcSchema with a namespace and a name
+   * @private
+   */
+  _parseSchema(element) {
+    const DomUtil = this.instance.client.DomUtil;
+    const namespace = element.getAttribute("namespace");
+    const name = element.getAttribute("name");
+    if (element.nodeName !== "srcSchema" || !namespace || !name) {
+      throw new CampaignError(`expected a <srcSchema> with a namespace and a name.`);
+    }
+    const schema = {
+      id: `${namespace}:${name}`,
+      namespace,
+      name,
+      label: element.getAttribute("label") || "",
+      desc: element.getAttribute("desc") || "",
+      extendedSchema: element.getAttribute("extendedSchema") || "",
+      sqltable: "",
+      attributes: [],
+      links: [],
+      keys: [],
+      indexes: [],
+      enumerations: [],
+    };
+
+    const children = (parent, nodeName) => {
+      const result = [];
+      let child = DomUtil.getFirstChildElement(parent, nodeName);
+      while (child) {
+        result.push(child);
+        child = DomUtil.getNextSiblingElement(child, nodeName);
+      }
+      return result;
+    };
+    const fields = (keyElement) =>
+      children(keyElement, "keyfield").map((keyfield) => keyfield.getAttribute("xpath"));
+    const walk = (parent, prefix) => {
+      for (const child of children(parent)) {
+        const childName = child.getAttribute("name");
+        const entry = {
+          xpath: "",
+          label: child.getAttribute("label") || "",
+          desc: child.getAttribute("desc") || "",
+        };
+        switch (child.nodeName) {
+          case "attribute":
+            schema.attributes.push({
+              ...entry,
+              xpath: `${prefix}@${childName}`,
+              type: child.getAttribute("type") || "string",
+              length: child.getAttribute("length") || "",
+              enum: child.getAttribute("enum") || "",
+            });
+            break;
+          case "element":
+            if (child.getAttribute("type") === "link") {
+              schema.links.push({
+                ...entry,
+                xpath: `${prefix}${childName}`,
+                target: child.getAttribute("target") || "",
+                cardinality:
+                  child.getAttribute("unbound") === "true"
+                    ? "1-N"
+                    : child.getAttribute("revCardinality") === "single"
+                      ? "1-1"
+                      : "N-1",
+                revLink: child.getAttribute("revLink") || "",
+              });
+            } else {
+              if (child.hasAttribute("type") || child.hasAttribute("ref")) {
+                schema.attributes.push({
+                  ...entry,
+                  xpath: `${prefix}${childName || child.getAttribute("ref")}`,
+                  type: child.getAttribute("type") || `ref ${child.getAttribute("ref")}`,
+                  length: child.getAttribute("length") || "",
+                  enum: child.getAttribute("enum") || "",
+                });
+              }
+              if (childName) {
+                walk(child, `${prefix}${childName}/`);
+              }
+            }
+            break;
+          case "key":
+            schema.keys.push({
+              name: childName,
+              fields: fields(child),
+              internal: child.getAttribute("internal") === "true",
+            });
+            break;
+          case "dbindex":
+            schema.indexes.push({
+              name: childName,
+              fields: fields(child),
+              unique: child.getAttribute("unique") === "true",
+            });
+            break;
+        }
+      }
+    };
+
+    for (const enumeration of children(element, "enumeration")) {
+      schema.enumerations.push({
+        name: enumeration.getAttribute("name"),
+        label: enumeration.getAttribute("label") || "",
+        basetype: enumeration.getAttribute("basetype") || "string",
+        values: children(enumeration, "value").map((value) => ({
+          name: value.getAttribute("name"),
+          value: value.getAttribute("value") ?? "",
+          label: value.getAttribute("label") || "",
+        })),
+      });
+    }
+    const root = children(element, "element").find(
+      (child) => child.getAttribute("name") === name,
+    );
+    if (root) {
+      schema.label ||= root.getAttribute("label") || "";
+      schema.desc ||= root.getAttribute("desc") || "";
+      schema.sqltable = root.getAttribute("sqltable") || "";
+      if (root.getAttribute("autopk") === "true") {
+        schema.keys.push({ name: "autopk", fields: ["@id"], internal: true });
+      }
+      walk(root, "");
+    }
+    return schema;
+  }
+
+  /**
+   * Builds the page of a schema.
+   *
+   * @param {Object} schema - Schema from _parseSchema()
+   * @param {Map<string, Object>} schemas - All documented schemas, for cross-links
+   * @param {Function} fileOf - Page of a schema name
+   * @param {string} indexFile - Page of the index
+   * @returns {Array<Object>} Blocks of the page
+   * @private
+   */
+  _schemaPage(schema, schemas, fileOf, indexFile) {
+    const ref = (schemaId) =>
+      schemas.has(schemaId)
+        ? { text: schemaId, href: fileOf(schemaId) }
+        : { code: schemaId };
+    const blocks = [
+      { heading: 1, parts: [schema.label ? `${schema.id} (${schema.label})` : schema.id] },
+      { paragraph: [{ text: "All schemas", href: indexFile }] },
+    ];
+    if (schema.desc) {
+      blocks.push({ paragraph: [schema.desc] });
+    }
+    const facts = [];
+    if (schema.extendedSchema) {
+      facts.push([
+        "Extends ",
+        ref(schema.extendedSchema),
+        schemas.has(schema.extendedSchema) ? "" : " (built-in)",
+      ]);
+    }
+    if (schema.sqltable) {
+      facts.push(["SQL table ", { code: schema.sqltable }]);
+    }
+    if (facts.length) {
+      blocks.push({ list: facts });
+    }
+
+    if (schema.attributes.length) {
+      blocks.push({ heading: 2, parts: ["Attributes"] });
+      blocks.push({
+        table: ["XPath", "Type", "Label", "Description"],
+        rows: schema.attributes.map((attribute) => [
+          [{ code: attribute.xpath }],
+          [
+            attribute.type +
+              (attribute.length ? ` (${attribute.length})` : "") +
+              (attribute.enum ? `, enum ${attribute.enum}` : ""),
+          ],
+          [attribute.label],
+          [attribute.desc],
+        ]),
+      });
+    }
+    if (schema.links.length) {
+      blocks.push({ heading: 2, parts: ["Links"] });
+      blocks.push({
+        table: ["XPath", "Target", "Cardinality", "Reverse link", "Label"],
+        rows: schema.links.map((link) => [
+          [{ code: link.xpath }],
+          [ref(link.target)],
+          [link.cardinality],
+          [link.revLink],
+          [link.label],
+        ]),
+      });
+    }
+    if (schema.keys.length) {
+      blocks.push({ heading: 2, parts: ["Keys"] });
+      blocks.push({
+        table: ["Name", "Fields", "Internal"],
+        rows: schema.keys.map((key) => [
+          [key.name],
+          [{ code: key.fields.join(", ") }],
+          [key.internal ? "yes" : "no"],
+        ]),
+      });
+    }
+    if (schema.indexes.length) {
+      blocks.push({ heading: 2, parts: ["Indexes"] });
+      blocks.push({
+        table: ["Name", "Fields", "Unique"],
+        rows: schema.indexes.map((index) => [
+          [index.name],
+          [{ code: index.fields.join(", ") }],
+          [index.unique ? "yes" : "no"],
+        ]),
+      });
+    }
+    if (schema.enumerations.length) {
+      blocks.push({ heading: 2, parts: ["Enumerations"] });
+      for (const enumeration of schema.enumerations) {
+        blocks.push({
+          heading: 3,
+          parts: [
+            `${enumeration.name} (${enumeration.basetype})` +
+              (enumeration.label ? `: ${enumeration.label}` : ""),
+          ],
+        });
+        blocks.push({
+          table: ["Name", "Value", "Label"],
+          rows: enumeration.values.map((value) => [
+            [{ code: value.name }],
+            [value.value],
+            [value.label],
+          ]),
+        });
+      }
+    }
+
+    const references = [];
+    for (const other of schemas.values()) {
+      for (const link of other.links) {
+        if (link.target === schema.id) {
+          references.push([ref(other.id), " ", { code: link.xpath }]);
+        }
+      }
+      if (other.extendedSchema === schema.id) {
+        references.push([ref(other.id), " (extension)"]);
+      }
+    }
+    if (references.length) {
+      blocks.push({ heading: 2, parts: ["Referenced by"] });
+      blocks.push({ list: references });
+    }
+    return blocks;
+  }
+
+  /**
+   * Builds the index page: the documented schemas, and the built-in schemas they extend.
+   *
+   * @param {Map<string, Object>} schemas - All documented schemas
+   * @param {Function} fileOf - Page of a schema name
+   * @returns {Array<Object>} Blocks of the page
+   * @private
+   */
+  _indexPage(schemas, fileOf) {
+    const blocks = [
+      { heading: 1, parts: ["Data schemas"] },
+      {
+        table: ["Schema", "Label", "Extends", "Description"],
+        rows: [...schemas.values()].map((schema) => [
+          [{ text: schema.id, href: fileOf(schema.id) }],
+          [schema.label],
+          schema.extendedSchema
+            ? [
+                schemas.has(schema.extendedSchema)
+                  ? { text: schema.extendedSchema, href: fileOf(schema.extendedSchema) }
+                  : { code: schema.extendedSchema },
+              ]
+            : [],
+          [schema.desc],
+        ]),
+      },
+    ];
+    const extensions = new Map();
+    for (const schema of schemas.values()) {
+      if (schema.extendedSchema && !schemas.has(schema.extendedSchema)) {
+        extensions.set(schema.extendedSchema, [
+          ...(extensions.get(schema.extendedSchema) || []),
+          schema.id,
+        ]);
+      }
+    }
+    if (extensions.size) {
+      blocks.push({ heading: 2, parts: ["Extended built-in schemas"] });
+      blocks.push({
+        table: ["Built-in schema", "Extended by"],
+        rows: [...extensions.keys()].sort().map((builtIn) => [
+          [{ code: builtIn }],
+          extensions
+            .get(builtIn)
+            .flatMap((schemaId, index) => [
+              ...(index ? [", "] : []),
+              { text: schemaId, href: fileOf(schemaId) },
+            ]),
+        ]),
+      });
+    }
+    return blocks;
+  }
+}
+
+/**
+ * Renders inline parts as Markdown.
+ *
+ * @param {Array<string|Object>} parts - Text, { code } or { text, href }
+ * @returns {string} Markdown
+ * @private
+ */
+function markdownInline(parts) {
+  const escape = (text) =>
+    String(text)
+      .replace(/\s*\n\s*/g, " ")
+      .replace(/[\\`*_[\]<>|]/g, "\\$&");
+  return parts
+    .map((part) => {
+      if (typeof part === "string") {
+        return escape(part);
+      }
+      if (part.code !== undefined) {
+        return "`" + String(part.code).replace(/`/g, "'").replace(/\|/g, "\\|") + "`";
+      }
+      return `[${escape(part.text)}](${encodeURI(part.href)})`;
+    })
+    .join("");
+}
+
+/**
+ * Renders blocks as a Markdown page.
+ *
+ * @param {Array<Object>} blocks - { heading, parts }, { paragraph }, { list } or { table, rows }
+ * @returns {string} Markdown
+ * @private
+ */
+function renderMarkdown(blocks) {
+  return (
+    blocks
+      .map((block) => {
+        if (block.heading) {
+          return "#".repeat(block.heading) + " " + markdownInline(block.parts);
+        }
+        if (block.paragraph) {
+          return markdownInline(block.paragraph);
+        }
+        if (block.list) {
+          return block.list.map((item) => `- ${markdownInline(item)}`).join("\n");
+        }
+        const row = (cells) => `| ${cells.join(" | ")} |`;
+        return [
+          row(block.table),
+          row(block.table.map(() => "---")),
+          ...block.rows.map((cells) => row(cells.map(markdownInline))),
+        ].join("\n");
+      })
+      .join("\n\n") + "\n"
+  );
+}
+
+/**
+ * @param {*} text - Text
+ * @returns {string} Text escaped for HTML
+ * @private
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders inline parts as HTML.
+ *
+ * @param {Array<string|Object>} parts - Text, { code } or { text, href }
+ * @returns {string} HTML
+ * @private
+ */
+function htmlInline(parts) {
+  return parts
+    .map((part) => {
+      if (typeof part === "string") {
+        return escapeHTML(part);
+      }
+      if (part.code !== undefined) {
+        return `<code>${escapeHTML(part.code)}</code>`;
+      }
+      return `<a href="${escapeHTML(encodeURI(part.href))}">${escapeHTML(part.text)}</a>`;
+    })
+    .join("");
+}
+
+/**
+ * Renders blocks as a standalone HTML page.
+ *
+ * @param {string} title - Title of the page
+ * @param {Array<Object>} blocks - { heading, parts }, { paragraph }, { list } or { table, rows }
+ * @returns {string} HTML page
+ * @private
+ */
+function renderHTML(title, blocks) {
+  const body = blocks
+    .map((block) => {
+      if (block.heading) {
+        return `<h${block.heading}>${htmlInline(block.parts)}</h${block.heading}>`;
+      }
+      if (block.paragraph) {
+        return `<p>${htmlInline(block.paragraph)}</p>`;
+      }
+      if (block.list) {
+        return `<ul>\n${block.list.map((item) => `<li>${htmlInline(item)}</li>`).join("\n")}\n</ul>`;
+      }
+      return (
+        `<table>\n<tr>${block.table.map((name) => `<th>${escapeHTML(name)}</th>`).join("")}</tr>\n` +
+        block.rows
+          .map((cells) => `<tr>${cells.map((cell) => `<td>${htmlInline(cell)}</td>`).join("")}</tr>`)
+          .join("\n") +
+        `\n</table>`
+      );
+    })
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+code { background: #f6f8fa; padding: 0 4px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export default CampaignDocs;
@@ -0,0 +1,171 @@
+// npm
+import fs from "fs-extra";
+import { execFileSync } from "node:child_process";
+import chalk from "chalk";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+/**
+ * Identity of the commits when git has no user configured, e.g. on a CI runner
+ * @constant {Object<string, string>}
+ * @private
+ */
+const DEFAULT_IDENTITY = {
+  GIT_AUTHOR_NAME: "acc",
+  GIT_AUTHOR_EMAIL: "acc@localhost",
+  GIT_COMMITTER_NAME: "acc",
+  GIT_COMMITTER_EMAIL: "acc@localhost",
+};
+
+/**
+ * Campaign Git class for snapshotting a pull folder as a git commit, so that
+ * `git log` and `git diff` become the audit trail of the instance configuration.
+ * The folder may be a repository of its own, or a subfolder of an existing one:
+ * only the changes below the folder are committed.
+ *
+ * @class CampaignGit
+ * @classdesc Git snapshots of a pull folder
+ */
+class CampaignGit {
+  /**
+   * @param {string} rootPath - Folder of the pulled files
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Logger, defaults to a CampaignLogger
+   *
+   * @example
+   * const git = new CampaignGit('./dist/prod', { logger });
+   * git.commit('Pull prod from acc-prod (8.6.1 build 9678)');
+   */
+  constructor(rootPath, options = {}) {
+    this.rootPath = rootPath;
+    this.logger = options.logger || new CampaignLogger();
+  }
+
+  /**
+   * Builds the commit message of a pull, e.g. "Pull prod from acc-prod (8.6.1 build 9678)",
+   * followed by the saved and removed files of each schema.
+   *
+   * @param {string} alias - Local alias of the instance
+   * @param {Object} [serverInfo] - { instanceName, releaseName, buildNumber } of the login
+   * @param {Object} report - Report of CampaignInstance.pull()
+   * @returns {string} Commit message
+   *
+   * @example
+   * CampaignGit.pullMessage('prod', auth.logins.prod.serverInfo, report);
+   */
+  static pullMessage(alias, serverInfo, report) {
+    const { instanceName, releaseName, buildNumber } = serverInfo || {};
+    const subject = instanceName
+      ? `Pull ${alias} from ${instanceName} (${releaseName} build ${buildNumber})`
+      : `Pull ${alias}`;
+    const lines = report.schemas.map(({ schemaId, count, errors, removed }) => {
+      const details = [`${count} saved`];
+      if (removed?.length) {
+        details.push(`${removed.length} removed`);
+      }
+      if (errors.length) {
+        details.push(`${errors.length} error${errors.length > 1 ? "s" : ""}`);
+      }
+      return `- ${schemaId}: ${details.join(", ")}`;
+    });
+    return [subject, "", ...lines].join("\n");
+  }
+
+  /**
+   * Commits the files of the folder, including deletions. Initialises a repository in the
+   * folder if it isn't inside one yet.
+   *
+   * @param {string} message - Commit message
+   * @returns {string|null} Short hash of the commit, or null if nothing changed
+   * @throws {CampaignError} Throws if git isn't installed or fails
+   *
+   * @example
+   * const hash = git.commit('Pull prod from acc-prod (8.6.1 build 9678)');
+   */
+  commit(message) {
+    fs.mkdirpSync(this.rootPath);
+    if (!this.isRepository()) {
+      this._git(["init"]);
+      this.logger.info(`✨ Initialised git repository in ${this.rootPath}.`);
+    }
+    this._git(["add", "--all", "--", "."]);
+    if (!this._git(["status", "--porcelain", "--", "."])) {
+      this.logger.info(`✅ No changes to commit in ${this.rootPath}.`);
+      return null;
+    }
+    this._git(
+      ["commit", "--quiet", "--message", message, "--", "."],
+      this._hasIdentity() ? {} : DEFAULT_IDENTITY,
+    );
+    const hash = this._git(["rev-parse", "--short", "HEAD"]);
+    this.logger.info(
+      `✅ Committed ${chalk.underline(hash)}: ${message.split("\n")[0]}.`,
+    );
+    return hash;
+  }
+
+  /**
+   * Checks if the folder is inside a git working tree.
+   *
+   * @returns {boolean} True if the folder is inside a repository
+   * @throws {CampaignError} Throws if git isn't installed
+   */
+  isRepository() {
+    try {
+      return this._git(["rev-parse", "--is-inside-work-tree"]) === "true";
+    } catch (err) {
+      if (err.cause?.code === "ENOENT") {
+        throw err;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * @returns {boolean} True if git has a user name and email for commits
+   * @private
+   */
+  _hasIdentity() {
+    try {
+      return Boolean(
+        this._git(["config", "user.name"]) && this._git(["config", "user.email"]),
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Runs git in the folder.
+   *
+   * @param {string[]} args - Arguments of git
+   * @param {Object<string, string>} [env] - Environment variables added to the process ones
+   * @returns {string} Trimmed standard output
+   * @throws {CampaignError} Throws if git isn't installed or exits with an error
+   * @private
+   */
+  _git(args, env = {}) {
+    try {
+      return execFileSync("git", args, {
+        cwd: this.rootPath,
+        env: { ...process.env, ...env },
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+      }).trim();
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        throw new CampaignError(
+          `git isn't installed or isn't in the PATH, it's required by --git.`,
+          { cause: err },
+        );
+      }
+      const details = (err.stderr || err.message).trim();
+      throw new CampaignError(`git ${args.join(" ")} failed: ${details}`, {
+        cause: err,
+      });
+    }
+  }
+}
+
+export default CampaignGit;
@@ -2,8 +2,13 @@
 import fs from "fs-extra";
 import path from "node:path";
 import chalk from "chalk";
+import { createTwoFilesPatch } from "diff";
 // acc
 import CampaignError from "./CampaignError.js";
+import CampaignManifest from "./CampaignManifest.js";
+import CampaignConfig from "./CampaignConfig.js";
+import CampaignLogger from "./CampaignLogger.js";
+import CampaignOutput from "./CampaignOutput.js";
 
 /**
  * Key for default configuration in campaign config
@@ -12,6 +17,140 @@ import CampaignError from "./CampaignError.js";
  */
 const CONFIG_DEFAULT_KEY = "default";
 
+/**
+ * Default number of records fetched per query page, see pageSize in the config
+ * @constant {number}
+ * @private
+ */
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Default number of records fetched per query page by export()
+ * @constant {number}
+ * @private
+ */
+const DEFAULT_EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Formats of the files written by export()
+ * @constant {string[]}
+ * @private
+ */
+const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+/**
+ * Suffix of the state file of an export, next to the exported file until it completes
+ * @constant {string}
+ * @private
+ */
+const EXPORT_STATE_SUFFIX = ".export.json";
+
+/**
+ * Suffix of the metadata sidecar file, next to a record file holding only the content
+ * @constant {string}
+ * @private
+ */
+const METADATA_SUFFIX = ".meta.xml";
+
+/**
+ * Escapes and quotes a string for use in a queryDef expression.
+ * Same as sdk.escapeXtk(), as CampaignInstance only holds the client.
+ *
+ * @param {string} value - Value to escape
+ * @returns {string} Quoted value, e.g. 'Rock \\'n\\' Roll'
+ * @private
+ */
+function escapeXtk(value) {
+  return "'" + String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+}
+
+/**
+ * Splits a list of comma separated expressions, keeping the commas between parentheses or quotes.
+ *
+ * @param {string} list - Expressions, e.g. "@label, Iif(@state = 13, 'yes', 'no')"
+ * @returns {string[]} Trimmed expressions
+ * @private
+ */
+function splitExpressions(list) {
+  const expressions = [];
+  let current = "";
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < list.length; index++) {
+    const char = list[index];
+    if (quote) {
+      if (char === "\\") {
+        current += char + (list[++index] ?? "");
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      expressions.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  expressions.push(current.trim());
+  return expressions.filter(Boolean);
+}
+
+/**
+ * Reads an argument of a SOAP call: "@path" is the content of a file, like curl -d @path.
+ *
+ * @param {string} value - Argument, e.g. "NmsTracking_Pointer" or "@./delivery.xml"
+ * @returns {string} Argument value
+ * @throws {CampaignError} Throws if the file can't be read
+ * @private
+ */
+function readArgument(value) {
+  if (typeof value !== "string" || !value.startsWith("@")) {
+    return value;
+  }
+  try {
+    return fs.readFileSync(value.slice(1), "utf8");
+  } catch (err) {
+    throw new CampaignError(
+      `Cannot read argument file ${value.slice(1)}: ${err.message}`,
+    );
+  }
+}
+
+/**
+ * Gets the value of a selected expression in a record returned as SimpleJson:
+ * attributes are properties, the text of an element is its $ property, e.g. "$data".
+ *
+ * @param {Object} record - Record, e.g. { label: "Newsletter", folder: { label: "Deliveries" } }
+ * @param {string} expr - Selected expression or alias, e.g. "@label", "folder/@label" or "data"
+ * @returns {*} Value, undefined if missing
+ * @private
+ */
+function getJsonValue(record, expr) {
+  const steps = expr.split("/");
+  let value = record;
+  for (const [index, step] of steps.entries()) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    if (step.startsWith("@")) {
+      value = value[step.slice(1)];
+    } else if (index === steps.length - 1 && value[`$${step}`] !== undefined) {
+      value = value[`$${step}`];
+    } else {
+      value = value[step];
+    }
+  }
+  return value;
+}
+
 /**
  * Campaign Instance class for interacting with ACC instances.
  * Handles data checking, pulling, and downloading from ACC schemas.
@@ -22,6 +161,12 @@ const CONFIG_DEFAULT_KEY = "default";
 class CampaignInstance {
   REGEX_CONFIG_ATTRIBUTE = /{(.+?)}/g;
 
+  /**
+   * Suffix of the metadata sidecar file of a record, after its filename
+   * @type {string}
+   */
+  static METADATA_SUFFIX = METADATA_SUFFIX;
+
   /**
    * Creates a new CampaignInstance.
    *
@@ -29,6 +174,9 @@ class CampaignInstance {
    * @param {Object} campaignConfig - Configuration object defining schemas and download options
    * @param {Object} campaignConfig.default - Default configuration for all schemas
    * @param {Object} [campaignConfig.*] - Schema-specific configurations
+   * @param {Object} [options] - Instance options
+   * @param {CampaignLogger} [options.logger] - Logger of the output, or any object with error, warn, info and debug methods
+   * @param {boolean} [options.verbose] - Log the details with the default logger
    *
    * @example
    * const instance = new CampaignInstance(client, {
@@ -39,26 +187,49 @@ class CampaignInstance {
   constructor(client, campaignConfig, options = { verbose: false }) {
     this.client = client;
     this.campaignConfig = campaignConfig;
-    this.verbose = options.verbose;
+    this.logger =
+      options.logger ||
+      new CampaignLogger({ level: options.verbose ? "debug" : "info" });
     /**
-     * Array of schema names to process (excluding default config)
+     * Array of schema names to process (excluding default config and $-prefixed keys such as $schema)
      * @type {string[]}
      */
     this.schemas = Object.keys(this.campaignConfig).filter(
-      (key) => key !== CONFIG_DEFAULT_KEY,
+      (key) => key !== CONFIG_DEFAULT_KEY && !key.startsWith("$"),
     );
+  }
 
-    this.client.registerObserver({
-      onSOAPCall: (soapCall, safeRequestData) => {
-        // this.saveArchiveRequest(soapCall.request.data);
-      },
-      onSOAPCallSuccess: (soapCall, safeResponseData) => {
-        // this.saveArchiveResponse(soapCall.response);
-      },
-      onSOAPCallFailure: (soapCall, error) => {
-        // this.saveArchiveResponse(soapCall.response);
-      },
-    });
+  /**
+   * Gets the configuration of a schema, with the default config deep merged into it,
+   * or the default config for a schema without configuration.
+   *
+   * @param {string} schemaId - Schema name (e.g., 'nms:recipient')
+   * @returns {Object} Schema configuration
+   */
+  _getSchemaConfig(schemaId) {
+    const defaultConfig = this.campaignConfig[CONFIG_DEFAULT_KEY];
+    return this.campaignConfig[schemaId]
+      ? CampaignConfig.mergeDefault(defaultConfig, this.campaignConfig[schemaId])
+      : defaultConfig;
+  }
+
+  /**
+   * Gets the number of records fetched per query page for a schema:
+   * pageSize of the schema config, else of the default config.
+   *
+   * @param {string} schemaId - Schema name
+   * @returns {number} Page size
+   * @throws {CampaignError} Throws if pageSize isn't a positive integer
+   */
+  _getPageSize(schemaId) {
+    const pageSize =
+      this._getSchemaConfig(schemaId).pageSize ?? DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new CampaignError(
+        `Invalid pageSize ${pageSize} for ${schemaId}, expected a positive integer.`,
+      );
+    }
+    return pageSize;
   }
 
   /**
@@ -75,9 +246,7 @@ class CampaignInstance {
    * });
    */
   _getQueryDefForSchema(schema, baseQueryDef) {
-    const config = this.campaignConfig[schema]
-      ? this.campaignConfig[schema]
-      : this.campaignConfig[CONFIG_DEFAULT_KEY];
+    const config = this._getSchemaConfig(schema);
     const configQueryDef = config.queryDef ? config.queryDef : {};
 
     return {
@@ -91,23 +260,21 @@ class CampaignInstance {
    * - xtkQueryDef.create(schema)
    * - adds attributes from the config
    * - calls executeQuery() and parses to get records.length
-   * - if verbose, outputs the list of filenames to be created
+   * - logs the list of filenames to be created at debug level
    *
-   * @param {string} downloadPath - Path where data would be downloaded
-   * @returns {Promise<void>} Resolves when check is complete
-   * @throws {CampaignError} Throws if download path is not empty
+   * @param {Object} options - Check options
+   * @param {string} options.path - Path where data would be downloaded
+   * @returns {Promise<Object[]>} Result of each schema: { schemaId, filename, count, files } or { schemaId, filename, error }
    *
    * @example
-   * await instance.check('/path/to/download');
+   * const results = await instance.check({ path: '/path/to/download' });
    */
   async check(options) {
-    console.log("📡 Checking instance...");
-    // don't deconstruct "path" to avoid confusion with the "path" module
-    const { verbose } = options;
+    this.logger.info("📡 Checking instance...");
+    const results = [];
 
-    for (const [schemaId, schemaConfig] of Object.entries(
-      this.campaignConfig,
-    )) {
+    for (const schemaId of this.schemas) {
+      const schemaConfig = this._getSchemaConfig(schemaId);
       const baseQueryDef = {
         schema: schemaId,
         operation: "select",
@@ -121,55 +288,446 @@ class CampaignInstance {
       // API call
       const query = this.client.NLWS.xtkQueryDef.create(queryDef);
       // parsing
-      let message = "";
+      const result = { schemaId, filename: schemaConfig.filename };
       try {
         const data = await query.executeQuery();
         const firstKey = Object.keys(data)[0];
         const records = data[firstKey] || [];
-        message = `${records.length} found (${chalk.bgCyan(schemaId)}).`;
-        if (verbose) {
-          message +=
-            "\n" +
-            records
-              .map((record) => {
-                const filepath = this._computeFilename(
-                  schemaConfig.filename,
-                  configAttributes,
-                  record,
-                );
-                const filenameOnly = path.basename(filepath);
-                return `${chalk.underline(filenameOnly)}`;
-              })
-              .join(" ");
-        }
+        result.count = records.length;
+        result.files = records.map((record) =>
+          this._computeFilename(
+            schemaConfig.filename,
+            configAttributes,
+            record,
+          ),
+        );
+        this.logger.info(
+          `- ${schemaConfig.filename}: ${records.length} found (${chalk.bgCyan(schemaId)}).`,
+        );
+        this.logger.debug(
+          result.files
+            .map((filepath) => `${chalk.underline(path.basename(filepath))}`)
+            .join(" "),
+        );
       } catch (err) {
-        message = `⚠️ Error executing query: ${err.message}.`;
-      } finally {
-        console.log(`- ${schemaConfig.filename}: ` + message + "\n");
+        result.error = err.message;
+        this.logger.warn(
+          `- ${schemaConfig.filename}: ⚠️ Error executing query: ${err.message}.`,
+        );
       }
+      results.push(result);
     }
 
-    console.log(`📂 Will be downloaded to ${options.path}`);
+    this.logger.info(`📂 Will be downloaded to ${options.path}`);
+    return results;
+  }
 
-    // if (!this.isFolderEmpty(downloadPath)) {
-    //   throw new CampaignError(
-    //     `Directory already exists and is not empty. Please choose an empty directory or a different path.`,
-    //   );
-    // }
+  /**
+   * Runs an ad-hoc query, e.g. to find the workflows in error or count the recipients of a folder.
+   * The query is built from a queryDef, e.g. read from a JSON file, and the options override it.
+   * Select and order by expressions are comma separated; commas between parentheses or quotes are kept.
+   *
+   * @param {Object} options - Query options
+   * @param {Object} [options.queryDef] - Base queryDef, in the same JSON format as the queryDef of the config
+   * @param {string} [options.schema] - Schema name, e.g. xtk:workflow
+   * @param {string} [options.select] - Selected expressions, e.g. "@internalName, @label, folder/@label"
+   * @param {string} [options.where] - Where expression, e.g. "@state = 13"
+   * @param {string} [options.orderBy] - Sort expressions, each optionally followed by asc or desc, e.g. "@created desc"
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {boolean} [options.count] - Count the records instead of selecting them
+   * @returns {Promise<Object>} { columns, records }, records as flat objects keyed by column, e.g. { "@label": "..." }
+   * @throws {CampaignError} Throws if the schema or the selected expressions are missing, or the limit is invalid
+   *
+   * @example
+   * const { columns, records } = await instance.query({
+   *   schema: 'xtk:workflow',
+   *   select: '@internalName, @label',
+   *   where: "@failed = 1",
+   *   orderBy: '@lastModified desc',
+   *   limit: 20,
+   * });
+   */
+  async query(options) {
+    const queryDef = this._buildQueryDef(options);
+    if (queryDef.operation === "count") {
+      delete queryDef.select;
+      const data = await this.client.NLWS.xtkQueryDef
+        .create(queryDef)
+        .executeQuery();
+      return { columns: ["count"], records: [{ count: Number(data.count) }] };
+    }
+    const columns = this._getQueryColumns(queryDef);
+    const data = await this.client.NLWS.xtkQueryDef
+      .create(queryDef)
+      .executeQuery();
+    const records = this._flattenRecords(queryDef, columns, data);
+    this.logger.debug(`${records.length} records of ${queryDef.schema}.`);
+    return { columns, records };
+  }
+
+  /**
+   * Builds the queryDef of query() and export() from a base queryDef and the command line options.
+   *
+   * @param {Object} options - Query options, see query()
+   * @returns {Object} queryDef, a copy of options.queryDef
+   * @throws {CampaignError} Throws if the schema is missing or the limit is invalid
+   */
+  _buildQueryDef(options) {
+    const queryDef = structuredClone(options.queryDef || {});
+    if (options.schema) {
+      queryDef.schema = options.schema;
+    }
+    if (!queryDef.schema) {
+      throw new CampaignError(
+        "Missing schema, use --schema or a queryDef with a schema.",
+      );
+    }
+    queryDef.operation = options.count ? "count" : queryDef.operation || "select";
+    if (options.select) {
+      queryDef.select = {
+        node: splitExpressions(options.select).map((expr) => ({ expr })),
+      };
+    }
+    if (options.where) {
+      queryDef.where = { condition: [{ expr: options.where }] };
+    }
+    if (options.orderBy) {
+      queryDef.orderBy = {
+        node: splitExpressions(options.orderBy).map((item) => {
+          const [, expr, direction] = item.match(
+            /^(.*?)(?:\s+(asc|desc))?$/i,
+          );
+          return direction && direction.toLowerCase() === "desc"
+            ? { expr, sortDesc: true }
+            : { expr };
+        }),
+      };
+    }
+    if (options.limit !== undefined) {
+      const limit = Number(options.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new CampaignError(
+          `Invalid limit ${options.limit}, expected a positive integer.`,
+        );
+      }
+      queryDef.lineCount = limit;
+    }
+    return queryDef;
+  }
+
+  /**
+   * Gets the columns of a queryDef: the alias, else the expression of each selected node.
+   *
+   * @param {Object} queryDef - queryDef
+   * @returns {string[]} Columns, e.g. ['@internalName', 'folder/@label']
+   * @throws {CampaignError} Throws if nothing is selected
+   */
+  _getQueryColumns(queryDef) {
+    const nodes = [].concat((queryDef.select && queryDef.select.node) || []);
+    if (!nodes.length) {
+      throw new CampaignError(
+        "Missing selected expressions, use --select or a queryDef with a select.",
+      );
+    }
+    return nodes.map((node) => node.alias || node.expr);
+  }
+
+  /**
+   * Flattens the result of a query into records keyed by column.
+   *
+   * @param {Object} queryDef - queryDef of the query
+   * @param {string[]} columns - Columns of the queryDef
+   * @param {Object} data - Result of executeQuery(), as SimpleJson
+   * @returns {Object[]} Records, e.g. [{ '@internalName': 'WKF1', 'folder/@label': 'Workflows' }]
+   */
+  _flattenRecords(queryDef, columns, data) {
+    // get returns the record, select returns { <name>: [records] }
+    const rows =
+      queryDef.operation === "select"
+        ? data[Object.keys(data)[0]] || []
+        : [data];
+    return rows.map((row) =>
+      Object.fromEntries(
+        columns.map((column) => [column, getJsonValue(row, column)]),
+      ),
+    );
+  }
+
+
+  /**
+   * Exports the records of a data schema, e.g. nms:recipient, to a single CSV, JSON or NDJSON file.
+   * Records are fetched page by page and appended to the file, so that large tables don't fit in memory.
+   * After each page, the progress is saved in a state file next to the exported one (file.csv.export.json),
+   * removed once the export completes. With resume, an interrupted export of the same query continues
+   * after the last complete page. Sort the records with orderBy, so that the pages are stable.
+   *
+   * @param {string} filepath - Path of the exported file
+   * @param {Object} options - Query options, see query(), and export options
+   * @param {string} [options.format=csv] - csv, json or ndjson
+   * @param {string} [options.delimiter=","] - Delimiter of the CSV values, e.g. ";" or "\t"
+   * @param {string} [options.encoding=utf8] - Encoding of the file, e.g. utf8, utf16le or latin1
+   * @param {number} [options.pageSize=1000] - Number of records fetched per query
+   * @param {boolean} [options.resume] - Continue an interrupted export of the same query
+   * @returns {Promise<Object>} Report { path, schema, format, count, resumed }
+   * @throws {CampaignError} Throws if an option is invalid, the state file belongs to another query or its file is missing, or a query fails
+   *
+   * @example
+   * await instance.export('./recipients.csv', {
+   *   schema: 'nms:recipient',
+   *   select: '@id, @email, @firstName',
+   *   orderBy: '@id',
+   *   delimiter: ';',
+   *   resume: true,
+   * });
+   */
+  async export(filepath, options = {}) {
+    const format = options.format || "csv";
+    const encoding = options.encoding || "utf8";
+    const delimiter = options.delimiter ?? ",";
+    const pageSize = Number(options.pageSize ?? DEFAULT_EXPORT_PAGE_SIZE);
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new CampaignError(
+        `Invalid format ${format}, expected one of ${EXPORT_FORMATS.join(", ")}.`,
+      );
+    }
+    if (!Buffer.isEncoding(encoding)) {
+      throw new CampaignError(`Invalid encoding ${encoding}.`);
+    }
+    if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new CampaignError(
+        `Invalid delimiter ${JSON.stringify(delimiter)}, expected a single character other than a quote or a new line.`,
+      );
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new CampaignError(
+        `Invalid page size ${options.pageSize}, expected a positive integer.`,
+      );
+    }
+    const queryDef = this._buildQueryDef({ ...options, count: false });
+    queryDef.operation = "select";
+    const limit = queryDef.lineCount;
+    delete queryDef.lineCount;
+    const columns = this._getQueryColumns(queryDef);
+
+    const statePath = filepath + EXPORT_STATE_SUFFIX;
+    const fingerprint = CampaignManifest.hash(
+      JSON.stringify({ queryDef, limit, format, delimiter, encoding }),
+    );
+    const write = (text) =>
+      fs.appendFileSync(filepath, Buffer.from(text, encoding));
+    let state = { fingerprint, count: 0, bytes: 0 };
+    const resumed = Boolean(options.resume && fs.existsSync(statePath));
+    if (resumed) {
+      state = fs.readJsonSync(statePath);
+      if (state.fingerprint !== fingerprint) {
+        throw new CampaignError(
+          `${statePath} belongs to another export, run it without --resume to start over.`,
+        );
+      }
+      if (!fs.existsSync(filepath) || fs.statSync(filepath).size < state.bytes) {
+        throw new CampaignError(
+          `${filepath} is missing or shorter than its export state, run it without --resume to start over.`,
+        );
+      }
+      // drop the records of a page interrupted while being written
+      fs.truncateSync(filepath, state.bytes);
+      this.logger.info(
+        `⏯️ Resuming the export of ${chalk.bgCyan(queryDef.schema)} after ${state.count} records.`,
+      );
+    } else {
+      fs.outputFileSync(filepath, "");
+      if (format === "csv") {
+        write(CampaignOutput.csvLine(columns, delimiter));
+      } else if (format === "json") {
+        write("[");
+      }
+    }
+
+    let records = [];
+    let lineCount;
+    do {
+      lineCount = limit ? Math.min(pageSize, limit - state.count) : pageSize;
+      if (lineCount < 1) {
+        break;
+      }
+      try {
+        const data = await this.client.NLWS.xtkQueryDef
+          .create({ ...queryDef, startLine: state.count, lineCount })
+          .executeQuery();
+        records = this._flattenRecords(queryDef, columns, data);
+      } catch (err) {
+        throw new CampaignError(
+          `Export interrupted after ${state.count} records: ${err.message}. Run the same command with --resume to continue.`,
+        );
+      }
+      write(
+        records
+          .map((record, index) => {
+            switch (format) {
+              case "csv":
+                return CampaignOutput.csvLine(
+                  columns.map((column) => record[column]),
+                  delimiter,
+                );
+              case "json":
+                return (
+                  (state.count + index ? ",\n  " : "\n  ") +
+                  JSON.stringify(record)
+                );
+              default:
+                return JSON.stringify(record) + "\n";
+            }
+          })
+          .join(""),
+      );
+      this.logger.info(
+        `- Schema ${chalk.bgCyan(queryDef.schema)} lines ${state.count + 1} to ${state.count + lineCount}: => ${records.length} exported.`,
+      );
+      state.count += records.length;
+      state.bytes = fs.statSync(filepath).size;
+      fs.writeJsonSync(statePath, state);
+    } while (records.length === lineCount);
+
+    if (format === "json") {
+      write(state.count ? "\n]\n" : "]\n");
+    }
+    fs.removeSync(statePath);
+    this.logger.info(`✅ ${state.count} records exported to ${filepath}.`);
+    return {
+      path: filepath,
+      schema: queryDef.schema,
+      format,
+      count: state.count,
+      resumed,
+    };
+  }
+
+  /**
+   * Calls a SOAP method of any schema, e.g. xtk:session#GetOption, through client.NLWS.
+   * Static methods are called on the schema, non-static ones on an entity.
+   * Arguments are strings, converted by the SDK to the type of each parameter; "@path" reads
+   * the argument from a file, and arguments of DOMElement or DOMDocument parameters are parsed as XML.
+   *
+   * @param {string} schemaId - Schema of the method, e.g. xtk:session
+   * @param {string} methodName - Method name, e.g. GetOption
+   * @param {Object} [options] - Call options
+   * @param {string[]} [options.args] - Input parameters, in order
+   * @param {string} [options.entity] - XML of the entity of a non-static method, or "@path" of an XML file
+   * @returns {Promise<Object>} Output parameters by name, plus the entity after a non-static call;
+   *   XML values are DOM elements
+   * @throws {CampaignError} Throws if the schema name, a file or an XML argument is invalid, or the call fails
+   *
+   * @example
+   * const { value } = await instance.call('xtk:session', 'GetOption', { args: ['NmsTracking_Pointer'] });
+   * await instance.call('xtk:workflow', 'Start', { entity: '@./workflow.xml' });
+   */
+  async call(schemaId, methodName, options = {}) {
+    if (!/^\w+:\w+$/.test(schemaId)) {
+      throw new CampaignError(
+        `Invalid schema ${schemaId}, expected a name such as xtk:session.`,
+      );
+    }
+    const DomUtil = this.client.DomUtil;
+    const parseXml = (value, name) => {
+      try {
+        return DomUtil.parse(value).documentElement;
+      } catch (err) {
+        throw new CampaignError(`Invalid XML for ${name}: ${err.message}`);
+      }
+    };
+    const args = (options.args || []).map(readArgument);
+    const outputs = [];
+    // the SDK calls the hook with the method definition and sends the parameters it returns
+    const hook = (method) => {
+      const params = DomUtil.getFirstChildElement(method, "parameters");
+      let param = DomUtil.getFirstChildElement(params, "param");
+      let index = 0;
+      while (param) {
+        const inout = param.getAttribute("inout");
+        const name = param.getAttribute("name");
+        if (!inout || inout === "in" || inout === "inout") {
+          if (
+            ["DOMElement", "DOMDocument"].includes(param.getAttribute("type")) &&
+            typeof args[index] === "string"
+          ) {
+            args[index] = parseXml(args[index], `parameter ${name}`);
+          }
+          index++;
+        }
+        if (inout === "out" || inout === "inout") {
+          outputs.push(name);
+        }
+        param = DomUtil.getNextSiblingElement(param, "param");
+      }
+      return args.length ? args : undefined;
+    };
+
+    // xtk:session => xtkSession
+    const namespace = schemaId.replace(/:(.)/, (match, char) =>
+      char.toUpperCase(),
+    );
+    const schema = this.client.NLWS.xml[namespace];
+    const target = options.entity
+      ? schema.create(parseXml(readArgument(options.entity), "the entity"))
+      : schema;
+    let value;
+    try {
+      value = await target[methodName](hook);
+    } catch (err) {
+      if (err instanceof CampaignError) {
+        throw err;
+      }
+      // SDK exceptions, e.g. unknown method or SOAP fault
+      throw new CampaignError(`${schemaId}#${methodName} failed: ${err.message}`);
+    }
+    this.logger.debug(
+      `${schemaId}#${methodName} returned ${outputs.length} value(s).`,
+    );
+
+    // the SDK returns the value of a single output parameter, an array for several
+    const values = outputs.length > 1 ? value : [value];
+    const result = Object.fromEntries(
+      outputs.map((name, index) => [name, values[index]]),
+    );
+    if (options.entity) {
+      result.entity = target.entity;
+    }
+    return result;
   }
 
   /**
    * Pulls data from all schemas in the ACC instance.
-   * Implements pagination to handle large datasets.
+   * Implements pagination to handle large datasets, and records each file in the manifest.
+   * Pages are downloaded by a pool of workers: the records of each schema are counted first, then
+   * all its pages are queued, so that pages of a schema and several schemas run in parallel with a
+   * concurrency above 1. Without count, e.g. if the count query fails, pages are queued one after the other.
+   * In incremental mode, only fetches the records modified since the most recent
+   * @lastModified of the manifest, for each schema. Schemas without any recorded
+   * @lastModified are fully pulled.
+   * With prune, the local files recorded in the manifest by the previous pulls that the full pull
+   * of their schema didn't write are removed, i.e. entities deleted on the server, unless a
+   * query of this schema failed. Without prune, they are kept and marked removed in the manifest
+   * until a pull with prune. Files created locally, never pulled, are kept.
    *
    * @param {string} downloadPath - Path where data will be downloaded
-   * @returns {Promise<void>} Resolves when pull operation is complete
+   * @param {Object} [options] - Pull options
+   * @param {boolean} [options.incremental] - Only fetch records modified since the last pull
+   * @param {number} [options.concurrency=1] - Maximum number of queries running in parallel
+   * @param {boolean} [options.prune] - Remove the files of entities deleted on the server
+   * @returns {Promise<Object>} Report { path, schemas: [{ schemaId, count, files, errors, removed }] }, files relative to downloadPath
+   * @throws {CampaignError} Throws if concurrency isn't a positive integer
    *
    * @example
-   * await instance.pull('/path/to/download');
+   * await instance.pull('/path/to/download', { incremental: true, concurrency: 4 });
    */
-  async pull(downloadPath) {
-    console.log(`✨ Pulling instance to ${downloadPath}...`);
+  async pull(downloadPath, options = {}) {
+    const concurrency = options.concurrency ?? 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CampaignError(
+        `Invalid concurrency ${concurrency}, expected a positive integer.`,
+      );
+    }
+    this.logger.info(`✨ Pulling instance to ${downloadPath}...`);
     if (!fs.existsSync(downloadPath)) {
       fs.mkdirSync(downloadPath, { recursive: true });
     }
@@ -180,22 +738,128 @@ class CampaignInstance {
       //   );
     }
 
-    for (const [schemaId, schemaConfig] of Object.entries(
-      this.campaignConfig,
-    )) {
-      console.log(`- Schema ${chalk.bgCyan(schemaId)}`);
-
-      const lineCount = 10;
-      let startLine = 1;
-      let recordsLength = 0;
-      do {
-        console.log(
-          `  Downloading lines ${startLine} to ${startLine + lineCount - 1}...`,
+    const manifest = new CampaignManifest(downloadPath);
+    // files of the previous pulls by schema fully pulled, pruned if the full pull doesn't write them
+    const previousFiles = new Map();
+    // schemas to count, then pages to download
+    const schemas = [];
+    const reports = {};
+    for (const schemaId of this.schemas) {
+      reports[schemaId] = { schemaId, count: 0, files: [], errors: [], removed: [] };
+      const conditions = [];
+      const lastModified = options.incremental
+        ? manifest.getLastModified(schemaId)
+        : null;
+      if (lastModified) {
+        this.logger.info(
+          `- Schema ${chalk.bgCyan(schemaId)}: records modified after ${lastModified} only.`,
         );
-        recordsLength = await this.download(schemaId, downloadPath, startLine);
-        startLine += lineCount;
-      } while (recordsLength >= lineCount);
+        conditions.push({ expr: `@lastModified > #${lastModified}#` });
+      } else {
+        // full pull: entities deleted on the server must leave the manifest
+        previousFiles.set(schemaId, manifest.removeSchema(schemaId));
+      }
+      schemas.push({ schemaId, pageSize: this._getPageSize(schemaId), conditions });
     }
+
+    const pages = new Array(schemas.length);
+    let nextSchema = 0;
+    const counter = async () => {
+      while (nextSchema < schemas.length) {
+        const index = nextSchema++;
+        pages[index] = await this._getPages(schemas[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, counter));
+
+    const queue = pages.flat();
+    const worker = async () => {
+      while (queue.length) {
+        const page = queue.shift();
+        const recordsLength = await this.download(
+          page.schemaId,
+          downloadPath,
+          page.startLine,
+          { conditions: page.conditions, manifest, report: reports[page.schemaId] },
+        );
+        if (page.last && recordsLength >= page.pageSize) {
+          // records created since the count, or no count
+          queue.unshift({ ...page, startLine: page.startLine + page.pageSize });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    this._prune(downloadPath, manifest, reports, previousFiles, Boolean(options.prune));
+    manifest.save();
+    return { path: downloadPath, schemas: Object.values(reports) };
+  }
+
+  /**
+   * Lists the pages of a schema to download, from the count of its records.
+   *
+   * @param {Object} schema - { schemaId, pageSize, conditions } of the schema to pull
+   * @returns {Promise<Object[]>} Pages { ...schema, startLine, last }, at least one; only the first one if the count fails
+   * @private
+   */
+  async _getPages(schema) {
+    let count;
+    try {
+      count = await this._countRecords(schema.schemaId, schema.conditions);
+    } catch (err) {
+      this.logger.debug(
+        `- Schema ${chalk.bgCyan(schema.schemaId)}: count failed (${err.message}), pages downloaded one after the other.`,
+      );
+      return [{ ...schema, startLine: 0, last: true }];
+    }
+    const length = Math.max(1, Math.ceil(count / schema.pageSize));
+    return Array.from({ length }, (_, index) => ({
+      ...schema,
+      startLine: index * schema.pageSize,
+      last: index === length - 1,
+    }));
+  }
+
+  /**
+   * Counts the records of a schema pulled with the config queryDef.
+   *
+   * @param {string} schemaId - Schema name to count
+   * @param {Object[]} [conditions] - Where conditions added to the config ones
+   * @returns {Promise<number>} Number of records
+   * @throws {CampaignError} Throws if the query doesn't return a count
+   * @private
+   */
+  async _countRecords(schemaId, conditions = []) {
+    const queryDef = this._addConditions(
+      this._getQueryDefForSchema(schemaId, { schema: schemaId, operation: "count" }),
+      conditions,
+    );
+    delete queryDef.select;
+    delete queryDef.orderBy;
+    const data = await this.client.NLWS.xtkQueryDef.create(queryDef).executeQuery();
+    const count = Number(data && data.count);
+    if (!Number.isInteger(count)) {
+      throw new CampaignError(`No count returned for ${schemaId}.`);
+    }
+    return count;
+  }
+
+  /**
+   * Adds where conditions to a queryDef, after its own conditions.
+   *
+   * @param {Object} queryDef - Query definition, modified
+   * @param {Object[]} conditions - Where conditions, e.g. [{ expr: "@lastModified > #2024-01-01#" }]
+   * @returns {Object} The same queryDef
+   * @private
+   */
+  _addConditions(queryDef, conditions) {
+    if (conditions.length) {
+      const where = queryDef.where || {};
+      queryDef.where = {
+        ...where,
+        condition: [].concat(where.condition || [], conditions),
+      };
+    }
+    return queryDef;
   }
 
   /**
@@ -203,73 +867,332 @@ class CampaignInstance {
    *
    * @param {string} schemaId - Schema name to download
    * @param {string} folderPath - Path where files will be saved
-   * @param {number} startLine - Starting line number for pagination
+   * @param {number} startLine - Number of records to skip, 0 for the first page
+   * @param {Object} [options] - Download options
+   * @param {Object[]} [options.conditions] - Additional where conditions, e.g. [{ expr: "@lastModified > #2024-01-01#" }]
+   * @param {CampaignManifest} [options.manifest] - Manifest recording the saved files
+   * @param {Object} [options.report] - Report of the schema, its count, files and errors are updated
    * @returns {Promise<number>} Number of records downloaded
    *
    * @example
-   * const count = await instance.download('nms:recipient', '/path/to/save', 1);
+   * const count = await instance.download('nms:recipient', '/path/to/save', 0);
    */
-  async download(schemaId, folderPath, startLine) {
-    const DomUtil = this.client.DomUtil;
-
-    const baseQueryDef = {
-      schema: schemaId,
-      operation: "select",
-      select: {
-        node: [{ expr: "data" }],
-      },
-      startLine: startLine,
-      lineCount: 10, // @todo pagination
-    };
-    const queryDef = this._getQueryDefForSchema(schemaId, baseQueryDef);
-    const queryDefXml = this.client.DomUtil.fromJSON(
-      "queryDef",
-      queryDef,
-      "SimpleJson",
-    );
-
-    const query = this.client.NLWS.xml.xtkQueryDef.create(queryDefXml);
-
-    const config = this.campaignConfig[schemaId]
-      ? this.campaignConfig[schemaId]
-      : this.campaignConfig[CONFIG_DEFAULT_KEY];
-    const configFilename = config.filename;
-
-    const configAttributes = this._getAttributesFromSchemaConfig(config); // [ '@name', '@namespace' ]
-
+  async download(schemaId, folderPath, startLine, options = {}) {
+    const endLine = startLine + this._getPageSize(schemaId);
+    const filenames = [];
     let message = "";
+    let level = "info";
     var recordsLength = 0;
     try {
-      await query.selectAll(false); // @see https://opensource.adobe.com/acc-js-sdk/xtkQueryDef.html
-      const records = await query.executeQuery(); // DOMDocument <srcSchema-collection><srcSchema></srcSchema>...
-      var child = DomUtil.getFirstChildElement(records);
-      // @see https://opensource.adobe.com/acc-js-sdk/domHelper.html
-      while (child) {
+      const records = await this._queryRecords(
+        schemaId,
+        startLine,
+        options.conditions,
+      );
+      for (const child of records) {
         recordsLength++;
-        const filename = this._computeFilename(
-          configFilename,
-          configAttributes,
+        const filepath = this._saveRecord(
+          folderPath,
+          schemaId,
           child,
-          false,
+          options.manifest,
         );
-        const filepath = path.join(folderPath, filename);
-        const data = DomUtil.toXMLString(child);
-        fs.outputFileSync(filepath, data);
-        const filenameOnly = path.basename(filepath);
-        process.stdout.write(`${chalk.underline(filenameOnly)} `);
-
-        child = DomUtil.getNextSiblingElement(child);
+        filenames.push(chalk.underline(path.basename(filepath)));
+        if (options.report) {
+          options.report.count++;
+          options.report.files.push(path.relative(folderPath, filepath));
+        }
       }
 
       message = `${recordsLength} saved.`;
     } catch (err) {
+      if (options.report) {
+        options.report.errors.push(err.message);
+      }
       message = `⚠️ Error executing query: ${err.message}.`;
+      level = "warn";
     } finally {
-      console.log(` => ` + message + "\n");
+      // a single line per page, pages of several schemas may be downloaded in parallel
+      this.logger[level](
+        `- Schema ${chalk.bgCyan(schemaId)} lines ${startLine + 1} to ${endLine}: ` +
+          [...filenames, "=> " + message].join(" "),
+      );
     }
     return recordsLength;
   }
 
+  /**
+   * Handles the local files of entities deleted on the server after pull(): files of the previous
+   * pull of a fully pulled schema that are missing from the new manifest. With remove, they are removed
+   * with their metadata file, unless a query of their schema failed. Otherwise they are kept and marked
+   * removed in the manifest, so that a later pull with prune still removes them.
+   *
+   * @param {string} folderPath - Root folder of the pulled files
+   * @param {CampaignManifest} manifest - Manifest of the pull
+   * @param {Object<string, Object>} reports - Reports of the schemas by schema name, removed files are added
+   * @param {Map<string, string[]>} previousFiles - Filenames of the previous pull, by schema fully pulled
+   * @param {boolean} remove - Remove the files, i.e. the prune option of pull()
+   * @returns {void}
+   * @private
+   */
+  _prune(folderPath, manifest, reports, previousFiles, remove) {
+    for (const [schemaId, filenames] of previousFiles) {
+      const report = reports[schemaId];
+      for (const filename of filenames) {
+        const filepath = path.join(folderPath, filename);
+        if (manifest.get(filename) || !fs.existsSync(filepath)) {
+          continue;
+        }
+        if (!remove || report.errors.length) {
+          manifest.markRemoved(filename, schemaId);
+          continue;
+        }
+        fs.removeSync(filepath);
+        fs.removeSync(filepath + METADATA_SUFFIX);
+        report.removed.push(filename.slice(1));
+        this.logger.info(
+          `- Schema ${chalk.bgCyan(schemaId)}: ${chalk.underline(path.basename(filename))} => removed, deleted on the server.`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Saves the files of a record, at the filename computed from the config, and records it in the manifest.
+   *
+   * @param {string} folderPath - Root folder of the pulled files
+   * @param {string} schemaId - Schema name of the record
+   * @param {Object} record - XML element of the record
+   * @param {CampaignManifest} [manifest] - Manifest recording the saved files
+   * @returns {string} Path of the saved file
+   */
+  _saveRecord(folderPath, schemaId, record, manifest) {
+    const DomUtil = this.client.DomUtil;
+    const files = this._serializeRecord(schemaId, record);
+    for (const [filename, data] of files) {
+      fs.outputFileSync(path.join(folderPath, filename), data);
+    }
+    const [[filename]] = files;
+    if (manifest) {
+      const config = this._getSchemaConfig(schemaId);
+      const keys = {};
+      for (const configAttribute of this._getAttributesFromSchemaConfig(config)) {
+        const name = configAttribute.replace("@", "");
+        keys[name] = DomUtil.getAttributeAsString(record, name);
+      }
+      manifest.set(filename, {
+        schema: schemaId,
+        keys,
+        lastModified: DomUtil.getAttributeAsString(record, "lastModified"),
+        content: files.map(([, data]) => data).join(""),
+      });
+    }
+    return path.join(folderPath, filename);
+  }
+
+  /**
+   * Gets the files pull() writes for a record: its XML, or only the code of its content
+   * element (CDATA decoded) when the schema config sets `content`, followed by the rest
+   * of the XML in a metadata sidecar file when the schema config sets `metadata`.
+   *
+   * @param {string} schemaId - Schema name of the record
+   * @param {Object} record - XML element of the record
+   * @returns {Array<Array<string>>} [filename, data] pairs, the record file first
+   *
+   * @example
+   * instance._serializeRecord('xtk:javascript', record);
+   * // [ [ '/JavaScript codes/cus/utils.js', 'function f() {}' ], [ '/JavaScript codes/cus/utils.js.meta.xml', '<javascript .../>' ] ]
+   */
+  _serializeRecord(schemaId, record) {
+    const DomUtil = this.client.DomUtil;
+    const config = this._getSchemaConfig(schemaId);
+    const filename = this._computeFilename(
+      config.filename,
+      this._getAttributesFromSchemaConfig(config),
+      record,
+      false,
+    );
+    if (!config.content) {
+      return [[filename, DomUtil.toXMLString(record)]];
+    }
+    const files = [
+      [
+        filename,
+        DomUtil.elementValue(this._findContentElement(record, config.content)),
+      ],
+    ];
+    if (config.metadata) {
+      const metadata = record.cloneNode(true);
+      const contentElement = this._findContentElement(metadata, config.content);
+      if (contentElement) {
+        contentElement.parentNode.removeChild(contentElement);
+      }
+      files.push([filename + METADATA_SUFFIX, DomUtil.toXMLString(metadata)]);
+    }
+    return files;
+  }
+
+  /**
+   * Rebuilds the XML element of a record from its local files, i.e. the reverse of _serializeRecord().
+   * Without metadata sidecar, the element only holds the key attributes and the content.
+   *
+   * @param {string} schemaId - Schema name of the record
+   * @param {Object} keys - Attribute values identifying the record, from _resolveEntity()
+   * @param {Array<Array<string|null>>} files - [filename, data] pairs from _readRecordFiles()
+   * @returns {Object} XML element of the record
+   */
+  _deserializeRecord(schemaId, keys, files) {
+    const DomUtil = this.client.DomUtil;
+    const config = this._getSchemaConfig(schemaId);
+    const [[, data], metadataFile] = files;
+    if (!config.content) {
+      return DomUtil.parse(data).documentElement;
+    }
+    const record =
+      metadataFile && metadataFile[1] !== null
+        ? DomUtil.parse(metadataFile[1]).documentElement
+        : DomUtil.newDocument(schemaId.split(":")[1]).documentElement;
+    for (const [name, value] of Object.entries(keys)) {
+      record.setAttribute(name, value);
+    }
+    const contentElement = this._findContentElement(record, config.content, true);
+    while (contentElement.firstChild) {
+      contentElement.removeChild(contentElement.firstChild);
+    }
+    // a CDATA section can't contain "]]>", so it's split across two sections
+    const parts = data.split("]]>");
+    parts.forEach((part, index) => {
+      contentElement.appendChild(
+        record.ownerDocument.createCDATASection(
+          (index > 0 ? ">" : "") + part + (index < parts.length - 1 ? "]]" : ""),
+        ),
+      );
+    });
+    return record;
+  }
+
+  /**
+   * Reads the local files of a record, as listed by _serializeRecord().
+   *
+   * @param {string} rootPath - Root folder of the pulled files
+   * @param {string} schemaId - Schema name of the record
+   * @param {string} filename - Filename of the record, relative to the root folder
+   * @returns {Array<Array<string|null>>} [filename, data] pairs, data is null for a missing metadata sidecar
+   * @throws {Error} Throws if the record file doesn't exist
+   */
+  _readRecordFiles(rootPath, schemaId, filename) {
+    const config = this._getSchemaConfig(schemaId);
+    const files = [[filename, fs.readFileSync(path.join(rootPath, filename), "utf8")]];
+    if (config.content && config.metadata) {
+      const metadataPath = path.join(rootPath, filename + METADATA_SUFFIX);
+      files.push([
+        filename + METADATA_SUFFIX,
+        fs.existsSync(metadataPath) ? fs.readFileSync(metadataPath, "utf8") : null,
+      ]);
+    }
+    return files;
+  }
+
+  /**
+   * Finds the content element of a record, e.g. "data" or "source/code".
+   *
+   * @param {Object} record - XML element of the record
+   * @param {string} contentPath - Path of the content element, from the schema config
+   * @param {boolean} [create] - Create the missing elements
+   * @returns {Object|null} XML element, or null if missing
+   */
+  _findContentElement(record, contentPath, create = false) {
+    const DomUtil = this.client.DomUtil;
+    let element = record;
+    for (const name of contentPath.split("/")) {
+      let child = DomUtil.findElement(element, name, false);
+      if (!child && create) {
+        child = element.appendChild(element.ownerDocument.createElement(name));
+      }
+      if (!child) {
+        return null;
+      }
+      element = child;
+    }
+    return element;
+  }
+
+  /**
+   * Fetches all records of a schema in memory, page by page, keyed by the filename pull() would write.
+   *
+   * @param {string} schemaId - Schema name to fetch
+   * @returns {Promise<Map<string, string>>} XML content of each record, by filename
+   * @throws {Error} Throws if a query fails
+   *
+   * @example
+   * const records = await instance._fetchSchema('xtk:form'); // Map { '/Forms/cus/recipient.xml' => '<form .../>' }
+   */
+  async _fetchSchema(schemaId) {
+    const DomUtil = this.client.DomUtil;
+    const schemaConfig = this._getSchemaConfig(schemaId);
+    const configAttributes = this._getAttributesFromSchemaConfig(schemaConfig);
+    const pageSize = this._getPageSize(schemaId);
+    const data = new Map();
+    let startLine = 0;
+    let records = [];
+    do {
+      records = await this._queryRecords(schemaId, startLine);
+      for (const record of records) {
+        const filename = this._computeFilename(
+          schemaConfig.filename,
+          configAttributes,
+          record,
+          false,
+        );
+        data.set(filename, DomUtil.toXMLString(record));
+      }
+      startLine += pageSize;
+    } while (records.length >= pageSize);
+    return data;
+  }
+
+  /**
+   * Queries one page of records of a schema, with all their data.
+   *
+   * @param {string} schemaId - Schema name to query
+   * @param {number} startLine - Number of records to skip, 0 for the first page
+   * @param {Object[]} [conditions] - Where conditions added to the config ones
+   * @returns {Promise<Object[]>} XML elements of the records
+   *
+   * @example
+   * const records = await instance._queryRecords('xtk:form', 0);
+   */
+  async _queryRecords(schemaId, startLine, conditions = []) {
+    const DomUtil = this.client.DomUtil;
+
+    const baseQueryDef = {
+      schema: schemaId,
+      operation: "select",
+      select: {
+        node: [{ expr: "data" }],
+      },
+      startLine: startLine,
+      lineCount: this._getPageSize(schemaId),
+    };
+    const queryDef = this._addConditions(
+      this._getQueryDefForSchema(schemaId, baseQueryDef),
+      conditions,
+    );
+    const queryDefXml = DomUtil.fromJSON("queryDef", queryDef, "SimpleJson");
+
+    const query = this.client.NLWS.xml.xtkQueryDef.create(queryDefXml);
+    await query.selectAll(false); // @see https://opensource.adobe.com/acc-js-sdk/xtkQueryDef.html
+    const records = await query.executeQuery(); // DOMDocument <srcSchema-collection><srcSchema></srcSchema>...
+    const elements = [];
+    var child = DomUtil.getFirstChildElement(records);
+    // @see https://opensource.adobe.com/acc-js-sdk/domHelper.html
+    while (child) {
+      elements.push(child);
+      child = DomUtil.getNextSiblingElement(child);
+    }
+    return elements;
+  }
+
   _getAttributesFromSchemaConfig(schemaConfig) {
     const configAttributesRe = schemaConfig.filename.matchAll(
       this.REGEX_CONFIG_ATTRIBUTE,
@@ -294,80 +1217,469 @@ class CampaignInstance {
   }
 
   /**
-   * Checks if a folder is empty or doesn't exist.
+   * Parses a local filename back to the attribute values of its entity,
+   * i.e. the reverse of _computeFilename().
    *
-   * @param {string} path - Path to check
-   * @returns {boolean} True if folder is empty or doesn't exist, false otherwise
+   * @param {string} configFilename - Filename pattern from the config, e.g. "/Forms/{@namespace}/{@name}.xml"
+   * @param {string[]} configAttributes - Attributes of the pattern, e.g. [ '@namespace', '@name' ]
+   * @param {string} filename - Filename relative to the pull root, e.g. "/Forms/cus/recipient.xml"
+   * @returns {Object|null} Attribute values, e.g. { namespace: 'cus', name: 'recipient' }, or null if the filename doesn't match
    *
    * @example
-   * if (instance.isFolderEmpty('/path/to/check')) {
-   *   // Folder is empty or doesn't exist
-   * }
+   * instance._parseFilename("/{@namespace}/{@name}.xml", ["@namespace", "@name"], "/cus/recipient.xml");
+   * // { namespace: 'cus', name: 'recipient' }
    */
-  isFolderEmpty(path) {
-    return !fs.existsSync(path) || fs.readdirSync(path).length === 0;
+  _parseFilename(configFilename, configAttributes, filename) {
+    const source = configFilename
+      .split(this.REGEX_CONFIG_ATTRIBUTE)
+      // split() with a capturing group alternates literals and attributes
+      .map((part, index) =>
+        index % 2 === 0 ? part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") : "([^/]+)",
+      )
+      .join("");
+    const match = filename.split(path.sep).join("/").match(`^${source}$`);
+    if (!match) {
+      return null;
+    }
+    const keys = {};
+    configAttributes.forEach((configAttribute, index) => {
+      keys[configAttribute.replace("@", "")] = match[index + 1];
+    });
+    return keys;
   }
 
   /**
-   * Saves SOAP request to archive file with timestamp.
+   * Finds the schema and key attributes of a local file, using the config filename patterns.
    *
-   * @param {string} rawRequest - Raw SOAP request XML
-   * @returns {void}
+   * @param {string} filename - Filename relative to the pull root
+   * @returns {Object|null} { schemaId, keys } or null if no schema matches
    *
    * @example
-   * instance.saveArchiveRequest('<soap:Envelope>...</soap:Envelope>');
+   * instance._resolveEntity("/Administration/Configuration/Input forms/cus/recipient.xml");
+   * // { schemaId: 'xtk:form', keys: { namespace: 'cus', name: 'recipient' } }
    */
-  saveArchiveRequest(rawRequest) {
-    const archiveRequest =
-      "archives/" + this.getArchiveDate() + "-CampaignInstance-request.xml";
-    fs.outputFileSync(archiveRequest, rawRequest, function (errFs) {
-      throw errFs;
-    });
+  _resolveEntity(filename) {
+    for (const schemaId of this.schemas) {
+      const schemaConfig = this._getSchemaConfig(schemaId);
+      const configAttributes =
+        this._getAttributesFromSchemaConfig(schemaConfig);
+      const keys = this._parseFilename(
+        schemaConfig.filename,
+        configAttributes,
+        filename,
+      );
+      if (keys) {
+        return { schemaId, keys };
+      }
+    }
+    return null;
   }
 
   /**
-   * Saves SOAP response to archive file with timestamp.
+   * Gets the current server version of an entity, as an XML element.
    *
-   * @param {string} rawResponse - Raw SOAP response XML
-   * @returns {void}
+   * @param {string} schemaId - Schema name
+   * @param {Object} keys - Attribute values identifying the entity, from _resolveEntity()
+   * @returns {Promise<Object|null>} XML element, or null if the entity doesn't exist on the server
+   */
+  async _getServerEntity(schemaId, keys) {
+    const DomUtil = this.client.DomUtil;
+    // not getIfExists: the SDK returns null for any getIfExists result in XML representation
+    const queryDef = {
+      schema: schemaId,
+      operation: "select",
+      lineCount: 1,
+      select: { node: [{ expr: "data" }] },
+      where: {
+        condition: Object.entries(keys).map(([name, value]) => ({
+          expr: `@${name} = ${escapeXtk(value)}`,
+        })),
+      },
+    };
+    const queryDefXml = DomUtil.fromJSON("queryDef", queryDef, "SimpleJson");
+    const query = this.client.NLWS.xml.xtkQueryDef.create(queryDefXml);
+    await query.selectAll(false);
+    const collection = await query.executeQuery();
+    return DomUtil.getFirstChildElement(collection);
+  }
+
+  /**
+   * Pushes local files produced by pull() back to the ACC instance:
+   * - maps each file to its schema & keys with the config filename patterns
+   * - skips files unchanged since the last pull according to the manifest, or identical to the server version
+   * - refuses files whose entity was modified on the server since the last pull (@lastModified differs), unless forced
+   * - skips files whose entity exists on the server but whose last pull is unknown (no @lastModified), unless forced
+   * - writes the others with xtkSession.write(), then saves the server version locally and in the manifest
+   *
+   * @param {Object} options - Push options
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {string[]} [options.files] - Files or folders to push. Defaults to the whole root folder.
+   * @param {boolean} [options.force] - Overwrite entities modified on the server since the last pull
+   * @returns {Promise<Object>} Counts of { pushed, unchanged, conflicts, skipped, errors }
    *
    * @example
-   * instance.saveArchiveResponse('<soap:Envelope>...</soap:Envelope>');
+   * await instance.push({ path: '/path/to/download', files: ['Administration/Configuration/JavaScript codes'] });
    */
-  saveArchiveResponse(rawResponse) {
-    const archiveResponse =
-      "archives/" + this.getArchiveDate() + "-CampaignInstance-response.xml";
-    fs.outputFileSync(archiveResponse, rawResponse, function (errFs) {
-      throw errFs;
-    });
+  async push(options) {
+    const DomUtil = this.client.DomUtil;
+    const rootPath = path.resolve(options.path);
+    const files = options.files && options.files.length ? options.files : [rootPath];
+    const result = { pushed: 0, unchanged: 0, conflicts: 0, skipped: 0, errors: 0 };
+    const manifest = new CampaignManifest(rootPath);
+
+    const pushedFilenames = new Set();
+
+    this.logger.info(`🚀 Pushing ${rootPath}...`);
+    for (const filepath of files.flatMap((file) =>
+      this._listFiles(path.resolve(rootPath, file)),
+    )) {
+      let filename =
+        "/" + path.relative(rootPath, filepath).split(path.sep).join("/");
+      let entity = this._resolveEntity(filename);
+      if (!entity && filename.endsWith(METADATA_SUFFIX)) {
+        // a metadata sidecar is pushed with its record file
+        filename = filename.slice(0, -METADATA_SUFFIX.length);
+        entity = this._resolveEntity(filename);
+      }
+      if (pushedFilenames.has(filename)) {
+        continue;
+      }
+      pushedFilenames.add(filename);
+      if (!entity) {
+        result.skipped++;
+        this.logger.debug(`- ${filename}: not matching any schema, skipped.`);
+        continue;
+      }
+
+      let message = "";
+      try {
+        const localFiles = this._readRecordFiles(
+          rootPath,
+          entity.schemaId,
+          filename,
+        );
+        const localContent = localFiles.map(([, data]) => data ?? "").join("");
+        const entry = manifest.get(filename);
+        if (
+          entry &&
+          entry.hash === CampaignManifest.hash(localContent) &&
+          !options.force
+        ) {
+          result.unchanged++;
+          message = "unchanged since the last pull.";
+          continue;
+        }
+        const localElement = this._deserializeRecord(
+          entity.schemaId,
+          entity.keys,
+          localFiles,
+        );
+        const serverElement = await this._getServerEntity(
+          entity.schemaId,
+          entity.keys,
+        );
+        if (
+          serverElement &&
+          JSON.stringify(this._serializeRecord(entity.schemaId, serverElement)) ===
+            JSON.stringify(localFiles)
+        ) {
+          result.unchanged++;
+          message = "unchanged.";
+          continue;
+        }
+        // the manifest is the reference, the local file may have been edited
+        const localLastModified = entry
+          ? entry.lastModified
+          : DomUtil.getAttributeAsString(localElement, "lastModified");
+        const serverLastModified = serverElement
+          ? DomUtil.getAttributeAsString(serverElement, "lastModified")
+          : "";
+        if (serverElement && !localLastModified && !options.force) {
+          // e.g. content pulled without metadata sidecar, and no manifest entry
+          result.skipped++;
+          this.logger.warn(
+            `- ${chalk.bgCyan(entity.schemaId)} ${filename}: ⚠️ exists on the server, but its last pull is unknown, use --force to overwrite it, skipped.`,
+          );
+          continue;
+        }
+        if (
+          serverElement &&
+          localLastModified !== serverLastModified &&
+          !options.force
+        ) {
+          result.conflicts++;
+          message = `⚠️ modified on the server (${serverLastModified}) since the last pull (${localLastModified}), skipped.`;
+          continue;
+        }
+        localElement.setAttribute("xtkschema", entity.schemaId);
+        await this.client.NLWS.xml.xtkSession.write(localElement);
+        result.pushed++;
+        message = serverElement ? "✅ updated." : "✅ created.";
+        // new @lastModified, so that the next push doesn't report a conflict
+        const savedElement = await this._getServerEntity(
+          entity.schemaId,
+          entity.keys,
+        );
+        if (savedElement) {
+          this._saveRecord(rootPath, entity.schemaId, savedElement, manifest);
+        }
+      } catch (err) {
+        result.errors++;
+        message = `⚠️ Error pushing: ${err.message}.`;
+      } finally {
+        if (message) {
+          this.logger.info(`- ${chalk.bgCyan(entity.schemaId)} ${filename}: ${message}`);
+        }
+      }
+    }
+
+    if (result.pushed) {
+      manifest.save();
+    }
+    this.logger.info(
+      `${result.pushed} pushed, ${result.unchanged} unchanged, ${result.conflicts} conflict(s), ${result.skipped} skipped, ${result.errors} error(s).`,
+    );
+    return result;
+  }
+  /**
+   * Watches the files produced by pull() and pushes each saved file right away, for an editor loop on a
+   * development instance. Saves are debounced per file, and pushes run one at a time with push(), so that
+   * files are mapped to their entities with the config filename patterns and conflicts are refused.
+   * Files whose content didn't change since the last event, e.g. rewritten by the push itself, are ignored.
+   *
+   * @param {Object} options - Watch options, also passed to push()
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {number} [options.delay=300] - Milliseconds without change before a file is pushed
+   * @returns {Object} Watcher, whose close() stops watching and resolves once the running push ends
+   * @throws {CampaignError} Throws if the root folder doesn't exist
+   *
+   * @example
+   * const watcher = instance.watch({ path: './dev' });
+   * process.once('SIGINT', () => watcher.close());
+   */
+  watch(options) {
+    const rootPath = path.resolve(options.path);
+    if (!fs.existsSync(rootPath)) {
+      throw new CampaignError(`Folder ${rootPath} doesn't exist.`);
+    }
+    const delay = options.delay ?? 300;
+    const timers = new Map();
+    const hashes = new Map();
+    let pushes = Promise.resolve();
+
+    const pushFile = async (filepath) => {
+      if (!fs.existsSync(filepath) || fs.statSync(filepath).isDirectory()) {
+        return;
+      }
+      const hash = CampaignManifest.hash(fs.readFileSync(filepath));
+      if (hashes.get(filepath) === hash) {
+        return;
+      }
+      try {
+        await this.push({ ...options, path: rootPath, files: [filepath] });
+      } catch (err) {
+        this.logger.warn(`⚠️ Error pushing ${filepath}: ${err.message}.`);
+      }
+      // the push saves the server version of the file
+      if (fs.existsSync(filepath)) {
+        hashes.set(filepath, CampaignManifest.hash(fs.readFileSync(filepath)));
+      }
+    };
+
+    const onChange = (event, filename) => {
+      const basename = filename && path.basename(filename);
+      // editors write temporary files, e.g. .file.swp or file~
+      if (
+        !basename ||
+        basename.startsWith(".") ||
+        basename.endsWith("~") ||
+        basename === CampaignManifest.FILENAME
+      ) {
+        return;
+      }
+      const filepath = path.join(rootPath, filename);
+      clearTimeout(timers.get(filepath));
+      timers.set(
+        filepath,
+        setTimeout(() => {
+          timers.delete(filepath);
+          pushes = pushes.then(() => pushFile(filepath));
+        }, delay),
+      );
+    };
+    const watcher = fs.watch(rootPath, { recursive: true }, onChange);
+    this.logger.info(`👀 Watching ${rootPath}, press Ctrl+C to stop.`);
+
+    return {
+      close: () => {
+        watcher.close();
+        for (const timer of timers.values()) {
+          clearTimeout(timer);
+        }
+        return pushes;
+      },
+    };
   }
 
+
   /**
-   * Generates timestamp string for archive files in format: YYYY/MM/DD/HH-mm-ss_ms
+   * Compares the local files with the ACC instance, running the same queries as pull()
+   * without writing anything. Each entity is reported from the instance point of view:
+   * - added: on the instance, missing locally
+   * - removed: local file matching a schema pattern, missing on the instance
+   * - modified: content differs
    *
-   * @returns {string} Formatted timestamp string
+   * @param {Object} options - Diff options
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {boolean} [options.nameOnly] - Only print the filenames, without the unified diff
+   * @returns {Promise<Object>} { added, removed, modified } arrays of filenames, and { unchanged, errors } counts
    *
    * @example
-   * const timestamp = instance.getArchiveDate(); // "2023/01/15/14-30-45_123"
-   */
-  getArchiveDate() {
-    var ts_hms = new Date();
-
-    return (
-      ts_hms.getFullYear() +
-      "/" +
-      ("0" + (ts_hms.getMonth() + 1)).slice(-2) +
-      "/" +
-      ("0" + ts_hms.getDate()).slice(-2) +
-      "/" +
-      ("0" + ts_hms.getHours()).slice(-2) +
-      "-" +
-      ("0" + ts_hms.getMinutes()).slice(-2) +
-      "-" +
-      ("0" + ts_hms.getSeconds()).slice(-2) +
-      "_" +
-      ts_hms.getMilliseconds()
+   * const result = await instance.diff({ path: '/path/to/download', nameOnly: true });
+   */
+  async diff(options) {
+    const rootPath = path.resolve(options.path);
+    const localFiles = fs.existsSync(rootPath)
+      ? this._listFiles(rootPath).map(
+          (filepath) => "/" + path.relative(rootPath, filepath).split(path.sep).join("/"),
+        )
+      : [];
+    const result = { added: [], removed: [], modified: [], unchanged: 0, errors: 0 };
+
+    this.logger.info(`🔍 Comparing ${rootPath} with instance...`);
+    for (const schemaId of this.schemas) {
+      const serverData = new Map();
+      try {
+        // same files as pull() would write, e.g. only the content of a JavaScript code
+        for (const xml of (await this._fetchSchema(schemaId)).values()) {
+          const record = this.client.DomUtil.parse(xml).documentElement;
+          for (const [filename, data] of this._serializeRecord(schemaId, record)) {
+            serverData.set(filename, data);
+          }
+        }
+      } catch (err) {
+        result.errors++;
+        this.logger.warn(
+          `⚠️ Error executing query (${chalk.bgCyan(schemaId)}): ${err.message}.`,
+        );
+        // without the full list of server records, local files can't be reported as removed
+        continue;
+      }
+
+      for (const [filename, data] of serverData) {
+        const filepath = path.join(rootPath, filename);
+        if (!fs.existsSync(filepath)) {
+          result.added.push(filename);
+          this._printDiff("A", filename, "", data, options);
+        } else {
+          const localData = fs.readFileSync(filepath, "utf8");
+          if (localData === data) {
+            result.unchanged++;
+          } else {
+            result.modified.push(filename);
+            this._printDiff("M", filename, localData, data, options);
+          }
+        }
+      }
+
+      for (const filename of localFiles) {
+        const entity = this._resolveEntity(filename);
+        if (
+          entity &&
+          entity.schemaId === schemaId &&
+          !serverData.has(filename)
+        ) {
+          result.removed.push(filename);
+          const localData = fs.readFileSync(path.join(rootPath, filename), "utf8");
+          this._printDiff("D", filename, localData, "", options);
+        }
+      }
+    }
+
+    this.logger.info(
+      `${result.added.length} added, ${result.removed.length} removed, ${result.modified.length} modified, ${result.unchanged} unchanged, ${result.errors} error(s).`,
     );
+    return result;
+  }
+
+  /**
+   * Prints one entity of diff(): its status and filename, followed by a colored unified diff
+   * from the local file (a/) to the instance (b/) unless nameOnly is set.
+   *
+   * @param {string} status - A (added), D (removed) or M (modified)
+   * @param {string} filename - Filename relative to the pull root
+   * @param {string} localData - Local content, empty if added
+   * @param {string} serverData - Instance content, empty if removed
+   * @param {Object} options - diff() options
+   * @returns {void}
+   */
+  _printDiff(status, filename, localData, serverData, options) {
+    const colors = { A: chalk.green, D: chalk.red, M: chalk.yellow };
+    this.logger.info(`${colors[status](status)} ${filename}`);
+    if (options.nameOnly) {
+      return;
+    }
+    const patch = createTwoFilesPatch(
+      status === "A" ? "/dev/null" : `a${filename}`,
+      status === "D" ? "/dev/null" : `b${filename}`,
+      localData,
+      serverData,
+    );
+    const lines = patch
+      .split("\n")
+      .slice(1) // "====" separator
+      .map((line) => {
+        if (line.startsWith("+++") || line.startsWith("---")) {
+          return chalk.bold(line);
+        }
+        if (line.startsWith("+")) {
+          return chalk.green(line);
+        }
+        if (line.startsWith("-")) {
+          return chalk.red(line);
+        }
+        if (line.startsWith("@@")) {
+          return chalk.cyan(line);
+        }
+        return line;
+      });
+    this.logger.info(lines.join("\n"));
+  }
+
+  /**
+   * Lists files recursively under a path, in a deterministic order, without the manifest and .git.
+   *
+   * @param {string} filepath - File or folder path
+   * @returns {string[]} Absolute file paths
+   * @throws {CampaignError} Throws if the path doesn't exist
+   */
+  _listFiles(filepath) {
+    if (!fs.existsSync(filepath)) {
+      throw new CampaignError(`File or folder ${filepath} doesn't exist.`);
+    }
+    if (!fs.statSync(filepath).isDirectory()) {
+      return [filepath];
+    }
+    return fs
+      .readdirSync(filepath)
+      .filter((child) => child !== CampaignManifest.FILENAME && child !== ".git")
+      .sort()
+      .flatMap((child) => this._listFiles(path.join(filepath, child)));
+  }
+
+  /**
+   * Checks if a folder is empty or doesn't exist.
+   *
+   * @param {string} path - Path to check
+   * @returns {boolean} True if folder is empty or doesn't exist, false otherwise
+   *
+   * @example
+   * if (instance.isFolderEmpty('/path/to/check')) {
+   *   // Folder is empty or doesn't exist
+   * }
+   */
+  isFolderEmpty(path) {
+    return !fs.existsSync(path) || fs.readdirSync(path).length === 0;
   }
 }
 
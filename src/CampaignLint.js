@@ -0,0 +1,519 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import chalk from "chalk";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+import CampaignManifest from "./CampaignManifest.js";
+
+/**
+ * Severities of the rules, "off" disabling a rule; the others are SARIF levels
+ * @constant {string[]}
+ * @private
+ */
+const SEVERITIES = ["error", "warning", "note", "off"];
+
+/**
+ * Extensions of the linted files
+ * @constant {string[]}
+ * @private
+ */
+const EXTENSIONS = [".js", ".jssp", ".xml"];
+
+/**
+ * XML elements holding JavaScript, e.g. the script of a workflow activity
+ * @constant {string[]}
+ * @private
+ */
+const SCRIPT_ELEMENTS = ["script", "initScript"];
+
+/**
+ * Deprecated functions and methods reported by deprecated-api, with their replacement.
+ * A name starting with a dot is a method, e.g. ".substr"
+ * @constant {Object<string, string>}
+ * @private
+ */
+const DEPRECATED_APIS = {
+  escape: "encodeURIComponent()",
+  unescape: "decodeURIComponent()",
+  ".substr": ".substring() or .slice()",
+  ".getYear": ".getFullYear()",
+  ".__defineGetter__": "Object.defineProperty()",
+  ".__defineSetter__": "Object.defineProperty()",
+};
+
+/**
+ * Campaign-specific rules. Each rule checks the code of a file and returns the positions of its problems:
+ * - text: code of the file, other characters replaced by spaces so that positions are kept
+ * - code: same, with comments replaced by spaces too
+ * @constant {Object<string, Object>}
+ * @private
+ */
+const RULES = {
+  "hardcoded-credentials": {
+    description: "Passwords, secrets, tokens and basic auth headers written in the code",
+    severity: "error",
+    check({ text }) {
+      const problems = [];
+      const patterns = [
+        /\b[\w.]*(?:password|passwd|pwd|secret|apikey|api_key|token)\w*["']?\s*[:=]\s*(["'])(?!\1)[^\n]+?\1/gi,
+        /(["'])(?:Basic|Bearer) [\w+/=.-]{8,}\1/g,
+        /\b\w+:\/\/[^\s/:@"']+:[^\s/@"']+@/g,
+      ];
+      for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+          problems.push({
+            index: match.index,
+            message: "Hardcoded credential, read it from an external account or an option instead.",
+          });
+        }
+      }
+      return problems;
+    },
+  },
+  "log-info": {
+    description: "logInfo() calls beyond a maximum per file, e.g. debug logs left in the code",
+    severity: "warning",
+    options: { max: 5 },
+    check({ code, options }) {
+      return [...code.matchAll(/\blogInfo\s*\(/g)]
+        .slice(options.max)
+        .map((match) => ({
+          index: match.index,
+          message: `More than ${options.max} logInfo() calls in this file, remove the debug logs.`,
+        }));
+    },
+  },
+  "unbounded-query": {
+    description: "xtk:queryDef selects without lineCount, reading a whole table",
+    severity: "warning",
+    check({ code }) {
+      const problems = [];
+      for (const match of code.matchAll(/\b(?:xtk\.queryDef|NLWS\.xtkQueryDef)\.create\s*\(/g)) {
+        const argument = balancedArgument(code, match.index + match[0].length);
+        if (
+          /\boperation\s*[=:]\s*["']select["']/.test(argument) &&
+          !/\blineCount\b/.test(argument)
+        ) {
+          problems.push({
+            index: match.index,
+            message: "Select without lineCount, limit the number of records.",
+          });
+        }
+      }
+      return problems;
+    },
+  },
+  "deprecated-api": {
+    description: "Deprecated functions and methods",
+    severity: "warning",
+    options: { apis: {} },
+    check({ code, options }) {
+      const problems = [];
+      for (const [name, replacement] of Object.entries({ ...DEPRECATED_APIS, ...options.apis })) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const pattern = new RegExp(
+          `${name.startsWith(".") ? "" : "(?<![\\w.$])"}${escaped}\\s*\\(`,
+          "g",
+        );
+        for (const match of code.matchAll(pattern)) {
+          problems.push({
+            index: match.index,
+            message: `${name.replace(/^\./, "")}() is deprecated, use ${replacement} instead.`,
+          });
+        }
+      }
+      return problems;
+    },
+  },
+};
+
+/**
+ * Campaign Lint class for checking the server-side JavaScript of the files produced by pull():
+ * JavaScript libraries, JSSP pages (the code of their <% %> blocks) and the scripts of XML records,
+ * e.g. the <script> of workflow activities, with a set of Campaign-specific rules.
+ * Rules are configured per project in a JSON file, e.g. acc.lint.json:
+ * { "rules": { "log-info": ["warning", { "max": 10 }], "deprecated-api": "off" } }.
+ * A problem is ignored on a line holding "acc-lint-disable-line", or following "acc-lint-disable-next-line".
+ *
+ * @class CampaignLint
+ * @classdesc Lint of the pulled server-side JavaScript
+ */
+class CampaignLint {
+  /**
+   * Rules by id, with their description, default severity and options
+   * @type {Object<string, Object>}
+   */
+  static RULES = RULES;
+
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.rules] - Configuration of the rules by id: a severity, or [severity, options]
+   * @param {Object} [options.logger] - Logger, defaults to a CampaignLogger
+   * @throws {CampaignError} Throws if a rule or a severity is unknown
+   *
+   * @example
+   * const lint = new CampaignLint({ rules: { 'log-info': ['warning', { max: 10 }] }, logger });
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || new CampaignLogger();
+    /**
+     * Enabled rules by id: { severity, options }
+     * @type {Object<string, Object>}
+     */
+    this.rules = {};
+    const rules = options.rules || {};
+    for (const id of Object.keys(rules)) {
+      if (!RULES[id]) {
+        throw new CampaignError(
+          `Unknown lint rule ${id}, expected one of ${Object.keys(RULES).join(", ")}.`,
+        );
+      }
+    }
+    for (const [id, rule] of Object.entries(RULES)) {
+      const [severity, ruleOptions] = [].concat(rules[id] ?? rule.severity);
+      if (!SEVERITIES.includes(severity)) {
+        throw new CampaignError(
+          `Invalid severity ${severity} of lint rule ${id}, expected one of ${SEVERITIES.join(", ")}.`,
+        );
+      }
+      if (severity !== "off") {
+        this.rules[id] = { severity, options: { ...rule.options, ...ruleOptions } };
+      }
+    }
+  }
+
+  /**
+   * Loads the rules configuration of a project.
+   *
+   * @param {string} filepath - JSON file, e.g. acc.lint.json, with a "rules" object
+   * @returns {Object} Configuration of the rules by id
+   * @throws {CampaignError} Throws if the file doesn't exist or isn't valid JSON
+   *
+   * @example
+   * const lint = new CampaignLint({ rules: CampaignLint.loadConfig('./acc.lint.json') });
+   */
+  static loadConfig(filepath) {
+    if (!fs.existsSync(filepath)) {
+      throw new CampaignError(`Lint config file ${filepath} doesn't exist.`);
+    }
+    try {
+      return fs.readJsonSync(filepath).rules || {};
+    } catch (err) {
+      throw new CampaignError(
+        `Lint config file ${filepath} isn't valid JSON: ${err.message}`,
+        { cause: err },
+      );
+    }
+  }
+
+  /**
+   * Lints the files produced by pull(), logging the problems file by file.
+   *
+   * @param {Object} options - Lint options
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {string[]} [options.files] - Files or folders to lint, relative to the root folder. Defaults to the whole root folder.
+   * @returns {Object} { path, files, errors, warnings, notes, problems: [{ file, line, column, rule, severity, message }] },
+   * files relative to the root folder
+   * @throws {CampaignError} Throws if a file or folder doesn't exist
+   *
+   * @example
+   * const result = lint.lint({ path: './dist/prod' });
+   * if (result.errors) process.exitCode = 1;
+   */
+  lint(options) {
+    const rootPath = path.resolve(options.path);
+    const entries = options.files && options.files.length ? options.files : [rootPath];
+    const result = { path: rootPath, files: 0, errors: 0, warnings: 0, notes: 0, problems: [] };
+
+    this.logger.info(`🔍 Linting ${rootPath}...`);
+    for (const filepath of entries.flatMap((entry) =>
+      listFiles(path.resolve(rootPath, entry)),
+    )) {
+      if (!EXTENSIONS.includes(path.extname(filepath).toLowerCase())) {
+        continue;
+      }
+      const file = path.relative(rootPath, filepath).split(path.sep).join("/");
+      result.files++;
+      const problems = this.lintText(file, fs.readFileSync(filepath, "utf8"));
+      if (problems.length) {
+        this.logger.info(chalk.underline(file));
+      }
+      for (const problem of problems) {
+        const log = problem.severity === "error" ? chalk.red : chalk.yellow;
+        this.logger.info(
+          `  ${`${problem.line}:${problem.column}`.padEnd(8)} ${log(problem.severity.padEnd(7))} ${problem.message}  ${chalk.dim(problem.rule)}`,
+        );
+        result.problems.push(problem);
+        result[`${problem.severity}s`]++;
+      }
+    }
+    const summary = `${result.problems.length} problem(s) in ${result.files} file(s): ${result.errors} error(s), ${result.warnings} warning(s), ${result.notes} note(s).`;
+    if (result.errors) {
+      this.logger.error(`❌ ${summary}`);
+    } else if (result.problems.length) {
+      this.logger.warn(`⚠️ ${summary}`);
+    } else {
+      this.logger.info(`✅ ${summary}`);
+    }
+    return result;
+  }
+
+  /**
+   * Lints the content of a file: JavaScript, a JSSP page, or an XML record with scripts.
+   *
+   * @param {string} file - Filename, its extension selects how the code is extracted
+   * @param {string} content - Content of the file
+   * @returns {Array<Object>} Problems { file, line, column, rule, severity, message }, sorted by position
+   *
+   * @example
+   * lint.lintText('utils.js', 'logInfo(a);');
+   */
+  lintText(file, content) {
+    const text = extractCode(file, content);
+    const code = blankComments(text);
+    const lines = content.split("\n");
+    const lineStarts = [0];
+    for (const line of lines) {
+      lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+    }
+
+    const problems = [];
+    for (const [id, { severity, options }] of Object.entries(this.rules)) {
+      for (const { index, message } of RULES[id].check({ text, code, options })) {
+        let line = 0;
+        while (lineStarts[line + 1] <= index) {
+          line++;
+        }
+        if (
+          lines[line].includes("acc-lint-disable-line") ||
+          (line > 0 && lines[line - 1].includes("acc-lint-disable-next-line"))
+        ) {
+          continue;
+        }
+        problems.push({
+          file,
+          line: line + 1,
+          column: index - lineStarts[line] + 1,
+          rule: id,
+          severity,
+          message,
+        });
+      }
+    }
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Converts the result of lint() to a SARIF 2.1.0 log, e.g. for code scanning, with paths relative to the root folder.
+   *
+   * @param {Object} result - Result of lint()
+   * @returns {Object} SARIF log
+   *
+   * @example
+   * fs.writeJsonSync('lint.sarif', lint.toSARIF(result), { spaces: 2 });
+   */
+  toSARIF(result) {
+    const ids = Object.keys(this.rules);
+    return {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "campaign-cli",
+              informationUri: "https://github.com/myrosblog/campaign-cli",
+              rules: ids.map((id) => ({
+                id,
+                shortDescription: { text: RULES[id].description },
+                defaultConfiguration: { level: this.rules[id].severity },
+              })),
+            },
+          },
+          originalUriBaseIds: {
+            ROOT: { uri: "file://" + encodeURI(result.path.split(path.sep).join("/")) + "/" },
+          },
+          results: result.problems.map((problem) => ({
+            ruleId: problem.rule,
+            ruleIndex: ids.indexOf(problem.rule),
+            level: problem.severity,
+            message: { text: problem.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: encodeURI(problem.file), uriBaseId: "ROOT" },
+                  region: { startLine: problem.line, startColumn: problem.column },
+                },
+              },
+            ],
+          })),
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Lists files recursively, in a deterministic order, without the manifest and hidden files such as .git.
+ *
+ * @param {string} filepath - File or folder path
+ * @returns {string[]} Absolute file paths
+ * @throws {CampaignError} Throws if the path doesn't exist
+ * @private
+ */
+function listFiles(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new CampaignError(`File or folder ${filepath} doesn't exist.`);
+  }
+  if (!fs.statSync(filepath).isDirectory()) {
+    return [filepath];
+  }
+  return fs
+    .readdirSync(filepath)
+    .filter((child) => child !== CampaignManifest.FILENAME && !child.startsWith("."))
+    .sort()
+    .flatMap((child) => listFiles(path.join(filepath, child)));
+}
+
+/**
+ * Keeps the characters of some ranges of a text, the others being replaced by spaces, new lines excepted.
+ *
+ * @param {string} text - Text
+ * @param {Array<Array<number>>} ranges - [start, end] ranges to keep
+ * @returns {string} Text of the same length
+ * @private
+ */
+function keepRanges(text, ranges) {
+  const chars = text.replace(/[^\n]/g, " ").split("");
+  for (const [start, end] of ranges) {
+    for (let index = start; index < end; index++) {
+      chars[index] = text[index];
+    }
+  }
+  return chars.join("");
+}
+
+/**
+ * Extracts the JavaScript of a file, at the same positions:
+ * - .js files are JavaScript, unless they start with "<", e.g. JSSP pages pulled as .js
+ * - .jssp files are JSSP pages, whose code is in <% %> and <%= %> blocks
+ * - .xml files hold code in <script> and <initScript> elements, and in <data> for javascript and jssp records
+ *
+ * @param {string} file - Filename
+ * @param {string} content - Content of the file
+ * @returns {string} Text of the same length as the content, with spaces out of the code
+ * @private
+ */
+function extractCode(file, content) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".js" && !/^\s*</.test(content)) {
+    return content;
+  }
+  if (extension !== ".xml") {
+    return keepRanges(content, templateRanges(content, 0, content.length));
+  }
+
+  const ranges = [];
+  const root = /<([\w:-]+)/.exec(content.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, (m) => " ".repeat(m.length)));
+  const elements = [...SCRIPT_ELEMENTS];
+  if (root && ["javascript", "jssp"].includes(root[1])) {
+    elements.push("data");
+  }
+  const pattern = new RegExp(`<(${elements.join("|")})\\b[^>]*?(?<!/)>([\\s\\S]*?)</\\1>`, "g");
+  for (const match of content.matchAll(pattern)) {
+    const start = match.index + match[0].indexOf(">") + 1;
+    const end = start + match[2].length;
+    const isTemplate = match[1] === "data" && root[1] === "jssp";
+    const cdata = [...match[2].matchAll(/<!\[CDATA\[([\s\S]*?)\]\]>/g)];
+    const parts = cdata.length
+      ? cdata.map((section) => [start + section.index + 9, start + section.index + 9 + section[1].length])
+      : [[start, end]];
+    for (const [partStart, partEnd] of parts) {
+      ranges.push(...(isTemplate ? templateRanges(content, partStart, partEnd) : [[partStart, partEnd]]));
+    }
+  }
+  const text = keepRanges(content, ranges);
+  // entities of the code outside CDATA, at the same length: "&quot;" becomes '"     '
+  return text.replace(/&(lt|gt|amp|quot|apos);/g, (entity, name) =>
+    ({ lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" })[name].padEnd(entity.length),
+  );
+}
+
+/**
+ * Finds the code of the <% %> and <%= %> blocks of a JSSP page, directives <%@ %> excepted.
+ *
+ * @param {string} content - Content holding the page
+ * @param {number} start - Start of the page in the content
+ * @param {number} end - End of the page in the content
+ * @returns {Array<Array<number>>} [start, end] ranges of code
+ * @private
+ */
+function templateRanges(content, start, end) {
+  const ranges = [];
+  const page = content.slice(start, end);
+  for (const match of page.matchAll(/<%(?!@)(=?)([\s\S]*?)%>/g)) {
+    const codeStart = start + match.index + 2 + match[1].length;
+    ranges.push([codeStart, codeStart + match[2].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Replaces the comments of JavaScript by spaces, at the same positions, skipping strings.
+ *
+ * @param {string} text - JavaScript
+ * @returns {string} JavaScript without comments
+ * @private
+ */
+function blankComments(text) {
+  let result = "";
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      result += char;
+      if (char === "\\") {
+        result += text[++index] ?? "";
+      } else if (char === quote || (char === "\n" && quote !== "`")) {
+        quote = null;
+      }
+    } else if (char === "/" && (text[index + 1] === "/" || text[index + 1] === "*")) {
+      const close = text[index + 1] === "/" ? "\n" : "*/";
+      const found = text.indexOf(close, index + 2);
+      const commentEnd = found === -1 ? text.length : close === "\n" ? found : found + 2;
+      result += text.slice(index, commentEnd).replace(/[^\n]/g, " ");
+      index = commentEnd - 1;
+    } else {
+      if (char === '"' || char === "'" || char === "`") {
+        quote = char;
+      }
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Gets the text of a call argument list, up to its closing parenthesis.
+ *
+ * @param {string} code - JavaScript
+ * @param {number} start - Position following the opening parenthesis
+ * @returns {string} Arguments
+ * @private
+ */
+function balancedArgument(code, start) {
+  let depth = 1;
+  let index = start;
+  for (; index < code.length && depth; index++) {
+    if (code[index] === "(") {
+      depth++;
+    } else if (code[index] === ")") {
+      depth--;
+    }
+  }
+  return code.slice(start, index - 1);
+}
+
+export default CampaignLint;
@@ -0,0 +1,159 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import { stripVTControlCharacters } from "node:util";
+// acc
+import CampaignError from "./CampaignError.js";
+
+/**
+ * Log levels, from the most to the least important
+ * @constant {string[]}
+ * @private
+ */
+const LEVELS = ["error", "warn", "info", "debug"];
+
+/**
+ * Campaign Logger class for the output of CampaignAuth and CampaignInstance.
+ * Messages below the level are dropped, colors are removed when the terminal doesn't
+ * support them or NO_COLOR is set, and every message is also appended to the log file.
+ * Library users can inject any object with error, warn, info and debug methods instead.
+ *
+ * @class CampaignLogger
+ * @classdesc Leveled logger for the console and an optional log file
+ */
+class CampaignLogger {
+  /**
+   * Creates a new CampaignLogger.
+   *
+   * @param {Object} [options] - Logger options, see configure()
+   *
+   * @example
+   * const logger = new CampaignLogger({ level: 'debug', logFile: './acc.log' });
+   * const auth = new CampaignAuth(sdk, config, vault, logger);
+   */
+  constructor(options = {}) {
+    this.level = "info";
+    this.color = CampaignLogger.supportsColor(process.stdout);
+    this.stderr = false;
+    this.logFile = null;
+    this.configure(options);
+  }
+
+  /**
+   * Changes the options of the logger, e.g. once the command line is parsed.
+   *
+   * @param {Object} options - Logger options, the others are left untouched
+   * @param {string} [options.level] - error, warn, info or debug
+   * @param {boolean} [options.color] - Keep the colors of the messages
+   * @param {boolean} [options.stderr] - Write all messages to stderr, e.g. to keep stdout for a JSON result
+   * @param {string} [options.logFile] - Path of a file where all messages are appended, debug included
+   * @returns {CampaignLogger} The same logger, for chaining
+   * @throws {CampaignError} Throws if the level is unknown
+   *
+   * @example
+   * logger.configure({ level: 'warn', color: false });
+   */
+  configure(options) {
+    if (options.level !== undefined && !LEVELS.includes(options.level)) {
+      throw new CampaignError(
+        `Invalid log level ${options.level}, expected one of ${LEVELS.join(", ")}.`,
+      );
+    }
+    for (const key of ["level", "color", "stderr", "logFile"]) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Tells whether colors should be written to a stream: not with NO_COLOR,
+   * always with FORCE_COLOR, else only to a terminal.
+   *
+   * @param {Object} stream - Output stream, e.g. process.stdout
+   * @param {Object} [env] - Environment variables
+   * @returns {boolean} True if colors are supported
+   *
+   * @example
+   * CampaignLogger.supportsColor(process.stdout, { NO_COLOR: '1' }); // false
+   */
+  static supportsColor(stream, env = process.env) {
+    if (env.NO_COLOR) {
+      return false;
+    }
+    if (env.FORCE_COLOR) {
+      return env.FORCE_COLOR !== "0";
+    }
+    return Boolean(stream && stream.isTTY);
+  }
+
+  /**
+   * Logs an error, e.g. a failed command.
+   *
+   * @param {string} message - Message to log
+   * @returns {void}
+   */
+  error(message) {
+    this._log("error", message);
+  }
+
+  /**
+   * Logs a warning, e.g. a failed query which doesn't stop the command.
+   *
+   * @param {string} message - Message to log
+   * @returns {void}
+   */
+  warn(message) {
+    this._log("warn", message);
+  }
+
+  /**
+   * Logs the progress of a command.
+   *
+   * @param {string} message - Message to log
+   * @returns {void}
+   */
+  info(message) {
+    this._log("info", message);
+  }
+
+  /**
+   * Logs details, only output with --verbose.
+   *
+   * @param {string} message - Message to log
+   * @returns {void}
+   */
+  debug(message) {
+    this._log("debug", message);
+  }
+
+  /**
+   * Writes a message to the log file, and to the console if its level is enabled:
+   * errors and warnings to stderr, the others to stdout.
+   *
+   * @param {string} level - Level of the message
+   * @param {string} message - Message to log
+   * @returns {void}
+   */
+  _log(level, message) {
+    if (this.logFile) {
+      fs.ensureDirSync(path.dirname(this.logFile));
+      fs.appendFileSync(
+        this.logFile,
+        `${new Date().toISOString()} ${level.toUpperCase()} ${stripVTControlCharacters(String(message))}\n`,
+      );
+    }
+    if (LEVELS.indexOf(level) > LEVELS.indexOf(this.level)) {
+      return;
+    }
+    const text = this.color ? message : stripVTControlCharacters(String(message));
+    if (this.stderr || level === "error" || level === "warn") {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+export default CampaignLogger;
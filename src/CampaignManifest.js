@@ -0,0 +1,164 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import crypto from "node:crypto";
+
+/**
+ * Campaign Manifest class for the local sync manifest written by pull.
+ * Maps each local file to its server entity: schema, key attributes,
+ * @lastModified and content hash at the time of the last sync.
+ *
+ * @class CampaignManifest
+ * @classdesc Local ↔ server mapping of pulled files
+ */
+class CampaignManifest {
+  /**
+   * Filename of the manifest, at the root of the pull folder
+   * @type {string}
+   */
+  static FILENAME = "acc.manifest.json";
+
+  /**
+   * Loads the manifest of a pull folder, or starts an empty one.
+   *
+   * @param {string} rootPath - Root folder of the pulled files
+   *
+   * @example
+   * const manifest = new CampaignManifest('/path/to/download');
+   * manifest.get('/Forms/cus/recipient.xml'); // { schema, keys, lastModified, hash }
+   */
+  constructor(rootPath) {
+    this.filepath = path.join(rootPath, CampaignManifest.FILENAME);
+    const data = fs.existsSync(this.filepath)
+      ? fs.readJsonSync(this.filepath)
+      : {};
+    /**
+     * Entries by filename relative to the root folder
+     * @type {Object<string, {schema: string, keys: Object, lastModified: string, hash: string}>}
+     */
+    this.entities = data.entities || {};
+    /**
+     * Schemas by filename of the entries removed by a full pull, whose files are kept until pruned
+     * @type {Object<string, string>}
+     */
+    this.removed = data.removed || {};
+  }
+
+  /**
+   * Computes the hash stored in the manifest for a file content.
+   *
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   *
+   * @example
+   * CampaignManifest.hash('<form/>');
+   */
+  static hash(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  /**
+   * Gets the entry of a local file.
+   *
+   * @param {string} filename - Filename relative to the root folder, e.g. "/Forms/cus/recipient.xml"
+   * @returns {Object|undefined} { schema, keys, lastModified, hash }
+   */
+  get(filename) {
+    return this.entities[filename];
+  }
+
+  /**
+   * Records a local file and its server entity.
+   *
+   * @param {string} filename - Filename relative to the root folder
+   * @param {Object} entry - { schema, keys, lastModified, content }
+   * @returns {void}
+   */
+  set(filename, { schema, keys, lastModified, content }) {
+    delete this.removed[filename];
+    this.entities[filename] = {
+      schema,
+      keys,
+      lastModified,
+      hash: CampaignManifest.hash(content),
+    };
+  }
+
+  /**
+   * Removes all entries of a schema, e.g. before a full pull of this schema, and its removed entries.
+   *
+   * @param {string} schemaId - Schema name
+   * @returns {string[]} Filenames of the removed entries, those of markRemoved() included
+   */
+  removeSchema(schemaId) {
+    const removed = [];
+    for (const [filename, entry] of Object.entries(this.entities)) {
+      if (entry.schema === schemaId) {
+        delete this.entities[filename];
+        removed.push(filename);
+      }
+    }
+    for (const [filename, schema] of Object.entries(this.removed)) {
+      if (schema === schemaId) {
+        delete this.removed[filename];
+        removed.push(filename);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Records a file removed from the manifest whose local file is kept, so that a later pull can prune it.
+   *
+   * @param {string} filename - Filename relative to the root folder
+   * @param {string} schemaId - Schema name of its entity
+   * @returns {void}
+   */
+  markRemoved(filename, schemaId) {
+    this.removed[filename] = schemaId;
+  }
+
+  /**
+   * Gets the most recent @lastModified recorded for a schema.
+   *
+   * @param {string} schemaId - Schema name
+   * @returns {string|null} Most recent @lastModified, or null if none is recorded
+   */
+  getLastModified(schemaId) {
+    let lastModified = null;
+    for (const entry of Object.values(this.entities)) {
+      // Campaign timestamps (YYYY-MM-DD HH:mm:ss.SSSZ) sort alphabetically
+      if (
+        entry.schema === schemaId &&
+        entry.lastModified &&
+        (!lastModified || entry.lastModified > lastModified)
+      ) {
+        lastModified = entry.lastModified;
+      }
+    }
+    return lastModified;
+  }
+
+  /**
+   * Writes the manifest, with entries sorted by filename for stable diffs.
+   *
+   * @returns {void}
+   */
+  save() {
+    const entities = {};
+    for (const filename of Object.keys(this.entities).sort()) {
+      entities[filename] = this.entities[filename];
+    }
+    const removed = {};
+    for (const filename of Object.keys(this.removed).sort()) {
+      removed[filename] = this.removed[filename];
+    }
+    fs.outputJsonSync(
+      this.filepath,
+      { version: 1, entities, removed },
+      { spaces: 2 },
+    );
+  }
+}
+
+export default CampaignManifest;
@@ -0,0 +1,1012 @@
+// npm
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "fs-extra";
+import path from "node:path";
+import sdk from "@adobe/acc-js-sdk";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+const { DomUtil } = sdk;
+
+/**
+ * Error code of an expired or invalid session, which makes the SDK log in again
+ * @constant {string}
+ * @private
+ */
+const SESSION_EXPIRED_CODE = "XSV-350008";
+
+/**
+ * Attributes identifying a written record, tried in order when it has no _key attribute
+ * @constant {string[][]}
+ * @private
+ */
+const KEY_ATTRIBUTES = [["namespace", "name"], ["internalName"], ["name"], ["id"]];
+
+/**
+ * Schemas of the methods called by the SDK, as returned by xtk:persist#GetEntityIfMoreRecent
+ * @constant {Object<string, string>}
+ * @private
+ */
+const METHOD_SCHEMAS = {
+  "xtk:builder": `<schema namespace="xtk" name="builder">
+  <element name="builder"/>
+  <methods>
+    <method name="InstallPackage" static="true">
+      <parameters><param name="parameters" type="DOMDocument"/></parameters>
+    </method>
+  </methods>
+</schema>`,
+  "xtk:queryDef": `<schema namespace="xtk" name="queryDef">
+  <element name="queryDef"/>
+  <methods>
+    <method name="ExecuteQuery" const="true">
+      <parameters><param name="output" type="DOMDocument" inout="out"/></parameters>
+    </method>
+    <method name="SelectAll" const="true">
+      <parameters><param name="duplicate" type="boolean"/></parameters>
+    </method>
+  </methods>
+</schema>`,
+  "xtk:session": `<schema namespace="xtk" name="session" implements="xtk:persist">
+  <interface name="persist">
+    <method name="Write" static="true">
+      <parameters><param name="doc" type="DOMDocument"/></parameters>
+    </method>
+    <method name="WriteCollection" static="true">
+      <parameters><param name="doc" type="DOMDocument"/></parameters>
+    </method>
+  </interface>
+  <element name="session"/>
+  <element name="userInfo"/>
+  <methods>
+    <method name="GetOption" static="true">
+      <parameters>
+        <param name="name" type="string"/>
+        <param name="value" type="string" inout="out"/>
+        <param name="type" type="byte" inout="out"/>
+      </parameters>
+    </method>
+    <method name="GetUserInfo" static="true">
+      <parameters><param name="userInfo" type="sessionUserInfo" inout="out"/></parameters>
+    </method>
+  </methods>
+</schema>`,
+};
+
+/**
+ * Tokens of a where expression: strings, dates, attributes, operators and words
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_EXPRESSION_TOKEN =
+  /\s*(?:('(?:\\.|[^'\\])*')|(#[^#]*#)|(@[\w-]+)|(<>|!=|<=|>=|=|<|>|\(|\)|,)|(-?\d+(?:\.\d+)?)|([a-zA-Z_]+))/y;
+
+/**
+ * Campaign Mock class for an offline Campaign SOAP server, for development and end-to-end tests.
+ * Records are XML files in a fixtures folder, one folder per schema, e.g. xtk/form/cus_a.xml for
+ * a record of xtk:form. The mock implements:
+ * - xtk:session#Logon and Logoff, with any credentials unless a user and password are set
+ * - xtk:session#GetOption, from the xtk:option records
+ * - xtk:persist#GetEntityIfMoreRecent of xtk:schema, generated from the fixture attributes for data schemas
+ * - xtk:queryDef#ExecuteQuery with select, get, getIfExists and count operations, where conditions
+ *   (=, !=, <, >, LIKE, IN, IS NULL, AND, OR, NOT), orderBy on attributes, startLine and lineCount.
+ *   SelectAll selects whole records.
+ * - xtk:session#Write and WriteCollection with the insert, update, insertOrUpdate and delete operations,
+ *   written to the fixtures folder
+ * - xtk:builder#InstallPackage, writing the entities of the package like Write
+ * - /r/test and /nl/jsp/ping.jsp
+ *
+ * @class CampaignMock
+ * @classdesc Mock Campaign SOAP server over a folder of fixture XML
+ */
+class CampaignMock {
+  /**
+   * Creates a new CampaignMock.
+   *
+   * @param {string} fixturesPath - Folder of the records, one sub-folder per schema, e.g. xtk/form
+   * @param {Object} [options] - Mock options
+   * @param {string} [options.user] - Login accepted by Logon, any login if not set
+   * @param {string} [options.password] - Password accepted by Logon
+   * @param {string} [options.instanceName] - Instance name returned in the server info
+   * @param {CampaignLogger} [options.logger] - Logger of the calls, or any object with error, warn, info and debug methods
+   * @throws {CampaignError} Throws if the fixtures folder doesn't exist
+   *
+   * @example
+   * const mock = new CampaignMock('./test/fixtures/mock');
+   * const url = await mock.start(0);
+   * // sdk.ConnectionParameters.ofUserAndPassword(url, 'admin', 'admin')
+   * await mock.stop();
+   */
+  constructor(fixturesPath, options = {}) {
+    if (!fs.existsSync(fixturesPath)) {
+      throw new CampaignError(`Fixtures folder ${fixturesPath} doesn't exist.`);
+    }
+    this.fixturesPath = fixturesPath;
+    this.user = options.user;
+    this.password = options.password;
+    this.instanceName = options.instanceName || "mock";
+    this.logger = options.logger || new CampaignLogger();
+    this.sessions = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @param {number} [port=8080] - Port, 0 for a random free port
+   * @param {string} [host=127.0.0.1] - Interface to listen on
+   * @returns {Promise<string>} URL of the server, to use as the host of an instance
+   *
+   * @example
+   * const url = await mock.start(8080); // http://127.0.0.1:8080
+   */
+  start(port = 8080, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        resolve(`http://${host}:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stops listening and closes the open connections.
+   *
+   * @returns {Promise<void>} Resolves when the server is closed
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Handles an HTTP request: SOAP calls on the SOAP router, and the test pages.
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @returns {Promise<void>}
+   */
+  async _handle(req, res) {
+    const start = Date.now();
+    const url = req.url.split("?")[0];
+    if (url === "/r/test") {
+      this._send(
+        res,
+        200,
+        `<redir status='OK' date='${formatDate(new Date())}' build='9999' instance='${this.instanceName}' host='localhost' localHost='localhost'/>`,
+      );
+      return;
+    }
+    if (url === "/nl/jsp/ping.jsp") {
+      this._send(res, 200, `OK\n${formatDate(new Date())}\n`, "text/plain");
+      return;
+    }
+    if (url !== "/nl/jsp/soaprouter.jsp" || req.method !== "POST") {
+      this._send(res, 404, "Not found", "text/plain");
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const action = String(req.headers.soapaction || "");
+    const methodName = action.split("#")[1] || "";
+    let body;
+    try {
+      const envelope = DomUtil.parse(Buffer.concat(chunks).toString("utf8"));
+      const method = DomUtil.getFirstChildElement(
+        DomUtil.findElement(envelope.documentElement, "SOAP-ENV:Body", true),
+      );
+      if (methodName !== "Logon") {
+        this._checkSession(req, method);
+      }
+      body = this._soapResponse(methodName, this._call(methodName, method));
+      this.logger.info(`- ${action} → 200 (${Date.now() - start}ms)`);
+    } catch (err) {
+      body = this._soapFault(err.message);
+      this.logger.warn(`- ${action} → fault: ${err.message}`);
+    }
+    this._send(res, 200, body);
+  }
+
+  /**
+   * Writes an HTTP response.
+   *
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {number} status - HTTP status
+   * @param {string} body - Response body
+   * @param {string} [contentType] - Content type, XML by default
+   * @returns {void}
+   */
+  _send(res, status, body, contentType = "text/xml;charset=utf-8") {
+    res.writeHead(status, { "Content-Type": contentType });
+    res.end(body);
+  }
+
+  /**
+   * Checks the session token of a SOAP call: a token returned by Logon, or any IMS bearer token.
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Element} method - Method element of the SOAP body
+   * @returns {void}
+   * @throws {CampaignError} Throws a session expired error otherwise, so that the client logs in again
+   */
+  _checkSession(req, method) {
+    if (/^Bearer \S+/.test(req.headers.authorization || "")) {
+      return;
+    }
+    const token =
+      req.headers["x-session-token"] ||
+      DomUtil.elementValue(DomUtil.findElement(method, "sessiontoken"));
+    if (!this.sessions.has(token)) {
+      throw new CampaignError(
+        `${SESSION_EXPIRED_CODE} Session has expired or is invalid.`,
+      );
+    }
+  }
+
+  /**
+   * Runs a SOAP method.
+   *
+   * @param {string} methodName - Method name, e.g. ExecuteQuery
+   * @param {Element} method - Method element of the SOAP body, with the parameters
+   * @returns {string} XML of the return values
+   * @throws {CampaignError} Throws if the method isn't implemented or fails
+   */
+  _call(methodName, method) {
+    switch (methodName) {
+      case "Logon":
+        return this._logon(
+          DomUtil.elementValue(DomUtil.findElement(method, "login")),
+          DomUtil.elementValue(DomUtil.findElement(method, "password")),
+        );
+      case "Logoff":
+        this.sessions.delete(
+          DomUtil.elementValue(DomUtil.findElement(method, "sessiontoken")),
+        );
+        return "";
+      case "GetOption":
+        return this._getOption(
+          DomUtil.elementValue(DomUtil.findElement(method, "name")),
+        );
+      case "GetUserInfo":
+        return elementParam("userInfo", this._userInfo("admin"));
+      case "GetEntityIfMoreRecent":
+        return elementParam(
+          "pdomDoc",
+          this._getSchema(DomUtil.elementValue(DomUtil.findElement(method, "pk"))),
+        );
+      case "SelectAll": {
+        const queryDef = findQueryDef(method);
+        let select = DomUtil.findElement(queryDef, "select");
+        if (!select) {
+          select = queryDef.ownerDocument.createElement("select");
+          queryDef.appendChild(select);
+        }
+        const node = queryDef.ownerDocument.createElement("node");
+        node.setAttribute("expr", "*");
+        select.appendChild(node);
+        return elementParam("entity", DomUtil.toXMLString(queryDef));
+      }
+      case "ExecuteQuery":
+        return elementParam("pdomOutput", this._executeQuery(findQueryDef(method)));
+      case "Write":
+        this._write(DomUtil.getFirstChildElement(DomUtil.findElement(method, "doc")));
+        return "";
+      case "WriteCollection": {
+        const collection = DomUtil.getFirstChildElement(
+          DomUtil.findElement(method, "doc"),
+        );
+        let record = DomUtil.getFirstChildElement(collection);
+        while (record) {
+          if (!record.hasAttribute("xtkschema") && collection.hasAttribute("xtkschema")) {
+            record.setAttribute("xtkschema", collection.getAttribute("xtkschema"));
+          }
+          this._write(record);
+          record = DomUtil.getNextSiblingElement(record);
+        }
+        return "";
+      }
+      case "InstallPackage": {
+        const root = DomUtil.getFirstChildElement(
+          DomUtil.findElement(method, "parameters"),
+        );
+        const packageElement =
+          root && root.nodeName === "pkgDesc"
+            ? DomUtil.getFirstChildElement(root, "package")
+            : root;
+        let entities =
+          packageElement && DomUtil.getFirstChildElement(packageElement, "entities");
+        while (entities) {
+          let record = DomUtil.getFirstChildElement(entities);
+          while (record) {
+            record.setAttribute("xtkschema", entities.getAttribute("schema"));
+            this._write(record);
+            record = DomUtil.getNextSiblingElement(record);
+          }
+          entities = DomUtil.getNextSiblingElement(entities, "entities");
+        }
+        return "";
+      }
+      default:
+        throw new CampaignError(`Method ${methodName} isn't implemented by the mock server.`);
+    }
+  }
+
+  /**
+   * Opens a session.
+   *
+   * @param {string} login - Login
+   * @param {string} password - Password
+   * @returns {string} XML of the session token, session info and security token
+   * @throws {CampaignError} Throws if the credentials don't match the mock ones
+   */
+  _logon(login, password) {
+    if (this.user !== undefined && (login !== this.user || password !== this.password)) {
+      throw new CampaignError("XSV-350047 Invalid login or password.");
+    }
+    const sessionToken = crypto.randomUUID();
+    this.sessions.set(sessionToken, { login });
+    return [
+      stringParam("pstrSessionToken", sessionToken),
+      elementParam(
+        "pSessionInfo",
+        `<sessionInfo><serverInfo buildNumber="9999" releaseName="mock" majNumber="8" minNumber="0" servicePack="0" instanceName="${escapeXml(this.instanceName)}" serverDate="${formatDate(new Date())}"/>${this._userInfo(login)}</sessionInfo>`,
+      ),
+      stringParam("pstrSecurityToken", crypto.randomUUID()),
+    ].join("");
+  }
+
+  /**
+   * @param {string} login - Login of the session
+   * @returns {string} XML of the user info of a session
+   */
+  _userInfo(login) {
+    return `<userInfo login="${escapeXml(login)}" loginId="1" locale="en" timezone="UTC"><login-right right="admin"/></userInfo>`;
+  }
+
+  /**
+   * Gets the value of an option, from the xtk:option records.
+   *
+   * @param {string} name - Option name
+   * @returns {string} XML of the value and type, empty for an unknown option
+   */
+  _getOption(name) {
+    const record = (this._readRecords("xtk:option") || []).find(
+      ({ element }) => element.getAttribute("name") === name,
+    );
+    const option = record ? record.element : null;
+    const value = option
+      ? ["stringValue", "longValue", "doubleValue", "timeStampValue"]
+          .map((attribute) => option.getAttribute(attribute))
+          .find((attribute) => attribute !== null)
+      : "";
+    const type = option ? option.getAttribute("dataType") || "6" : "0";
+    return stringParam("value", value ?? "") + `<type xsi:type='xsd:byte'>${type}</type>`;
+  }
+
+  /**
+   * Gets a schema: the built-in ones of the SDK methods, or one generated from the
+   * attributes and elements of the fixture records.
+   *
+   * @param {string} pk - Entity primary key, e.g. xtk:schema|xtk:form
+   * @returns {string} XML of the schema, empty if it doesn't exist
+   */
+  _getSchema(pk) {
+    const [entityType, schemaId] = pk.split("|");
+    if (entityType !== "xtk:schema") {
+      return "";
+    }
+    if (METHOD_SCHEMAS[schemaId]) {
+      return METHOD_SCHEMAS[schemaId];
+    }
+    const records = this._readRecords(schemaId);
+    if (!records) {
+      return "";
+    }
+    const [namespace, name] = schemaId.split(":");
+    const attributes = new Set();
+    const elements = new Set();
+    for (const { element } of records) {
+      for (const attribute of Array.from(element.attributes)) {
+        attributes.add(attribute.name);
+      }
+      let child = DomUtil.getFirstChildElement(element);
+      while (child) {
+        elements.add(child.nodeName);
+        child = DomUtil.getNextSiblingElement(child);
+      }
+    }
+    return `<schema namespace="${namespace}" name="${name}"><element name="${name}">${[
+      ...Array.from(attributes, (attribute) => `<attribute name="${attribute}"/>`),
+      ...Array.from(elements, (element) => `<element name="${element}"/>`),
+    ].join("")}</element></schema>`;
+  }
+
+  /**
+   * Runs a query on the fixture records.
+   *
+   * @param {Element} queryDef - queryDef element of the call
+   * @returns {string} XML of the result: a collection for select, a record for get, a count for count
+   * @throws {CampaignError} Throws if the operation isn't supported or get finds no record
+   */
+  _executeQuery(queryDef) {
+    const schemaId = queryDef.getAttribute("schema");
+    const operation = queryDef.getAttribute("operation") || "select";
+    const name = schemaId.split(":")[1];
+    const where = DomUtil.findElement(queryDef, "where");
+    const matches = (this._readRecords(schemaId) || [])
+      .map(({ element }) => element)
+      .filter((element) => !where || evaluateConditions(where, element));
+
+    const orderBy = DomUtil.findElement(queryDef, "orderBy");
+    let sort = DomUtil.getFirstChildElement(orderBy, "node");
+    const sorts = [];
+    while (sort) {
+      const expr = sort.getAttribute("expr");
+      if (!/^@[\w-]+$/.test(expr)) {
+        throw new CampaignError(
+          `Order by expression ${expr} isn't supported by the mock server.`,
+        );
+      }
+      sorts.push({
+        name: expr.slice(1),
+        desc: sort.getAttribute("sortDesc") === "true",
+      });
+      sort = DomUtil.getNextSiblingElement(sort, "node");
+    }
+    matches.sort((a, b) => {
+      for (const { name, desc } of sorts) {
+        const values = [a, b].map((record) => record.getAttribute(name) ?? "");
+        const numeric = values.every((value) => value !== "" && !isNaN(value));
+        const order = compare(...(numeric ? values.map(Number) : values));
+        if (order !== 0) {
+          return desc ? -order : order;
+        }
+      }
+      return 0;
+    });
+
+    const select = DomUtil.findElement(queryDef, "select");
+    const exprs = [];
+    let node = DomUtil.getFirstChildElement(select, "node");
+    while (node) {
+      exprs.push(node.getAttribute("expr"));
+      node = DomUtil.getNextSiblingElement(node, "node");
+    }
+    const project = (element) => projectRecord(element, exprs);
+
+    switch (operation) {
+      case "count":
+        return `<${name} count="${matches.length}"/>`;
+      case "get":
+        if (!matches.length) {
+          throw new CampaignError(`No ${schemaId} record matches the query.`);
+        }
+        return project(matches[0]);
+      case "getIfExists":
+        return matches.length ? project(matches[0]) : `<${name}/>`;
+      case "select": {
+        const startLine = Number(queryDef.getAttribute("startLine") || 0);
+        const lineCount = queryDef.hasAttribute("lineCount")
+          ? Number(queryDef.getAttribute("lineCount"))
+          : matches.length;
+        return `<${name}-collection>${matches
+          .slice(startLine, startLine + lineCount)
+          .map(project)
+          .join("")}</${name}-collection>`;
+      }
+      default:
+        throw new CampaignError(
+          `Operation ${operation} isn't implemented by the mock server.`,
+        );
+    }
+  }
+
+  /**
+   * Writes a record to the fixtures folder, according to its _operation attribute.
+   *
+   * @param {Element} record - Written record, with its xtkschema attribute
+   * @returns {void}
+   * @throws {CampaignError} Throws if the schema is missing, or the record exists for insert or doesn't for update
+   */
+  _write(record) {
+    const schemaId = record && record.getAttribute("xtkschema");
+    if (!schemaId) {
+      throw new CampaignError("Written document has no xtkschema attribute.");
+    }
+    const operation = record.getAttribute("_operation") || "insertOrUpdate";
+    const keyNames = record.hasAttribute("_key")
+      ? record.getAttribute("_key").split(",").map((key) => key.trim().replace(/^@/, ""))
+      : KEY_ATTRIBUTES.find((names) => names.every((name) => record.hasAttribute(name)));
+    if (!keyNames) {
+      throw new CampaignError(`Written ${schemaId} record has no key attribute.`);
+    }
+    const existing = (this._readRecords(schemaId) || []).find(({ element }) =>
+      keyNames.every(
+        (name) => element.getAttribute(name) === record.getAttribute(name),
+      ),
+    );
+    for (const name of ["_operation", "_key", "xtkschema"]) {
+      record.removeAttribute(name);
+    }
+
+    if (operation === "delete") {
+      if (existing) {
+        fs.removeSync(existing.filepath);
+      }
+      return;
+    }
+    if (operation === "insert" && existing) {
+      throw new CampaignError(`${schemaId} record already exists.`);
+    }
+    if (operation === "update" && !existing) {
+      throw new CampaignError(`${schemaId} record doesn't exist.`);
+    }
+    const element = existing ? mergeRecord(existing.element, record) : record;
+    element.setAttribute("lastModified", formatDate(new Date()));
+    const filepath = existing
+      ? existing.filepath
+      : path.join(
+          this._getSchemaFolder(schemaId),
+          keyNames
+            .map((name) => record.getAttribute(name))
+            .join("_")
+            .replace(/[^\w.-]/g, "_") + ".xml",
+        );
+    fs.outputFileSync(filepath, DomUtil.toXMLString(element));
+  }
+
+  /**
+   * @param {string} schemaId - Schema name, e.g. xtk:form
+   * @returns {string} Folder of the records of the schema, e.g. fixtures/xtk/form
+   */
+  _getSchemaFolder(schemaId) {
+    return path.join(this.fixturesPath, ...schemaId.split(":"));
+  }
+
+  /**
+   * Reads the records of a schema, in filename order.
+   *
+   * @param {string} schemaId - Schema name, e.g. xtk:form
+   * @returns {Array<{filepath: string, element: Element}>|null} Records, null if the schema has no folder
+   */
+  _readRecords(schemaId) {
+    const folder = this._getSchemaFolder(schemaId);
+    if (!fs.existsSync(folder)) {
+      return null;
+    }
+    return fs
+      .readdirSync(folder)
+      .filter((file) => file.endsWith(".xml"))
+      .sort()
+      .map((file) => {
+        const filepath = path.join(folder, file);
+        return {
+          filepath,
+          element: DomUtil.parse(fs.readFileSync(filepath, "utf8")).documentElement,
+        };
+      });
+  }
+
+  /**
+   * Wraps return values in a SOAP envelope.
+   *
+   * The response has no default namespace, so that the returned records are serialized without one.
+   *
+   * @param {string} methodName - Method name, e.g. ExecuteQuery
+   * @param {string} params - XML of the return values
+   * @returns {string} SOAP response
+   */
+  _soapResponse(methodName, params) {
+    return envelope(
+      `<${methodName}Response SOAP-ENV:encodingStyle='http://schemas.xmlsoap.org/soap/encoding/'>${params}</${methodName}Response>`,
+    );
+  }
+
+  /**
+   * @param {string} message - Error message
+   * @returns {string} SOAP fault
+   */
+  _soapFault(message) {
+    return envelope(
+      `<SOAP-ENV:Fault><faultcode>SOAP-ENV:Server</faultcode><faultstring>${escapeXml(message)}</faultstring><detail>${escapeXml(message)}</detail></SOAP-ENV:Fault>`,
+    );
+  }
+}
+
+/**
+ * @param {string} body - XML of the SOAP body
+ * @returns {string} SOAP envelope
+ * @private
+ */
+function envelope(body) {
+  return `<?xml version='1.0'?><SOAP-ENV:Envelope xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:ns='urn:wpp:default' xmlns:SOAP-ENV='http://schemas.xmlsoap.org/soap/envelope/'><SOAP-ENV:Body>${body}</SOAP-ENV:Body></SOAP-ENV:Envelope>`;
+}
+
+/**
+ * @param {string} name - Parameter name
+ * @param {string} value - String value
+ * @returns {string} XML of a string return value
+ * @private
+ */
+function stringParam(name, value) {
+  return `<${name} xsi:type='xsd:string'>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * @param {string} name - Parameter name
+ * @param {string} xml - XML of the element, empty for null
+ * @returns {string} XML of an element or document return value
+ * @private
+ */
+function elementParam(name, xml) {
+  return `<${name} xsi:type='ns:Element' SOAP-ENV:encodingStyle='http://xml.apache.org/xml-soap/literalxml'>${xml}</${name}>`;
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} Text escaped for XML
+ * @private
+ */
+function escapeXml(value) {
+  return DomUtil.escapeXmlString(String(value));
+}
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} Date in the Campaign format, e.g. 2024-01-15 14:30:45.123Z
+ * @private
+ */
+function formatDate(date) {
+  return date.toISOString().replace("T", " ");
+}
+
+/**
+ * @param {Element} method - Method element of a queryDef call
+ * @returns {Element} queryDef element, passed as the object of the call
+ * @throws {CampaignError} Throws if the call has no queryDef
+ * @private
+ */
+function findQueryDef(method) {
+  const queryDef = method.getElementsByTagName("queryDef")[0];
+  if (!queryDef) {
+    throw new CampaignError("Query has no queryDef element.");
+  }
+  return queryDef;
+}
+
+/**
+ * Copies the selected nodes of a record: attributes (@name), child elements (data, a/b),
+ * or the whole record (*, added by SelectAll).
+ *
+ * @param {Element} element - Record
+ * @param {string[]} exprs - Select expressions
+ * @returns {string} XML of the projected record
+ * @throws {CampaignError} Throws for other expressions
+ * @private
+ */
+function projectRecord(element, exprs) {
+  if (exprs.includes("*")) {
+    return DomUtil.toXMLString(element);
+  }
+  const projected = DomUtil.newDocument(element.nodeName).documentElement;
+  for (const expr of exprs) {
+    if (/^@[\w-]+$/.test(expr)) {
+      const name = expr.slice(1);
+      if (element.hasAttribute(name)) {
+        projected.setAttribute(name, element.getAttribute(name));
+      }
+    } else if (/^[\w-]+(\/[\w-]+)*$/.test(expr)) {
+      let source = element;
+      let target = projected;
+      const names = expr.split("/");
+      for (const [index, name] of names.entries()) {
+        source = DomUtil.findElement(source, name);
+        if (!source) {
+          break;
+        }
+        const last = index === names.length - 1;
+        const existing = DomUtil.findElement(target, name);
+        const copy = last
+          ? projected.ownerDocument.importNode(source, true)
+          : existing || projected.ownerDocument.createElement(name);
+        if (last && existing) {
+          target.replaceChild(copy, existing);
+        } else if (last || !existing) {
+          target.appendChild(copy);
+        }
+        target = copy;
+      }
+    } else {
+      throw new CampaignError(
+        `Select expression ${expr} isn't supported by the mock server.`,
+      );
+    }
+  }
+  return DomUtil.toXMLString(projected);
+}
+
+/**
+ * Merges a written record into the stored one: attributes are overridden,
+ * child elements replace the stored ones of the same name.
+ *
+ * @param {Element} stored - Stored record
+ * @param {Element} written - Written record
+ * @returns {Element} Stored record, modified
+ * @private
+ */
+function mergeRecord(stored, written) {
+  for (const attribute of Array.from(written.attributes)) {
+    stored.setAttribute(attribute.name, attribute.value);
+  }
+  let child = DomUtil.getFirstChildElement(written);
+  while (child) {
+    const next = DomUtil.getNextSiblingElement(child);
+    const copy = stored.ownerDocument.importNode(child, true);
+    const existing = DomUtil.findElement(stored, child.nodeName);
+    if (existing) {
+      stored.replaceChild(copy, existing);
+    } else {
+      stored.appendChild(copy);
+    }
+    child = next;
+  }
+  return stored;
+}
+
+/**
+ * Evaluates the conditions of a where element or of a condition group, from left to right:
+ * each condition is combined with the previous ones by its boolOperator, AND by default.
+ *
+ * @param {Element} parent - where or condition element
+ * @param {Element} record - Record
+ * @returns {boolean} True if the record matches
+ * @private
+ */
+function evaluateConditions(parent, record) {
+  let result = null;
+  let condition = DomUtil.getFirstChildElement(parent, "condition");
+  while (condition) {
+    let value = true;
+    if (condition.hasAttribute("expr")) {
+      value = evaluateExpression(condition.getAttribute("expr"), record);
+    }
+    if (DomUtil.getFirstChildElement(condition, "condition")) {
+      value = value && evaluateConditions(condition, record);
+    }
+    const operator = (condition.getAttribute("boolOperator") || "AND").toUpperCase();
+    if (result === null) {
+      result = value;
+    } else if (operator === "OR") {
+      result = result || value;
+    } else if (operator === "EXCEPT") {
+      result = result && !value;
+    } else {
+      result = result && value;
+    }
+    condition = DomUtil.getNextSiblingElement(condition, "condition");
+  }
+  return result ?? true;
+}
+
+/**
+ * Evaluates a where expression on a record, e.g. @name NOT LIKE 'xtk%' AND @builtIn = false.
+ *
+ * @param {string} expr - Expression
+ * @param {Element} record - Record
+ * @returns {boolean} True if the record matches
+ * @throws {CampaignError} Throws if the expression isn't supported
+ * @private
+ */
+function evaluateExpression(expr, record) {
+  const tokens = tokenize(expr);
+  let position = 0;
+  const peek = (offset = 0) => tokens[position + offset];
+  const isWord = (token, word) =>
+    token && token.type === "word" && token.value.toUpperCase() === word;
+  const fail = () => {
+    throw new CampaignError(
+      `Expression "${expr}" isn't supported by the mock server.`,
+    );
+  };
+  const expect = (value) => {
+    if (!peek() || peek().value !== value) {
+      fail();
+    }
+    position++;
+  };
+
+  const operand = () => {
+    const token = tokens[position++];
+    if (!token) {
+      fail();
+    }
+    switch (token.type) {
+      case "attribute":
+        return record.hasAttribute(token.value.slice(1))
+          ? record.getAttribute(token.value.slice(1))
+          : "";
+      case "string":
+        return token.value.slice(1, -1).replace(/\\(.)/g, "$1");
+      case "date":
+        return token.value.slice(1, -1);
+      case "number":
+        return Number(token.value);
+      case "word":
+        if (isWord(token, "TRUE") || isWord(token, "FALSE")) {
+          return isWord(token, "TRUE");
+        }
+    }
+    return fail();
+  };
+
+  const comparison = () => {
+    const left = operand();
+    if (isWord(peek(), "IS")) {
+      position++;
+      const not = isWord(peek(), "NOT");
+      position += not ? 1 : 0;
+      if (!isWord(peek(), "NULL")) {
+        fail();
+      }
+      position++;
+      return (left === "") !== not;
+    }
+    const not = isWord(peek(), "NOT");
+    position += not ? 1 : 0;
+    if (isWord(peek(), "LIKE")) {
+      position++;
+      return like(String(left), String(operand())) !== not;
+    }
+    if (isWord(peek(), "IN")) {
+      position++;
+      expect("(");
+      const values = [operand()];
+      while (peek() && peek().value === ",") {
+        position++;
+        values.push(operand());
+      }
+      expect(")");
+      return values.some((value) => compare(left, value) === 0) !== not;
+    }
+    if (not || !peek() || peek().type !== "operator") {
+      fail();
+    }
+    const operator = tokens[position++].value;
+    const order = compare(left, operand());
+    switch (operator) {
+      case "=":
+        return order === 0;
+      case "!=":
+      case "<>":
+        return order !== 0;
+      case "<":
+        return order < 0;
+      case "<=":
+        return order <= 0;
+      case ">":
+        return order > 0;
+      case ">=":
+        return order >= 0;
+    }
+    return fail();
+  };
+
+  const unary = () => {
+    if (isWord(peek(), "NOT")) {
+      position++;
+      return !unary();
+    }
+    if (peek() && peek().value === "(") {
+      position++;
+      const value = or();
+      expect(")");
+      return value;
+    }
+    return comparison();
+  };
+
+  const and = () => {
+    let value = unary();
+    while (isWord(peek(), "AND")) {
+      position++;
+      value = unary() && value;
+    }
+    return value;
+  };
+
+  const or = () => {
+    let value = and();
+    while (isWord(peek(), "OR")) {
+      position++;
+      value = and() || value;
+    }
+    return value;
+  };
+
+  const value = or();
+  if (position !== tokens.length) {
+    fail();
+  }
+  return value;
+}
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} expr - Expression
+ * @returns {Array<{type: string, value: string}>} Tokens
+ * @throws {CampaignError} Throws on an unexpected character
+ * @private
+ */
+function tokenize(expr) {
+  const types = ["string", "date", "attribute", "operator", "number", "word"];
+  const tokens = [];
+  REGEX_EXPRESSION_TOKEN.lastIndex = 0;
+  while (expr.slice(REGEX_EXPRESSION_TOKEN.lastIndex).trim()) {
+    const match = REGEX_EXPRESSION_TOKEN.exec(expr);
+    if (!match) {
+      throw new CampaignError(
+        `Expression "${expr}" isn't supported by the mock server.`,
+      );
+    }
+    const index = match.slice(1).findIndex((group) => group !== undefined);
+    tokens.push({ type: types[index], value: match[index + 1] });
+  }
+  return tokens;
+}
+
+/**
+ * Compares an attribute value with a constant: as booleans, numbers, or strings.
+ *
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {number} Negative, 0 or positive
+ * @private
+ */
+function compare(left, right) {
+  if (typeof left === "boolean" || typeof right === "boolean") {
+    const toBoolean = (value) => value === true || value === "true" || value === "1" || value === 1;
+    return Number(toBoolean(left)) - Number(toBoolean(right));
+  }
+  if (
+    (typeof left === "number" || typeof right === "number") &&
+    left !== "" &&
+    right !== "" &&
+    !isNaN(Number(left)) &&
+    !isNaN(Number(right))
+  ) {
+    return Number(left) - Number(right);
+  }
+  const a = String(left);
+  const b = String(right);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {string} value - Attribute value
+ * @param {string} pattern - LIKE pattern, with % and _ wildcards
+ * @returns {boolean} True if the value matches the pattern
+ * @private
+ */
+function like(value, pattern) {
+  const regex = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${regex}$`, "s").test(value);
+}
+
+export default CampaignMock;
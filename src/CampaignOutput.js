@@ -0,0 +1,137 @@
+// npm
+import chalk from "chalk";
+import { stripVTControlCharacters } from "node:util";
+// acc
+import CampaignError from "./CampaignError.js";
+
+/**
+ * Formats of the records written by CampaignOutput
+ * @constant {string[]}
+ * @private
+ */
+const FORMATS = ["table", "csv", "json", "ndjson"];
+
+/**
+ * Campaign Output class for writing query records as an aligned table, CSV, JSON or NDJSON.
+ * Records are flat objects, e.g. { "@name": "newsletter", "folder/@label": "Deliveries" },
+ * written in the order of the columns.
+ *
+ * @class CampaignOutput
+ * @classdesc Formatting of records for the console and files
+ */
+class CampaignOutput {
+  /**
+   * Supported formats
+   * @type {string[]}
+   */
+  static FORMATS = FORMATS;
+
+  /**
+   * Formats records.
+   *
+   * @param {Object[]} records - Flat records
+   * @param {string[]} columns - Columns, in order
+   * @param {string} format - table, csv, json or ndjson
+   * @returns {string} Formatted records, ending with a new line unless empty
+   * @throws {CampaignError} Throws if the format isn't supported
+   *
+   * @example
+   * CampaignOutput.format([{ '@name': 'a' }], ['@name'], 'csv'); // '@name\na\n'
+   */
+  static format(records, columns, format) {
+    switch (format) {
+      case "table":
+        return CampaignOutput.table(records, columns);
+      case "csv":
+        return (
+          CampaignOutput.csvLine(columns) +
+          records
+            .map((record) =>
+              CampaignOutput.csvLine(columns.map((column) => record[column])),
+            )
+            .join("")
+        );
+      case "json":
+        return JSON.stringify(records, null, 2) + "\n";
+      case "ndjson":
+        return records.map((record) => JSON.stringify(record) + "\n").join("");
+      default:
+        throw new CampaignError(
+          `Invalid format ${format}, expected one of ${FORMATS.join(", ")}.`,
+        );
+    }
+  }
+
+  /**
+   * Formats records as a table aligned on the widest value of each column, with a header.
+   *
+   * @param {Object[]} records - Flat records
+   * @param {string[]} columns - Columns, in order
+   * @returns {string} Table
+   *
+   * @example
+   * CampaignOutput.table([{ '@id': '1', '@email': 'ada@example.com' }], ['@id', '@email']);
+   * // @id  @email
+   * // ---  ---------------
+   * // 1    ada@example.com
+   */
+  static table(records, columns) {
+    const rows = records.map((record) =>
+      columns.map((column) => toText(record[column]).replace(/\s*\n\s*/g, " ")),
+    );
+    const widths = columns.map((column, index) =>
+      Math.max(column.length, ...rows.map((row) => row[index].length)),
+    );
+    const line = (cells) =>
+      cells
+        .map((cell, index) => cell.padEnd(widths[index]))
+        .join("  ")
+        .trimEnd() + "\n";
+    return (
+      chalk.bold(line(columns).trimEnd()) +
+      "\n" +
+      line(widths.map((width) => "-".repeat(width))) +
+      rows.map(line).join("")
+    );
+  }
+
+  /**
+   * Formats a line of CSV (RFC 4180): values with the delimiter, quotes or new lines are quoted.
+   *
+   * @param {Array<*>} values - Values of the line
+   * @param {string} [delimiter=","] - Delimiter of the values, e.g. ";" or "\t"
+   * @returns {string} CSV line, ending with a new line
+   *
+   * @example
+   * CampaignOutput.csvLine(['a', 'b,c', 'say "hi"']); // 'a,"b,c","say ""hi"""\n'
+   */
+  static csvLine(values, delimiter = ",") {
+    return (
+      values
+        .map((value) => {
+          const text = toText(value);
+          return text.includes(delimiter) || /["\r\n]/.test(text)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        })
+        .join(delimiter) + "\n"
+    );
+  }
+}
+
+/**
+ * @param {*} value - Value of a record
+ * @returns {string} Text of the value, empty for null and undefined, JSON for objects
+ * @private
+ */
+function toText(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return stripVTControlCharacters(String(value));
+}
+
+export default CampaignOutput;
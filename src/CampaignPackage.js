@@ -0,0 +1,577 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import chalk from "chalk";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignInstance from "./CampaignInstance.js";
+
+/**
+ * Root attributes of a pulled record which are specific to its instance and left out of packages
+ * @constant {string[]}
+ * @private
+ */
+const INSTANCE_ATTRIBUTES = [
+  "id",
+  "created",
+  "lastModified",
+  "createdBy-id",
+  "modifiedBy-id",
+  "xtkschema",
+];
+
+/**
+ * Root child elements of a pulled record which are specific to its instance and left out of packages
+ * @constant {string[]}
+ * @private
+ */
+const INSTANCE_ELEMENTS = ["createdBy", "modifiedBy"];
+
+/**
+ * Timeout of the installation of a package, in milliseconds
+ * @constant {number}
+ * @private
+ */
+const INSTALL_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Campaign Package class for building Campaign packages from the files produced by pull(),
+ * and installing packages on an instance.
+ * When building, each file is mapped back to its schema and keys with the config filename patterns,
+ * and its record is added to the <entities> element of its schema.
+ * Schemas follow the order of the config, e.g. srcSchema before form, and records the order
+ * of their filenames, so that building the same files twice gives the same package.
+ *
+ * @class CampaignPackage
+ * @classdesc Campaign packages of local files, and their installation
+ */
+class CampaignPackage {
+  /**
+   * @param {CampaignInstance} instance - CampaignInstance of the config, mapping files to entities, and of the client installing packages
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Logger, defaults to the logger of the instance
+   *
+   * @example
+   * const campaignPackage = new CampaignPackage(instance, { logger });
+   * campaignPackage.build({ path: './dist/staging', files: ['Forms/cus'], out: './release/forms.xml' });
+   */
+  constructor(instance, options = {}) {
+    this.instance = instance;
+    this.logger = options.logger || instance.logger;
+  }
+
+  /**
+   * Builds a package XML file from local files.
+   *
+   * @param {Object} options - Build options
+   * @param {string} options.path - Root folder of the pulled files
+   * @param {string[]} [options.files] - Files, folders or glob patterns relative to the root folder, e.g. "Forms/cus/*.xml"
+   * @param {string} [options.list] - File listing more files, folders or glob patterns, one per line, # for comments
+   * @param {string} options.out - Package file to write
+   * @param {Object} [options.attributes] - Attributes of the <package> element, e.g. { name, namespace, label, vendor }
+   * @returns {Object} { path, count, entities: [{ schema, count }], skipped }
+   * @throws {CampaignError} Throws if a file or pattern matches nothing, or no file maps to an entity
+   *
+   * @example
+   * campaignPackage.build({
+   *   path: './dist/staging',
+   *   list: './release/files.txt',
+   *   out: './release/package.xml',
+   *   attributes: { name: 'release-42', namespace: 'cus' },
+   * });
+   */
+  build(options) {
+    const instance = this.instance;
+    const DomUtil = instance.client.DomUtil;
+    const rootPath = path.resolve(options.path);
+    const selection = [...(options.files || [])];
+    if (options.list) {
+      selection.push(...this._readList(options.list));
+    }
+    if (!selection.length) {
+      throw new CampaignError(
+        `No file to package, pass files, folders or patterns, or a list file.`,
+      );
+    }
+
+    this.logger.info(`📦 Building package from ${rootPath}...`);
+    // records by schema, then by filename
+    const records = new Map(instance.schemas.map((schemaId) => [schemaId, new Map()]));
+    let skipped = 0;
+    for (const filepath of this._selectFiles(rootPath, selection)) {
+      let filename = "/" + path.relative(rootPath, filepath).split(path.sep).join("/");
+      if (filename.endsWith(CampaignInstance.METADATA_SUFFIX)) {
+        // a metadata sidecar is packaged with its record file
+        const recordFilename = filename.slice(0, -CampaignInstance.METADATA_SUFFIX.length);
+        if (instance._resolveEntity(recordFilename)) {
+          filename = recordFilename;
+        }
+      }
+      const entity = instance._resolveEntity(filename);
+      if (!entity) {
+        skipped++;
+        this.logger.warn(`- ${filename}: not matching any schema, skipped.`);
+        continue;
+      }
+      if (records.get(entity.schemaId).has(filename)) {
+        continue;
+      }
+      const record = instance._deserializeRecord(
+        entity.schemaId,
+        entity.keys,
+        instance._readRecordFiles(rootPath, entity.schemaId, filename),
+      );
+      records.get(entity.schemaId).set(filename, record);
+      this.logger.debug(`- ${chalk.bgCyan(entity.schemaId)} ${filename}: added.`);
+    }
+
+    const doc = DomUtil.newDocument("package");
+    const root = doc.documentElement;
+    for (const [name, value] of Object.entries(options.attributes || {})) {
+      if (value !== undefined) {
+        root.setAttribute(name, value);
+      }
+    }
+    const entities = [];
+    for (const [schemaId, schemaRecords] of records) {
+      if (!schemaRecords.size) {
+        continue;
+      }
+      const entitiesElement = doc.createElement("entities");
+      entitiesElement.setAttribute("schema", schemaId);
+      for (const filename of [...schemaRecords.keys()].sort()) {
+        const record = doc.importNode(schemaRecords.get(filename), true);
+        this._removeInstanceData(record);
+        entitiesElement.appendChild(doc.createTextNode("\n    "));
+        entitiesElement.appendChild(record);
+      }
+      entitiesElement.appendChild(doc.createTextNode("\n  "));
+      root.appendChild(doc.createTextNode("\n  "));
+      root.appendChild(entitiesElement);
+      entities.push({ schema: schemaId, count: schemaRecords.size });
+    }
+    if (!entities.length) {
+      throw new CampaignError(
+        `No entity to package, none of the files matches a schema of the config.`,
+      );
+    }
+    root.appendChild(doc.createTextNode("\n"));
+
+    const outPath = path.resolve(options.out);
+    fs.outputFileSync(
+      outPath,
+      `<?xml version="1.0" encoding="UTF-8"?>\n${DomUtil.toXMLString(root)}\n`,
+    );
+    const count = entities.reduce((total, { count }) => total + count, 0);
+    this.logger.info(
+      `✅ ${count} record(s) of ${entities.length} schema(s) packaged to ${chalk.underline(outPath)}, ${skipped} skipped.`,
+    );
+    return { path: outPath, count, entities, skipped };
+  }
+
+  /**
+   * Installs a package file on the instance with xtk:builder#InstallPackage, in one call so that the server
+   * installs its entities in the order of the package, as the console does.
+   * Each entity is first validated against the schema of the instance: the schema must exist, the element
+   * match the schema, e.g. <form> for xtk:form, and its attributes and child elements exist in the schema.
+   * If an entity is invalid, nothing is installed. If the server fails, its message is reported on the
+   * entities it names, or on all the entities when it names none.
+   * With dryRun, all entities are validated and nothing is installed.
+   *
+   * @param {string} filepath - Package XML file, with a <package> or <pkgDesc> root element
+   * @param {Object} [options] - Install options
+   * @param {boolean} [options.dryRun] - Only validate the entities
+   * @returns {Promise<Object>} { path, dryRun, installed, valid, errors, skipped, entities: [{ schema, key, status, message }] },
+   * status being installed, valid, error or skipped
+   * @throws {CampaignError} Throws if the file doesn't exist, isn't a package or has no entity
+   *
+   * @example
+   * const result = await campaignPackage.install('./release/package.xml', { dryRun: true });
+   * if (result.errors) process.exitCode = 1;
+   */
+  async install(filepath, options = {}) {
+    const client = this.instance.client;
+    const packageElement = this._readPackage(filepath);
+    const entities = this._listEntities(packageElement, filepath);
+    const schemas = new Map();
+    const result = {
+      path: path.resolve(filepath),
+      dryRun: Boolean(options.dryRun),
+      installed: 0,
+      valid: 0,
+      errors: 0,
+      skipped: 0,
+      entities: [],
+    };
+
+    this.logger.info(
+      options.dryRun
+        ? `🔍 Validating package ${filepath} (dry run)...`
+        : `📦 Installing package ${filepath}...`,
+    );
+    for (const entity of entities) {
+      const report = { schema: entity.schema, key: entity.key, status: "valid", message: "✅ valid." };
+      try {
+        await this._validateEntity(entity, schemas);
+      } catch (err) {
+        report.status = "error";
+        report.message = err.message;
+      }
+      result.entities.push(report);
+    }
+
+    if (!options.dryRun) {
+      const invalid = result.entities.some(({ status }) => status === "error");
+      let serverMessage = "";
+      if (!invalid) {
+        try {
+          await client.NLWS.xml
+            .pushDown({ timeout: INSTALL_TIMEOUT })
+            .xtkBuilder.installPackage(this._packageDocument(packageElement));
+        } catch (err) {
+          serverMessage = err.message;
+        }
+      }
+      const named = result.entities.filter(({ key }) => namesEntity(serverMessage, key));
+      for (const report of result.entities) {
+        if (report.status === "error") {
+          continue;
+        }
+        if (invalid) {
+          report.status = "skipped";
+          report.message = "skipped, the package has invalid entities.";
+        } else if (!serverMessage) {
+          report.status = "installed";
+          report.message = "✅ installed.";
+        } else if (!named.length || named.includes(report)) {
+          report.status = "error";
+          report.message = serverMessage;
+        } else {
+          report.status = "skipped";
+          report.message = "skipped, the installation of the package failed.";
+        }
+      }
+    }
+
+    for (const report of result.entities) {
+      result[report.status === "error" ? "errors" : report.status]++;
+      this.logger[report.status === "error" ? "warn" : "info"](
+        `- ${chalk.bgCyan(report.schema)} ${report.key}: ${
+          report.status === "error" ? `⚠️ ${report.message}` : report.message
+        }`,
+      );
+    }
+    this.logger.info(
+      options.dryRun
+        ? `${result.valid} valid, ${result.errors} error(s).`
+        : `${result.installed} installed, ${result.errors} error(s), ${result.skipped} skipped.`,
+    );
+    return result;
+  }
+
+  /**
+   * Reads the <package> element of a package file.
+   *
+   * @param {string} filepath - Package XML file
+   * @returns {Object} XML element of the package
+   * @throws {CampaignError} Throws if the file doesn't exist, isn't XML or isn't a package
+   * @private
+   */
+  _readPackage(filepath) {
+    const DomUtil = this.instance.client.DomUtil;
+    if (!fs.existsSync(filepath)) {
+      throw new CampaignError(`Package file ${filepath} doesn't exist.`);
+    }
+    let root;
+    try {
+      root = DomUtil.parse(fs.readFileSync(filepath, "utf8")).documentElement;
+    } catch (err) {
+      throw new CampaignError(`Package file ${filepath} isn't valid XML: ${err.message}`);
+    }
+    const packageElement =
+      root.nodeName === "pkgDesc" ? DomUtil.getFirstChildElement(root, "package") : root;
+    if (!packageElement || packageElement.nodeName !== "package") {
+      throw new CampaignError(
+        `${filepath} isn't a Campaign package, expected a <package> root element.`,
+      );
+    }
+    return packageElement;
+  }
+
+  /**
+   * Lists the entities of a package, in order.
+   *
+   * @param {Object} packageElement - XML element of the package
+   * @param {string} filepath - Package XML file, for the messages
+   * @returns {Array<Object>} { schema, key, entities, element }, entities being the <entities> element
+   * @throws {CampaignError} Throws if an <entities> element has no schema, or the package has no entity
+   * @private
+   */
+  _listEntities(packageElement, filepath) {
+    const DomUtil = this.instance.client.DomUtil;
+    const entities = [];
+    let entitiesElement = DomUtil.getFirstChildElement(packageElement, "entities");
+    while (entitiesElement) {
+      const schema = entitiesElement.getAttribute("schema");
+      if (!schema) {
+        throw new CampaignError(`${filepath} has an <entities> element without schema.`);
+      }
+      let element = DomUtil.getFirstChildElement(entitiesElement);
+      while (element) {
+        entities.push({
+          schema,
+          key: entityKey(element, entities.length),
+          entities: entitiesElement,
+          element,
+        });
+        element = DomUtil.getNextSiblingElement(element);
+      }
+      entitiesElement = DomUtil.getNextSiblingElement(entitiesElement, "entities");
+    }
+    if (!entities.length) {
+      throw new CampaignError(`${filepath} has no entity to install.`);
+    }
+    return entities;
+  }
+
+  /**
+   * Checks that the schema of an entity exists on the instance, that its element matches the schema,
+   * and that its attributes and child elements, at any depth, exist in the schema.
+   * Attributes starting with _, e.g. _operation or _key, are left to the server.
+   *
+   * @param {Object} entity - Entity from _listEntities()
+   * @param {Map<string, Object|null>} schemas - Schemas already fetched, by schema name
+   * @returns {Promise<void>} Resolves if the entity is valid
+   * @throws {CampaignError} Throws if the entity is invalid
+   * @private
+   */
+  async _validateEntity(entity, schemas) {
+    if (!schemas.has(entity.schema)) {
+      schemas.set(
+        entity.schema,
+        await this.instance.client.application.getSchema(entity.schema),
+      );
+    }
+    const schema = schemas.get(entity.schema);
+    if (!schema) {
+      throw new CampaignError(`Schema ${entity.schema} doesn't exist on the instance.`);
+    }
+    const name = entity.schema.split(":")[1];
+    if (entity.element.nodeName !== name) {
+      throw new CampaignError(
+        `<${entity.element.nodeName}> isn't a record of ${entity.schema}, expected <${name}>.`,
+      );
+    }
+    const unknown = await this._findUnknownNode(schema.root, entity.element);
+    if (unknown) {
+      throw new CampaignError(`${unknown} doesn't exist in ${entity.schema}.`);
+    }
+  }
+
+  /**
+   * Finds the first attribute or child element of a record element which doesn't exist in its schema node.
+   * Links are checked against their target schema, and the content of ANY nodes isn't checked.
+   *
+   * @param {Object} node - Schema node of the element, from the SDK
+   * @param {Object} element - XML element of the record
+   * @param {string} [prefix] - Path of the element, for the result
+   * @returns {Promise<string|undefined>} Path of the unknown node, e.g. "input/@label", undefined if all exist
+   * @private
+   */
+  async _findUnknownNode(node, element, prefix = "") {
+    const DomUtil = this.instance.client.DomUtil;
+    if (node.ref) {
+      node = await node.refTarget();
+    }
+    if (node && node.type === "link") {
+      node = await node.linkTarget();
+    }
+    if (!node || node.type === "ANY") {
+      return undefined;
+    }
+    for (const { name } of Array.from(element.attributes)) {
+      if (name.startsWith("_") || name.startsWith("xmlns") || name === "xtkschema") {
+        continue;
+      }
+      // the foreign key of a link, e.g. folder-id
+      const path = name.endsWith("-id") ? name.slice(0, -3) : `@${name}`;
+      if (!(await node.findNode(path))) {
+        return `${prefix}@${name}`;
+      }
+    }
+    let child = DomUtil.getFirstChildElement(element);
+    while (child) {
+      const childNode =
+        (await node.findNode(child.nodeName)) ||
+        // attributes stored as XML elements, e.g. memos
+        (await node.findNode(`@${child.nodeName}`));
+      if (!childNode) {
+        return `${prefix}${child.nodeName}`;
+      }
+      if (!childNode.isAttribute) {
+        const unknown = await this._findUnknownNode(
+          childNode,
+          child,
+          `${prefix}${child.nodeName}/`,
+        );
+        if (unknown) {
+          return unknown;
+        }
+      }
+      child = DomUtil.getNextSiblingElement(child);
+    }
+    return undefined;
+  }
+
+  /**
+   * Builds the package description sent to the server, with all the entities of the package.
+   *
+   * @param {Object} packageElement - XML element of the package
+   * @returns {Object} XML document of a <pkgDesc>
+   * @private
+   */
+  _packageDocument(packageElement) {
+    const doc = this.instance.client.DomUtil.newDocument("pkgDesc");
+    doc.documentElement.appendChild(doc.importNode(packageElement, true));
+    return doc;
+  }
+
+  /**
+   * Reads the entries of a list file: one file, folder or pattern per line, blank lines and # comments ignored.
+   *
+   * @param {string} listPath - List file
+   * @returns {string[]} Entries
+   * @throws {CampaignError} Throws if the list file doesn't exist
+   * @private
+   */
+  _readList(listPath) {
+    if (!fs.existsSync(listPath)) {
+      throw new CampaignError(`List file ${listPath} doesn't exist.`);
+    }
+    return fs
+      .readFileSync(listPath, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Lists the files of a selection, each file once.
+   *
+   * @param {string} rootPath - Root folder of the pulled files
+   * @param {string[]} selection - Files, folders or glob patterns relative to the root folder
+   * @returns {string[]} Absolute file paths
+   * @throws {CampaignError} Throws if a file, folder or pattern matches nothing
+   * @private
+   */
+  _selectFiles(rootPath, selection) {
+    const files = new Set();
+    for (const entry of selection) {
+      if (!/[*?[]/.test(entry)) {
+        for (const filepath of this.instance._listFiles(path.resolve(rootPath, entry))) {
+          files.add(filepath);
+        }
+        continue;
+      }
+      const regex = globToRegExp(entry.replace(/\\/g, "/").replace(/^\.?\//, ""));
+      const matches = this.instance
+        ._listFiles(rootPath)
+        .filter((filepath) =>
+          regex.test(path.relative(rootPath, filepath).split(path.sep).join("/")),
+        );
+      if (!matches.length) {
+        throw new CampaignError(`No file matches ${entry} in ${rootPath}.`);
+      }
+      for (const filepath of matches) {
+        files.add(filepath);
+      }
+    }
+    return [...files];
+  }
+
+  /**
+   * Removes the attributes and elements of a record which only make sense on its instance.
+   *
+   * @param {Object} record - XML element of the record
+   * @returns {void}
+   * @private
+   */
+  _removeInstanceData(record) {
+    for (const name of INSTANCE_ATTRIBUTES) {
+      record.removeAttribute(name);
+    }
+    for (const child of [...record.childNodes]) {
+      if (child.nodeType === 1 && INSTANCE_ELEMENTS.includes(child.nodeName)) {
+        record.removeChild(child);
+      }
+    }
+  }
+}
+
+/**
+ * Describes an entity of a package by its keys, e.g. "cus:recipient" for a namespace and a name.
+ *
+ * @param {Object} element - XML element of the entity
+ * @param {number} index - Index of the entity in the package
+ * @returns {string} Key of the entity, or its position without key attribute
+ * @private
+ */
+function entityKey(element, index) {
+  const namespace = element.getAttribute("namespace");
+  const name = element.getAttribute("name");
+  if (namespace && name) {
+    return `${namespace}:${name}`;
+  }
+  return (
+    element.getAttribute("internalName") ||
+    name ||
+    element.getAttribute("id") ||
+    `#${index + 1}`
+  );
+}
+
+/**
+ * Tells whether a server message names an entity, by its whole key, e.g. cus:b but not cus:bb.
+ *
+ * @param {string} message - Server message
+ * @param {string} key - Entity key, from entityKey()
+ * @returns {boolean} True if the message names the entity
+ * @private
+ */
+function namesEntity(message, key) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\w:])${escaped}($|[^\\w:])`).test(message);
+}
+
+/**
+ * Converts a glob pattern to a regular expression matching relative filenames:
+ * `**` matches any folders, `*` any characters but `/`, `?` one of them, `[...]` a set.
+ *
+ * @param {string} pattern - Glob pattern, e.g. "Forms/cus/*.xml"
+ * @returns {RegExp} Regular expression
+ * @private
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more folders
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && pattern.indexOf("]", i + 1) > i + 1) {
+      const end = pattern.indexOf("]", i + 1);
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export default CampaignPackage;
@@ -0,0 +1,266 @@
+// npm
+import fs from "fs-extra";
+import path from "node:path";
+import chalk from "chalk";
+// acc
+import CampaignError from "./CampaignError.js";
+import CampaignLogger from "./CampaignLogger.js";
+
+/**
+ * XML elements whose content is redacted, e.g. <password>, <sessiontoken>, <pstrSecurityToken>, <bearerToken>
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_SECRET_ELEMENT =
+  /<((?:[\w-]+:)?[\w-]*(?:password|token|secret)[\w-]*)(\s[^>]*)?>[\s\S]*?<\/\1>/gi;
+
+/**
+ * XML attributes whose value is redacted, e.g. password="..."
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_SECRET_ATTRIBUTE =
+  /(\s[\w-]*(?:password|token|secret)[\w-]*\s*=\s*)("[^"]*"|'[^']*')/gi;
+
+/**
+ * HTTP headers whose value is redacted
+ * @constant {RegExp}
+ * @private
+ */
+const REGEX_SECRET_HEADER = /token|cookie|authorization|secret|password/i;
+
+/**
+ * Campaign Trace class for recording SOAP and HTTP calls of a command in a trace file,
+ * e.g. to share with Adobe support. Each line of the file is a JSON object (NDJSON):
+ * a "start" line describing the command, then one "call" line per request/response pair
+ * with its timing and status. Passwords, tokens and session cookies are redacted.
+ *
+ * @class CampaignTrace
+ * @classdesc Trace file of SOAP and HTTP calls
+ */
+class CampaignTrace {
+  /**
+   * Creates a new trace file in a folder.
+   *
+   * @param {string} dir - Folder of the trace file
+   * @param {Object} [context] - Description of the traced command, e.g. { command: 'instance pull --alias prod', version: '0.3.1' }
+   *
+   * @example
+   * const trace = new CampaignTrace('./traces', { command: 'instance pull --alias prod' });
+   * client.registerObserver(trace.observer());
+   */
+  constructor(dir, context = {}) {
+    const date = new Date().toISOString();
+    this.filepath = path.join(
+      dir,
+      `acc-trace-${date.replace(/[:.]/g, "-")}.ndjson`,
+    );
+    this.callCount = 0;
+    this.pending = new Map();
+    this._write({ type: "start", date, ...context });
+  }
+
+  /**
+   * Redacts secrets from a request or response body.
+   *
+   * @param {string} text - XML or text body
+   * @returns {string} Body with the content of secret elements and attributes replaced by ***
+   *
+   * @example
+   * CampaignTrace.redact('<password xsi:type="xsd:string">admin</password>');
+   * // '<password xsi:type="xsd:string">***</password>'
+   */
+  static redact(text) {
+    if (typeof text !== "string") {
+      return text;
+    }
+    return text
+      .replace(REGEX_SECRET_ELEMENT, (match, name, attributes = "") =>
+        `<${name}${attributes}>***</${name}>`,
+      )
+      .replace(REGEX_SECRET_ATTRIBUTE, (match, name, value) =>
+        `${name}${value[0]}***${value[0]}`,
+      );
+  }
+
+  /**
+   * Redacts secret HTTP headers.
+   *
+   * @param {Object} [headers] - HTTP headers
+   * @returns {Object} Copy of the headers, with tokens and cookies replaced by ***
+   */
+  static redactHeaders(headers = {}) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+      redacted[name] = REGEX_SECRET_HEADER.test(name) ? "***" : value;
+    }
+    return redacted;
+  }
+
+  /**
+   * Gets the SDK observer recording the calls of a client.
+   *
+   * @returns {Object} Observer for client.registerObserver()
+   *
+   * @example
+   * client.registerObserver(trace.observer());
+   */
+  observer() {
+    return {
+      onSOAPCall: (soapCall, safeCallData) =>
+        this._start(soapCall, {
+          kind: "soap",
+          urn: soapCall.urn,
+          method: soapCall.methodName,
+          url: soapCall.request && soapCall.request.url,
+          headers: CampaignTrace.redactHeaders(
+            soapCall.request && soapCall.request.headers,
+          ),
+          request: CampaignTrace.redact(safeCallData),
+        }),
+      onSOAPCallSuccess: (soapCall, safeCallResponse) =>
+        this._end(soapCall, { status: 200, response: safeCallResponse }),
+      onSOAPCallFailure: (soapCall, error) => this._end(soapCall, error),
+      onHTTPCall: (request, safeCallData) =>
+        this._start(request, {
+          kind: "http",
+          method: request.method || "GET",
+          url: request.url,
+          headers: CampaignTrace.redactHeaders(request.headers),
+          request: CampaignTrace.redact(safeCallData),
+        }),
+      onHTTPCallSuccess: (request, safeCallResponse) =>
+        this._end(request, {
+          status: 200,
+          response:
+            typeof safeCallResponse === "string"
+              ? safeCallResponse
+              : JSON.stringify(safeCallResponse),
+        }),
+      onHTTPCallFailure: (request, error) => this._end(request, error),
+    };
+  }
+
+  /**
+   * Records the start of a call, written when it ends.
+   *
+   * @param {Object} call - SOAP call or HTTP request, identifying the call
+   * @param {Object} entry - Call details
+   * @returns {void}
+   */
+  _start(call, entry) {
+    this.callCount++;
+    this.pending.set(call, {
+      type: "call",
+      id: this.callCount,
+      date: new Date().toISOString(),
+      start: Date.now(),
+      ...entry,
+    });
+  }
+
+  /**
+   * Writes a call with its response or error.
+   *
+   * @param {Object} call - SOAP call or HTTP request, identifying the call
+   * @param {Object} result - { status, response } on success, or the SDK exception
+   * @returns {void}
+   */
+  _end(call, result) {
+    const entry = this.pending.get(call);
+    if (!entry) {
+      return;
+    }
+    this.pending.delete(call);
+    const { start, ...line } = entry;
+    line.durationMs = Date.now() - start;
+    if (result instanceof Error || result.statusCode || result.faultString) {
+      line.status = result.statusCode || 500;
+      line.error = result.faultString || result.message || String(result);
+      line.response = CampaignTrace.redact(result.detail || "");
+    } else {
+      line.status = result.status;
+      line.response = CampaignTrace.redact(result.response);
+    }
+    this._write(line);
+  }
+
+  /**
+   * Appends a line to the trace file, synchronously so that it's complete even when the command fails.
+   *
+   * @param {Object} line - JSON line
+   * @returns {void}
+   */
+  _write(line) {
+    fs.ensureDirSync(path.dirname(this.filepath));
+    fs.appendFileSync(this.filepath, JSON.stringify(line) + "\n");
+  }
+
+  /**
+   * Pretty-prints a trace file: one line per call with its timing and status,
+   * followed by the request and response bodies with full.
+   *
+   * @param {string} filepath - Path of the trace file
+   * @param {Object} [options] - Print options
+   * @param {boolean} [options.full] - Also print the headers, request and response bodies
+   * @param {Object} [options.logger] - Logger, defaults to a CampaignLogger
+   * @returns {Object} Counts of { calls, errors, durationMs }
+   * @throws {CampaignError} Throws if the file doesn't exist or isn't a trace file
+   *
+   * @example
+   * CampaignTrace.print('./traces/acc-trace-2024-01-15T14-30-45-123Z.ndjson', { full: true });
+   */
+  static print(filepath, options = {}) {
+    if (!fs.existsSync(filepath)) {
+      throw new CampaignError(`Trace file ${filepath} doesn't exist.`);
+    }
+    let lines;
+    try {
+      lines = fs
+        .readFileSync(filepath, "utf8")
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch (err) {
+      throw new CampaignError(`${filepath} isn't a trace file: ${err.message}`, {
+        cause: err,
+      });
+    }
+    const logger = options.logger || new CampaignLogger();
+    const summary = { calls: 0, errors: 0, durationMs: 0 };
+    for (const line of lines) {
+      if (line.type === "start") {
+        logger.info(
+          `🔎 ${chalk.bold(line.command || "acc")} on ${line.date}` +
+            (line.version ? ` (campaign-cli ${line.version}, SDK ${line.sdk})` : ""),
+        );
+        continue;
+      }
+      summary.calls++;
+      summary.durationMs += line.durationMs;
+      const failed = line.status >= 400 || line.error;
+      if (failed) {
+        summary.errors++;
+      }
+      const name = line.kind === "soap" ? `${line.urn}#${line.method}` : `${line.method} ${line.url}`;
+      const status = failed ? chalk.red(line.status) : chalk.green(line.status);
+      logger.info(
+        `#${line.id} ${line.date.slice(11, 23)} ${chalk.cyan(name)} ${status} ${line.durationMs}ms` +
+          (line.error ? ` ${chalk.red(line.error)}` : ""),
+      );
+      if (options.full) {
+        for (const [header, value] of Object.entries(line.headers || {})) {
+          logger.info(chalk.dim(`  ${header}: ${value}`));
+        }
+        logger.info(`${chalk.bold("  → request")}\n${line.request || ""}`);
+        logger.info(`${chalk.bold("  ← response")}\n${line.response || ""}\n`);
+      }
+    }
+    logger.info(
+      `${summary.calls} call(s), ${summary.errors} error(s), ${summary.durationMs}ms.`,
+    );
+    return summary;
+  }
+}
+
+export default CampaignTrace;
@@ -0,0 +1,252 @@
+// node
+import crypto from "node:crypto";
+import readline from "node:readline";
+import { Writable } from "node:stream";
+// acc
+import CampaignError from "./CampaignError.js";
+
+/**
+ * Environment variable holding the vault passphrase, e.g. for CI
+ * @constant {string}
+ * @private
+ */
+const PASSPHRASE_ENV = "ACC_VAULT_PASSPHRASE";
+
+/**
+ * Value encrypted with the derived key to verify the passphrase
+ * @constant {string}
+ * @private
+ */
+const CHECK_VALUE = "campaign-cli";
+
+/**
+ * Campaign Vault class for encrypting credentials stored in Configstore.
+ * Derives a key from a master passphrase with scrypt and encrypts secrets with AES-256-GCM,
+ * so a tampered or wrongly decrypted value is always detected.
+ *
+ * @class CampaignVault
+ * @classdesc Encrypted storage for credentials
+ */
+class CampaignVault {
+  /**
+   * Configuration key for storing the vault metadata (salt, KDF parameters, passphrase check)
+   * @type {string}
+   * @private
+   */
+  VAULT_KEY = "vault";
+
+  /**
+   * Creates a new CampaignVault.
+   *
+   * @param {Object} config - Configstore instance for persistent storage
+   * @param {Object} [options] - Vault options
+   * @param {Function} [options.getPassphrase] - Async function returning the passphrase.
+   * Defaults to the ACC_VAULT_PASSPHRASE environment variable, then to a terminal prompt.
+   * @throws {CampaignError} Throws if config parameter is missing
+   *
+   * @example
+   * const vault = new CampaignVault(config);
+   * const secrets = await vault.encrypt({ password: 'admin' });
+   */
+  constructor(config, options = {}) {
+    if (!config) {
+      throw new CampaignError(
+        "Configstore instance is required to initialize CampaignVault.",
+      );
+    }
+    this.config = config;
+    this.getPassphrase = options.getPassphrase || defaultGetPassphrase;
+    this.key = null;
+  }
+
+  /**
+   * Derives the key from the passphrase, once per process.
+   * Creates the vault metadata on first use.
+   *
+   * @returns {Promise<Buffer>} 256-bit key
+   * @throws {CampaignError} Throws if the passphrase is wrong
+   */
+  async _getKey() {
+    if (this.key) {
+      return this.key;
+    }
+    const metadata = this.config.get(this.VAULT_KEY);
+    if (!metadata) {
+      const passphrase = await this.getPassphrase({ create: true });
+      const newMetadata = {
+        kdf: "scrypt",
+        N: 16384,
+        r: 8,
+        p: 1,
+        salt: crypto.randomBytes(16).toString("base64"),
+      };
+      this.key = deriveKey(passphrase, newMetadata);
+      newMetadata.check = encryptWithKey(this.key, CHECK_VALUE);
+      this.config.set(this.VAULT_KEY, newMetadata);
+      return this.key;
+    }
+    const passphrase = await this.getPassphrase({ create: false });
+    const key = deriveKey(passphrase, metadata);
+    try {
+      decryptWithKey(key, metadata.check);
+    } catch (err) {
+      throw new CampaignError(
+        `Wrong vault passphrase. Check ${PASSPHRASE_ENV} or the passphrase you typed.`,
+        { cause: err },
+      );
+    }
+    this.key = key;
+    return key;
+  }
+
+  /**
+   * Encrypts secrets.
+   *
+   * @param {Object} secrets - Secrets to encrypt, e.g. { password: 'admin' }
+   * @returns {Promise<Object>} Encrypted payload { iv, tag, data }, safe to store in Configstore
+   *
+   * @example
+   * const encrypted = await vault.encrypt({ password: 'admin' });
+   */
+  async encrypt(secrets) {
+    const key = await this._getKey();
+    return encryptWithKey(key, JSON.stringify(secrets));
+  }
+
+  /**
+   * Decrypts secrets encrypted with encrypt().
+   *
+   * @param {Object} encrypted - Encrypted payload { iv, tag, data }
+   * @returns {Promise<Object>} Decrypted secrets
+   * @throws {CampaignError} Throws if the payload was tampered with
+   *
+   * @example
+   * const { password } = await vault.decrypt(encrypted);
+   */
+  async decrypt(encrypted) {
+    const key = await this._getKey();
+    try {
+      return JSON.parse(decryptWithKey(key, encrypted));
+    } catch (err) {
+      throw new CampaignError(
+        `Unable to decrypt credentials, the vault entry is corrupted.`,
+        { cause: err },
+      );
+    }
+  }
+}
+
+/**
+ * Derives a 256-bit key from a passphrase with the KDF parameters of the vault metadata.
+ *
+ * @param {string} passphrase - Master passphrase
+ * @param {Object} metadata - { salt, N, r, p }
+ * @returns {Buffer} Key
+ * @private
+ */
+function deriveKey(passphrase, metadata) {
+  return crypto.scryptSync(
+    passphrase,
+    Buffer.from(metadata.salt, "base64"),
+    32,
+    { N: metadata.N, r: metadata.r, p: metadata.p },
+  );
+}
+
+/**
+ * Encrypts a string with AES-256-GCM.
+ *
+ * @param {Buffer} key - Key
+ * @param {string} text - Text to encrypt
+ * @returns {Object} { iv, tag, data } in base64
+ * @private
+ */
+function encryptWithKey(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts a string encrypted with encryptWithKey().
+ *
+ * @param {Buffer} key - Key
+ * @param {Object} encrypted - { iv, tag, data } in base64
+ * @returns {string} Decrypted text
+ * @throws {Error} Throws if the key is wrong or the payload was tampered with
+ * @private
+ */
+function decryptWithKey(key, encrypted) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(encrypted.iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Gets the passphrase from the ACC_VAULT_PASSPHRASE environment variable,
+ * or prompts for it (twice when creating the vault).
+ *
+ * @param {Object} context - { create } true when the vault is being created
+ * @returns {Promise<string>} Passphrase
+ * @throws {CampaignError} Throws if no passphrase is available
+ * @private
+ */
+async function defaultGetPassphrase({ create }) {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+  if (!process.stdin.isTTY) {
+    throw new CampaignError(
+      `Vault passphrase required. Please set ${PASSPHRASE_ENV} or run in an interactive terminal.`,
+    );
+  }
+  const passphrase = await promptHidden(
+    create ? "🔑 New vault passphrase: " : "🔑 Vault passphrase: ",
+  );
+  if (!passphrase) {
+    throw new CampaignError("Vault passphrase can't be empty.");
+  }
+  if (create && passphrase !== (await promptHidden("🔑 Confirm passphrase: "))) {
+    throw new CampaignError("Vault passphrases don't match.");
+  }
+  return passphrase;
+}
+
+/**
+ * Prompts on the terminal without echoing the typed characters.
+ * The prompt goes to stderr, so that it isn't mixed with the output of the command, e.g. --output json.
+ *
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} Typed answer
+ * @private
+ */
+function promptHidden(question) {
+  process.stderr.write(question);
+  // the typed characters are echoed to a muted output
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: new Writable({ write: (chunk, encoding, callback) => callback() }),
+    terminal: true,
+  });
+  return new Promise((resolve) => {
+    rl.question("", (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+export default CampaignVault;
@@ -1,59 +1,155 @@
 // packages
-import { program, Command } from "commander";
+import { program, Command, Option } from "commander";
 import sdk from "@adobe/acc-js-sdk";
 import Configstore from "configstore";
 import fs from "fs-extra";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import chalk from "chalk";
 // Campaign
 import CampaignError from "./CampaignError.js";
 import CampaignAuth from "./CampaignAuth.js";
+import CampaignVault from "./CampaignVault.js";
 import CampaignInstance from "./CampaignInstance.js";
+import CampaignCompare from "./CampaignCompare.js";
+import CampaignConfig from "./CampaignConfig.js";
+import CampaignTrace from "./CampaignTrace.js";
+import CampaignLogger from "./CampaignLogger.js";
+import CampaignMock from "./CampaignMock.js";
+import CampaignOutput from "./CampaignOutput.js";
+import CampaignGit from "./CampaignGit.js";
+import CampaignPackage from "./CampaignPackage.js";
+import CampaignDocs from "./CampaignDocs.js";
+import CampaignLint from "./CampaignLint.js";
 
 const dirMain = path.dirname(fileURLToPath(import.meta.url));
 const dirPackage = path.resolve(dirMain, "..");
 
 const authFile = new Configstore("campaign-cli.auth");
-const auth = new CampaignAuth(sdk, authFile);
+const logger = new CampaignLogger();
+const auth = new CampaignAuth(
+  sdk,
+  authFile,
+  new CampaignVault(authFile),
+  logger,
+);
 const defaultDistRoot = path.join(process.cwd());
 const defaultConfigPath = path.join(process.cwd(), "acc.config.json"); // default config path in current working directory, if not specified
+const defaultTraceDir = path.join(process.cwd(), "traces");
+const defaultLintConfigPath = path.join(process.cwd(), "acc.lint.json");
+
+// OUTPUT, LOGS and TRACE, on all commands
+program
+  .addOption(
+    new Option(
+      "--output <format>",
+      "Output format: text, or json and ndjson for scripts with the result on stdout and logs on stderr. Defaults to text.",
+    )
+      .choices(["text", "json", "ndjson"])
+      .default("text"),
+  )
+  .option("--json", "Shorthand for --output json")
+  .addOption(
+    new Option("--quiet", "Only log warnings and errors").conflicts("verbose"),
+  )
+  .option("--verbose", "Also log details, e.g. the filenames found by instance check")
+  .option(
+    "--log-file <path>",
+    "Append all logs, details included, to a file without colors.",
+  )
+  .option(
+    "--trace [dir]",
+    "Record all SOAP and HTTP calls, secrets redacted, in a trace file. Defaults to ./traces.",
+  )
+  .hook("preAction", (thisCommand, actionCommand) => {
+    const { quiet, verbose, logFile } = program.opts();
+    // stdout is kept for the result in json and ndjson
+    const stderr = getOutputFormat() !== "text";
+    logger.configure({
+      level: verbose ? "debug" : quiet ? "warn" : "info",
+      stderr,
+      color: CampaignLogger.supportsColor(stderr ? process.stderr : process.stdout),
+      logFile,
+    });
+    if (!logger.color) {
+      chalk.level = 0;
+    }
+    logger.debug(
+      `🏠 acc initialized with SDK ${sdk.getSDKVersion().version} and authentication from ${authFile.path}`,
+    );
+    const { trace } = program.opts();
+    if (!trace) {
+      return;
+    }
+    const campaignTrace = new CampaignTrace(
+      trace === true ? defaultTraceDir : trace,
+      {
+        command: `${actionCommand.parent.name()} ${actionCommand.name()}`,
+        version: fs.readJsonSync(path.join(dirPackage, "package.json")).version,
+        sdk: sdk.getSDKVersion().version,
+      },
+    );
+    auth.registerObserver(campaignTrace.observer());
+    logger.info(`🔎 Tracing calls to ${campaignTrace.filepath}`);
+  });
 
 // AUTH
 program
   .command("auth")
   // INIT
+  .addCommand(
+    addCredentialOptions(
+      new Command()
+        .name("init")
+        .requiredOption(
+          "--alias <alias>",
+          "Local alias for this instance, e.g. prod, staging, local",
+        )
+        .requiredOption(
+          "--host <url>",
+          "URL of Adobe Campaign root, e.g. http://localhost:8080",
+        )
+        .addOption(authTypeOption().default(auth.DEFAULT_AUTH_TYPE))
+        .option(
+          "--protected",
+          "Protect the instance, e.g. production: instance watch refuses to run against it",
+        ),
+    ).action(async (options) => {
+      try {
+        await auth.init(options);
+      } catch (err) {
+        handleCampaignError(err);
+      }
+    }),
+  )
+  // LOGIN
   .addCommand(
     new Command()
-      .name("init")
+      .name("login")
       .requiredOption(
         "--alias <alias>",
         "Local alias for this instance, e.g. prod, staging, local",
       )
-      .requiredOption(
-        "--host <url>",
-        "URL of Adobe Campaign root, e.g. http://localhost:8080",
-      )
-      .requiredOption("--user <user>", "Operator username")
-      .requiredOption("--password <pwd>", "Operator password")
       .action(async (options) => {
         try {
-          await auth.init(options);
+          await auth.login(options);
+          printResult(auth.logins[options.alias]);
         } catch (err) {
           handleCampaignError(err);
         }
       }),
   )
-  // LOGIN
+  // LOGOUT
   .addCommand(
     new Command()
-      .name("login")
-      .requiredOption(
+      .name("logout")
+      .option(
         "--alias <alias>",
-        "Local alias for this instance, e.g. prod, staging, local",
+        "Local alias for this instance. Defaults to all instances.",
       )
       .action(async (options) => {
         try {
-          await auth.login(options);
+          await auth.logout(options);
         } catch (err) {
           handleCampaignError(err);
         }
@@ -63,12 +159,100 @@ program
   .addCommand(
     new Command().name("list").action(() => {
       try {
-        auth.list();
+        printResult(auth.list());
+      } catch (err) {
+        handleCampaignError(err);
+      }
+    }),
+  )
+  // UPDATE
+  .addCommand(
+    addCredentialOptions(
+      new Command()
+        .name("update")
+        .requiredOption(
+          "--alias <alias>",
+          "Local alias for this instance, e.g. prod, staging, local",
+        )
+        .option(
+          "--host <url>",
+          "URL of Adobe Campaign root, e.g. http://localhost:8080",
+        )
+        .addOption(authTypeOption())
+        .option(
+          "--protected",
+          "Protect the instance, e.g. production: instance watch refuses to run against it",
+        )
+        .option("--no-protected", "Remove the protection of the instance"),
+    ).action(async (options) => {
+      try {
+        await auth.update(options);
       } catch (err) {
         handleCampaignError(err);
       }
     }),
   )
+  // RENAME
+  .addCommand(
+    new Command()
+      .name("rename")
+      .requiredOption("--alias <alias>", "Current local alias, e.g. stage")
+      .requiredOption("--to <alias>", "New local alias, e.g. staging")
+      .action((options) => {
+        try {
+          auth.rename(options);
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // REMOVE
+  .addCommand(
+    new Command()
+      .name("remove")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .action((options) => {
+        try {
+          auth.remove(options);
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // TEST
+  .addCommand(
+    new Command()
+      .name("test")
+      .option(
+        "--alias <alias>",
+        "Local alias for this instance. Defaults to all instances.",
+      )
+      .action(async (options) => {
+        try {
+          const rows = await auth.test(options);
+          if (rows.some((row) => !row.login)) {
+            process.exitCode = 1;
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // MIGRATE
+  .addCommand(
+    new Command()
+      .name("migrate")
+      .action(async () => {
+        try {
+          await auth.migrate();
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
   // IP
   .addCommand(
     new Command().name("ip").action(async () => {
@@ -101,11 +285,6 @@ program
         "Path to the configuration file. Defaults ./config/acc.config.json.",
         defaultConfigPath,
       )
-      .option(
-        "--verbose",
-        "Verbose output with details on each configuration item. Defaults to false.",
-        false,
-      )
       .action(async (options) => {
         try {
           // if the config file doesn't exist at the default location, copy the example config there
@@ -113,7 +292,7 @@ program
             options.config == defaultConfigPath &&
             !fs.existsSync(options.config)
           ) {
-            console.log(
+            logger.info(
               `🛠️ Config not found, initalializing ${options.config}`,
             );
             fs.copySync(
@@ -121,16 +300,138 @@ program
               options.config,
             );
           } else {
-            console.log(`🛠️ Using config ${options.config}`);
+            logger.info(`🛠️ Using config ${options.config}`);
           }
-          const campaignConfig = JSON.parse(fs.readFileSync(options.config));
+          const campaignConfig = CampaignConfig.load(options.config).data;
           const client = await auth.login({ alias: options.alias });
           const instance = new CampaignInstance(
             client,
             campaignConfig,
-            options,
+            { ...options, logger },
+          );
+          printResult(await instance.check(options));
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // QUERY
+  .addCommand(
+    new Command()
+      .name("query")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .option("--schema <schema>", "Schema to query, e.g. xtk:workflow")
+      .option(
+        "--select <exprs>",
+        'Comma separated expressions, e.g. "@internalName, @label, folder/@label"',
+      )
+      .option("--where <expr>", "Where expression, e.g. \"@state = 13\"")
+      .option(
+        "--order-by <exprs>",
+        'Comma separated sort expressions, e.g. "@lastModified desc"',
+      )
+      .option("--limit <count>", "Maximum number of records")
+      .option("--count", "Count the records instead of listing them")
+      .option(
+        "--query-def <path>",
+        "JSON file of a queryDef, overridden by the options above",
+      )
+      .addOption(
+        new Option(
+          "--format <format>",
+          "Output format. Defaults to table, or to --output json and ndjson.",
+        ).choices(CampaignOutput.FORMATS),
+      )
+      .action(async (options) => {
+        try {
+          const outputFormat = getOutputFormat();
+          const format =
+            options.format || (outputFormat === "text" ? "table" : outputFormat);
+          if (format !== "table") {
+            // keep stdout for the records
+            logger.configure({ stderr: true });
+          }
+          const queryDef = readQueryDef(options.queryDef);
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(client, {}, { logger });
+          const { columns, records } = await instance.query({
+            ...options,
+            queryDef,
+          });
+          process.stdout.write(CampaignOutput.format(records, columns, format));
+          if (format === "table") {
+            logger.info(`📊 ${records.length} record(s).`);
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // EXPORT
+  .addCommand(
+    new Command()
+      .name("export")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .requiredOption("--out <path>", "Path of the exported file")
+      .option("--schema <schema>", "Schema to export, e.g. nms:recipient")
+      .option(
+        "--select <exprs>",
+        'Comma separated expressions, e.g. "@id, @email, @firstName"',
+      )
+      .option("--where <expr>", "Where expression, e.g. \"@blackList = 0\"")
+      .option(
+        "--order-by <exprs>",
+        'Comma separated sort expressions, for stable pages, e.g. "@id"',
+      )
+      .option("--limit <count>", "Maximum number of records")
+      .option(
+        "--query-def <path>",
+        "JSON file of a queryDef, overridden by the options above",
+      )
+      .addOption(
+        new Option("--format <format>", "File format. Defaults to csv.")
+          .choices(["csv", "json", "ndjson"])
+          .default("csv"),
+      )
+      .option(
+        "--delimiter <char>",
+        'Delimiter of the CSV values, e.g. ";" or "\\t". Defaults to ",".',
+        ",",
+      )
+      .option(
+        "--encoding <encoding>",
+        "Encoding of the file, e.g. utf8, utf16le, latin1. Defaults to utf8.",
+        "utf8",
+      )
+      .option(
+        "--page-size <count>",
+        "Number of records fetched per query. Defaults to 1000.",
+        "1000",
+      )
+      .option(
+        "--resume",
+        "Continue an interrupted export of the same query. Defaults to false.",
+        false,
+      )
+      .action(async (options) => {
+        try {
+          const queryDef = readQueryDef(options.queryDef);
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(client, {}, { logger });
+          printResult(
+            await instance.export(options.out, {
+              ...options,
+              // "\t" on the command line for tab separated values
+              delimiter: options.delimiter.replace(/^\\t$/, "\t"),
+              queryDef,
+            }),
           );
-          await instance.check(options);
         } catch (err) {
           handleCampaignError(err);
         }
@@ -154,16 +455,561 @@ program
         "Path to the configuration file. Defaults ./config/acc.config.json.",
         defaultConfigPath,
       )
+      .option(
+        "--incremental",
+        "Only fetch records modified since the last pull, according to the manifest. Defaults to false.",
+        false,
+      )
+      .option(
+        "--concurrency <number>",
+        "Maximum number of queries running in parallel. Defaults to 1.",
+        (value) => Number(value),
+        1,
+      )
+      .option(
+        "--git",
+        "Commit the pulled files, and the removal of entities deleted on the server, to a git repository in --path. Defaults to false.",
+        false,
+      )
+      .action(async (options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(
+            client,
+            campaignConfig,
+            { ...options, logger },
+          );
+          const report = await instance.pull(options.path, {
+            incremental: options.incremental,
+            concurrency: options.concurrency,
+            prune: options.git,
+          });
+          if (options.git) {
+            const git = new CampaignGit(options.path, { logger });
+            report.commit = git.commit(
+              CampaignGit.pullMessage(
+                options.alias,
+                auth.logins[options.alias]?.serverInfo,
+                report,
+              ),
+            );
+          }
+          printResult(report, report.schemas);
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // DIFF
+  .addCommand(
+    new Command()
+      .name("diff")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .option(
+        "--path <path>",
+        "Path where the command should run. Defaults to current working directory.",
+        defaultDistRoot,
+      )
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--name-only",
+        "Only list added, removed and modified files, without the content diff. Defaults to false.",
+        false,
+      )
+      .action(async (options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(
+            client,
+            campaignConfig,
+            { ...options, logger },
+          );
+          const result = await instance.diff(options);
+          // non-zero exit code when differences exist, to be used as a CI gate
+          if (
+            result.added.length ||
+            result.removed.length ||
+            result.modified.length ||
+            result.errors
+          ) {
+            process.exitCode = 1;
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // COMPARE
+  .addCommand(
+    new Command()
+      .name("compare")
+      .requiredOption(
+        "--from <alias>",
+        "Alias of the reference instance, e.g. staging",
+      )
+      .requiredOption("--to <alias>", "Alias of the compared instance, e.g. prod")
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--report <path>",
+        "Also write the report to a .json or .html file, e.g. to attach to a release ticket.",
+      )
+      .action(async (options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          const sides = [];
+          for (const alias of [options.from, options.to]) {
+            const client = await auth.login({ alias });
+            const instance = new CampaignInstance(
+              client,
+              campaignConfig,
+              { ...options, logger },
+            );
+            sides.push({ alias, instance });
+          }
+          const compare = new CampaignCompare(...sides, { logger });
+          const report = await compare.compare();
+          compare.print(report);
+          if (options.report) {
+            compare.writeReport(report, options.report);
+          }
+          const { summary } = report;
+          if (summary.onlyFrom || summary.onlyTo || summary.different || summary.errors) {
+            process.exitCode = 1;
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // PUSH
+  .addCommand(
+    new Command()
+      .name("push")
+      .argument(
+        "[files...]",
+        "Files or folders to push, relative to --path. Defaults to all files under --path.",
+      )
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .option(
+        "--path <path>",
+        "Path where the command should run. Defaults to current working directory.",
+        defaultDistRoot,
+      )
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--force",
+        "Overwrite entities modified on the server since the last pull. Defaults to false.",
+        false,
+      )
+      .action(async (files, options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(
+            client,
+            campaignConfig,
+            { ...options, logger },
+          );
+          const result = await instance.push({ ...options, files });
+          if (result.conflicts > 0 || result.errors > 0) {
+            throw new CampaignError(
+              `${result.conflicts} conflict(s) and ${result.errors} error(s) while pushing. Pull again or use --force to overwrite server changes.`,
+            );
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // WATCH
+  .addCommand(
+    new Command()
+      .name("watch")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. dev. Protected instances are refused.",
+      )
+      .option(
+        "--path <path>",
+        "Path where the command should run. Defaults to current working directory.",
+        defaultDistRoot,
+      )
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--force",
+        "Overwrite entities modified on the server since the last pull. Defaults to false.",
+        false,
+      )
       .action(async (options) => {
         try {
-          const campaignConfig = JSON.parse(fs.readFileSync(options.config));
+          auth.assertUnprotected(options.alias, "instance watch");
+          const campaignConfig = CampaignConfig.load(options.config).data;
           const client = await auth.login({ alias: options.alias });
           const instance = new CampaignInstance(
             client,
             campaignConfig,
-            options,
+            { ...options, logger },
+          );
+          const watcher = instance.watch(options);
+          process.once("SIGINT", async () => {
+            await watcher.close();
+            process.exit(0);
+          });
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// CONFIG
+program
+  .command("config")
+  // VALIDATE
+  .addCommand(
+    new Command()
+      .name("validate")
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--alias <alias>",
+        "Also verify schemas, attributes and content elements against this instance",
+      )
+      .action(async (options) => {
+        try {
+          const config = CampaignConfig.load(options.config);
+          let errors = config.validate();
+          if (errors.length === 0 && options.alias) {
+            const client = await auth.login({ alias: options.alias });
+            errors = await config.verify(client);
+          }
+          config.print(errors, logger);
+          if (errors.length > 0) {
+            process.exitCode = 1;
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// TRACE
+program
+  .command("trace")
+  // SHOW
+  .addCommand(
+    new Command()
+      .name("show")
+      .argument("<file>", "Trace file recorded with --trace")
+      .option(
+        "--full",
+        "Also print the headers, request and response of each call. Defaults to false.",
+        false,
+      )
+      .action((file, options) => {
+        try {
+          CampaignTrace.print(file, { ...options, logger });
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// SOAP
+program
+  .command("soap")
+  // CALL
+  .addCommand(
+    new Command()
+      .name("call")
+      .argument("<schema>", "Schema of the method, e.g. xtk:session")
+      .argument("<method>", "Method name, e.g. GetOption")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .option(
+        "--arg <value>",
+        "Input parameter, repeat for each parameter in order. @path reads it from a file.",
+        (value, previous) => previous.concat(value),
+        [],
+      )
+      .option(
+        "--entity <path>",
+        "XML file of the entity, for a non-static method",
+      )
+      .addOption(
+        new Option("--format <format>", "Output format. Defaults to json.")
+          .choices(["json", "xml"])
+          .default("json"),
+      )
+      .action(async (schemaId, methodName, options) => {
+        try {
+          // keep stdout for the result
+          logger.configure({ stderr: true });
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(client, {}, { logger });
+          const result = await instance.call(schemaId, methodName, {
+            args: options.arg,
+            entity: options.entity && `@${options.entity}`,
+          });
+          process.stdout.write(formatCallResult(result, options.format));
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// PACKAGE
+program
+  .command("package")
+  // BUILD
+  .addCommand(
+    new Command()
+      .name("build")
+      .argument(
+        "[files...]",
+        "Files, folders or glob patterns produced by pull, relative to --path, e.g. \"Forms/cus/*.xml\"",
+      )
+      .requiredOption("--out <file>", "Package XML file to write")
+      .option(
+        "--list <file>",
+        "File listing more files, folders or glob patterns, one per line",
+      )
+      .option(
+        "--path <path>",
+        "Root folder of the pulled files. Defaults to current working directory.",
+        defaultDistRoot,
+      )
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option("--name <name>", "Name of the package")
+      .option("--namespace <namespace>", "Namespace of the package, e.g. cus")
+      .option("--label <label>", "Label of the package")
+      .option("--vendor <vendor>", "Vendor of the package")
+      .action((files, options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          // offline: files are mapped to entities without any call to an instance
+          const instance = new CampaignInstance(
+            { DomUtil: sdk.DomUtil },
+            campaignConfig,
+            { logger },
+          );
+          const result = new CampaignPackage(instance, { logger }).build({
+            path: options.path,
+            files,
+            list: options.list,
+            out: options.out,
+            attributes: {
+              name: options.name,
+              namespace: options.namespace,
+              label: options.label,
+              vendor: options.vendor,
+            },
+          });
+          printResult(result, result.entities);
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  )
+  // INSTALL
+  .addCommand(
+    new Command()
+      .name("install")
+      .argument("<file>", "Package XML file, e.g. built by package build")
+      .requiredOption(
+        "--alias <alias>",
+        "Local alias for this instance, e.g. prod, staging, local",
+      )
+      .option(
+        "--dry-run",
+        "Only validate the entities against the schemas of the instance, without installing anything. Defaults to false.",
+        false,
+      )
+      .option(
+        "--confirm <alias>",
+        "Alias of the instance, repeated to confirm the installation on a protected instance",
+      )
+      .action(async (file, options) => {
+        try {
+          if (!options.dryRun) {
+            auth.assertConfirmed(options.alias, options.confirm, "package install");
+          }
+          const client = await auth.login({ alias: options.alias });
+          const instance = new CampaignInstance(client, {}, { logger });
+          const result = await new CampaignPackage(instance, { logger }).install(
+            file,
+            { dryRun: options.dryRun },
+          );
+          printResult(result, result.entities);
+          if (result.errors) {
+            process.exitCode = 1;
+          }
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// DOCS
+program
+  .command("docs")
+  // SCHEMAS
+  .addCommand(
+    new Command()
+      .name("schemas")
+      .option(
+        "--path <path>",
+        "Root folder of the pulled files. Defaults to current working directory.",
+        defaultDistRoot,
+      )
+      .option(
+        "--config <path>",
+        "Path to the configuration file. Defaults ./config/acc.config.json.",
+        defaultConfigPath,
+      )
+      .option(
+        "--out <path>",
+        "Folder of the documentation. Defaults to ./docs/schemas.",
+        path.join(process.cwd(), "docs", "schemas"),
+      )
+      .addOption(
+        new Option("--format <format>", "Format of the pages. Defaults to markdown.")
+          .choices(CampaignDocs.FORMATS)
+          .default("markdown"),
+      )
+      .action((options) => {
+        try {
+          const campaignConfig = CampaignConfig.load(options.config).data;
+          // offline: the pulled schema files are parsed without any call to an instance
+          const instance = new CampaignInstance(
+            { DomUtil: sdk.DomUtil },
+            campaignConfig,
+            { logger },
+          );
+          const result = new CampaignDocs(instance, { logger }).schemas({
+            path: options.path,
+            out: options.out,
+            format: options.format,
+          });
+          printResult(result, result.schemas);
+        } catch (err) {
+          handleCampaignError(err);
+        }
+      }),
+  );
+
+// LINT
+program
+  .command("lint")
+  .argument("[files...]", "Files or folders to lint, relative to --path. Defaults to the whole folder.")
+  .option(
+    "--path <path>",
+    "Root folder of the pulled files. Defaults to current working directory.",
+    defaultDistRoot,
+  )
+  .option(
+    "--rules <path>",
+    "Path to the rules configuration file. Defaults to ./acc.lint.json if it exists.",
+  )
+  .option("--sarif <path>", "Also write the problems to a SARIF file, e.g. for code scanning")
+  .action((files, options) => {
+    try {
+      const rulesPath =
+        options.rules ||
+        (fs.existsSync(defaultLintConfigPath) ? defaultLintConfigPath : null);
+      const lint = new CampaignLint({
+        rules: rulesPath ? CampaignLint.loadConfig(rulesPath) : {},
+        logger,
+      });
+      const result = lint.lint({ path: options.path, files });
+      if (options.sarif) {
+        fs.outputJsonSync(options.sarif, lint.toSARIF(result), { spaces: 2 });
+        logger.info(`📄 SARIF written to ${options.sarif}`);
+      }
+      printResult(result, result.problems);
+      if (result.errors) {
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      handleCampaignError(err);
+    }
+  });
+
+// MOCK
+program
+  .command("mock")
+  // SERVE
+  .addCommand(
+    new Command()
+      .name("serve")
+      .requiredOption(
+        "--fixtures <path>",
+        "Folder of the records, one sub-folder per schema, e.g. xtk/form/cus_contact.xml",
+      )
+      .option("--port <port>", "Port to listen on. Defaults to 8080.", "8080")
+      .option(
+        "--host <host>",
+        "Interface to listen on. Defaults to 127.0.0.1.",
+        "127.0.0.1",
+      )
+      .option("--user <user>", "Login accepted by the mock, any login if not set")
+      .option("--password <pwd>", "Password accepted by the mock")
+      .action(async (options) => {
+        try {
+          const mock = new CampaignMock(options.fixtures, {
+            user: options.user,
+            password: options.password,
+            logger,
+          });
+          const port = Number(options.port);
+          if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new CampaignError(
+              `Invalid port ${options.port}, expected a number between 0 and 65535.`,
+            );
+          }
+          const url = await mock.start(port, options.host);
+          logger.info(
+            `🧪 Mock server listening on ${chalk.underline(url)} with fixtures ${options.fixtures}, press Ctrl+C to stop.`,
+          );
+          logger.info(
+            `Use it with: acc auth init --host ${url} --alias mock --user admin --password admin`,
           );
-          await instance.pull(options.path);
+          process.once("SIGINT", async () => {
+            await mock.stop();
+            process.exit(0);
+          });
         } catch (err) {
           handleCampaignError(err);
         }
@@ -172,6 +1018,126 @@ program
 
 program.parse(process.argv);
 
+/**
+ * Creates the --auth-type option, shared by auth init and auth update.
+ *
+ * @returns {Option} Commander option restricted to the supported auth types
+ */
+function authTypeOption() {
+  return new Option("--auth-type <type>", "Authentication type").choices(
+    Object.keys(auth.AUTH_TYPES),
+  );
+}
+
+/**
+ * Adds the credential options of all auth types to a command, shared by auth init and auth update.
+ *
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command, for chaining
+ */
+function addCredentialOptions(command) {
+  return command
+    .option("--user <user>", "Operator username (password, ims-service-token)")
+    .option("--password <pwd>", "Operator password (password)")
+    .option("--session-token <token>", "Session token (session-token)")
+    .option(
+      "--security-token <token>",
+      "Security token, optional (session-token)",
+    )
+    .option("--bearer-token <token>", "IMS bearer token (bearer-token)")
+    .option("--service-token <token>", "IMS service token (ims-service-token)")
+    .option("--client-id <id>", "IMS client id (ims-technical-account)")
+    .option(
+      "--client-secret <secret>",
+      "IMS client secret (ims-technical-account)",
+    )
+    .option(
+      "--scope <scopes>",
+      "IMS scopes, comma separated (ims-technical-account)",
+    )
+    .option(
+      "--ims-host <url>",
+      "IMS host, optional. Defaults to https://ims-na1.adobelogin.com (ims-technical-account)",
+    );
+}
+
+/**
+ * Reads the queryDef file of instance query and export.
+ *
+ * @param {string} [filepath] - Path of a JSON queryDef file
+ * @returns {Object|undefined} queryDef, undefined without file
+ * @throws {CampaignError} Throws if the file can't be read or isn't JSON
+ */
+function readQueryDef(filepath) {
+  if (!filepath) {
+    return undefined;
+  }
+  try {
+    return fs.readJsonSync(filepath);
+  } catch (err) {
+    throw new CampaignError(`Invalid queryDef file ${filepath}: ${err.message}`);
+  }
+}
+
+/**
+ * Formats the output parameters of soap call: a JSON object, XML elements as SimpleJson,
+ * or each value on its own line, XML elements serialized.
+ *
+ * @param {Object} result - Output parameters by name, from CampaignInstance.call()
+ * @param {string} format - json or xml
+ * @returns {string} Formatted result
+ */
+function formatCallResult(result, format) {
+  const isElement = (value) => value && value.nodeType !== undefined;
+  if (format === "xml") {
+    return Object.values(result)
+      .map((value) =>
+        isElement(value) ? sdk.DomUtil.toXMLString(value) : String(value ?? ""),
+      )
+      .map((text) => text + "\n")
+      .join("");
+  }
+  const json = Object.fromEntries(
+    Object.entries(result).map(([name, value]) => [
+      name,
+      isElement(value) ? sdk.DomUtil.toJSON(value, "SimpleJson") : value,
+    ]),
+  );
+  return JSON.stringify(json, null, 2) + "\n";
+}
+
+/**
+ * Gets the output format of the command line: --json is a shorthand for --output json.
+ *
+ * @returns {string} text, json or ndjson
+ */
+function getOutputFormat() {
+  const { json, output } = program.opts();
+  return json ? "json" : output;
+}
+
+/**
+ * Writes the result of a command on stdout, in json and ndjson output formats.
+ * Nothing is written in text format, as the command already logged it.
+ *
+ * @param {*} result - Result of the command
+ * @param {Array} [lines] - Items written one per line in ndjson, defaults to the result items if it's an array
+ * @returns {void}
+ *
+ * @example
+ * printResult(report, report.schemas);
+ */
+function printResult(result, lines = [].concat(result)) {
+  const format = getOutputFormat();
+  if (format === "json") {
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } else if (format === "ndjson") {
+    for (const line of lines) {
+      process.stdout.write(JSON.stringify(line) + "\n");
+    }
+  }
+}
+
 /**
  * Handles errors from Campaign CLI operations.
  * Distinguishes between CampaignError and other errors for appropriate handling.
@@ -188,7 +1154,10 @@ program.parse(process.argv);
  */
 function handleCampaignError(err) {
   if (err instanceof CampaignError) {
-    console.error(`⚠️ Campaign warning: ${err.message}`);
+    logger.error(`⚠️ Campaign warning: ${err.message}`);
+    if (getOutputFormat() !== "text") {
+      printResult({ error: err.message });
+    }
   } else {
     throw err;
   }
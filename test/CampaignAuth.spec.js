@@ -29,7 +29,8 @@ describe("CampaignAuth", function () {
     mockConfig = {
       path: "test-config-path",
       get: sinon.stub(),
-      set: sinon.stub()
+      set: sinon.stub(),
+      delete: sinon.stub()
     };
 
     auth = new CampaignAuth(mockSdk, mockConfig);
@@ -52,6 +53,17 @@ describe("CampaignAuth", function () {
     });
   });
 
+  describe("registerObserver", function () {
+    it("should register observers on the clients it creates", async function () {
+      const client = { registerObserver: sinon.stub() };
+      mockSdk.init.resolves(client);
+      const observer = { onSOAPCall: sinon.stub() };
+      auth.registerObserver(observer);
+      await auth._initClient({});
+      expect(client.registerObserver.calledOnceWith(observer)).to.be.true;
+    });
+  });
+
   describe("init", function () {
     it("should add new instance and login", async function () {
       // Mock config.get to return empty for initial check, then return the instance for login
@@ -85,6 +97,7 @@ describe("CampaignAuth", function () {
       expect(mockConfig.set.calledOnce).to.be.true;
       expect(mockConfig.set.firstCall.args[0]).to.equal("instances.test");
       expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        authType: "password",
         host: "http://localhost",
         user: "testuser",
         password: "testpass"
@@ -119,6 +132,13 @@ describe("CampaignAuth", function () {
 
       expect(client).to.exist;
       expect(mockSdk.init.calledOnce).to.be.true;
+      expect(auth.logins.test).to.deep.equal({
+        alias: "test",
+        host: "http://localhost",
+        authType: "password",
+        sessionReused: false,
+        serverInfo: { instanceName: "test-instance", releaseName: "v1.0", buildNumber: "12345" },
+      });
     });
 
     it("should throw CampaignError when instance doesn't exist", async function () {
@@ -155,6 +175,559 @@ describe("CampaignAuth", function () {
     });
   });
 
+  describe("auth types", function () {
+    beforeEach(function () {
+      Object.assign(mockSdk.ConnectionParameters, {
+        ofSessionToken: sinon.stub().returns({}),
+        ofSessionAndSecurityToken: sinon.stub().returns({}),
+        ofBearerToken: sinon.stub().returns({}),
+        ofUserAndServiceToken: sinon.stub().returns({}),
+      });
+    });
+
+    it("should store only the fields of the auth type on init", async function () {
+      mockConfig.get.withArgs("instances.test").returns({
+        authType: "bearer-token",
+        host: "http://localhost",
+        bearerToken: "token",
+      });
+
+      await auth.init({
+        alias: "test",
+        host: "http://localhost",
+        authType: "bearer-token",
+        bearerToken: "token",
+        user: "ignored",
+      });
+
+      expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        authType: "bearer-token",
+        host: "http://localhost",
+        bearerToken: "token",
+      });
+      expect(mockSdk.ConnectionParameters.ofBearerToken.calledWith("http://localhost", "token")).to.be.true;
+    });
+
+    it("should throw CampaignError when a field of the auth type is missing", async function () {
+      try {
+        await auth.init({ alias: "test", host: "http://localhost", authType: "ims-service-token", user: "u" });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("Missing serviceToken");
+      }
+    });
+
+    it("should throw CampaignError for an unknown auth type", async function () {
+      try {
+        await auth.init({ alias: "test", host: "http://localhost", authType: "kerberos" });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("Unknown auth type");
+      }
+    });
+
+    it("should login with a session token and read server info from /r/test", async function () {
+      mockConfig.get.returns({
+        authType: "session-token",
+        host: "http://localhost",
+        sessionToken: "session",
+        securityToken: "security",
+      });
+      mockSdk.init.resolves({
+        logon: sinon.stub().resolves(),
+        getSessionInfo: sinon.stub().returns(undefined),
+        test: sinon.stub().resolves({ instance: "test-instance", version: "8.5", build: "9000" }),
+      });
+
+      const client = await auth.login({ alias: "test" });
+
+      expect(client).to.exist;
+      expect(
+        mockSdk.ConnectionParameters.ofSessionAndSecurityToken.calledWith("http://localhost", "session", "security"),
+      ).to.be.true;
+    });
+
+    it("should login with an IMS service token", async function () {
+      mockConfig.get.returns({
+        authType: "ims-service-token",
+        host: "http://localhost",
+        user: "admin",
+        serviceToken: "service",
+      });
+
+      await auth.login({ alias: "test" });
+
+      expect(mockSdk.ConnectionParameters.ofUserAndServiceToken.calledWith("http://localhost", "admin", "service")).to.be.true;
+    });
+
+    it("should exchange IMS technical account credentials for a bearer token", async function () {
+      mockConfig.get.returns({
+        authType: "ims-technical-account",
+        host: "http://localhost",
+        clientId: "client",
+        clientSecret: "secret",
+        scope: "AdobeID,openid",
+      });
+      const fetchStub = sinon.stub(global, "fetch").resolves({
+        ok: true,
+        json: sinon.stub().resolves({ access_token: "access" }),
+      });
+
+      try {
+        await auth.login({ alias: "test" });
+      } finally {
+        fetchStub.restore();
+      }
+
+      expect(fetchStub.firstCall.args[0]).to.equal("https://ims-na1.adobelogin.com/ims/token/v3");
+      expect(fetchStub.firstCall.args[1].body.get("client_secret")).to.equal("secret");
+      expect(mockSdk.ConnectionParameters.ofBearerToken.calledWith("http://localhost", "access")).to.be.true;
+    });
+
+    it("should throw CampaignError when IMS rejects the technical account", async function () {
+      mockConfig.get.returns({
+        authType: "ims-technical-account",
+        host: "http://localhost",
+        clientId: "client",
+        clientSecret: "wrong",
+        scope: "AdobeID",
+      });
+      const fetchStub = sinon.stub(global, "fetch").resolves({
+        ok: false,
+        status: 401,
+        text: sinon.stub().resolves("invalid_client"),
+      });
+
+      try {
+        await auth.login({ alias: "test" });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("IMS authentication failed (401)");
+      } finally {
+        fetchStub.restore();
+      }
+    });
+  });
+
+  describe("vault", function () {
+    let mockVault;
+
+    beforeEach(function () {
+      mockVault = {
+        encrypt: sinon.stub().resolves({ iv: "iv", tag: "tag", data: "data" }),
+        decrypt: sinon.stub().resolves({ password: "testpass" }),
+      };
+      auth = new CampaignAuth(mockSdk, mockConfig, mockVault);
+    });
+
+    it("should store encrypted credentials on init", async function () {
+      mockConfig.get.withArgs("instances.test").returns({
+        host: "http://localhost",
+        user: "testuser",
+        secrets: { iv: "iv", tag: "tag", data: "data" },
+      });
+
+      await auth.init({
+        alias: "test",
+        host: "http://localhost",
+        user: "testuser",
+        password: "testpass",
+      });
+
+      expect(mockVault.encrypt.calledOnceWith({ password: "testpass" })).to.be.true;
+      expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        authType: "password",
+        host: "http://localhost",
+        user: "testuser",
+        secrets: { iv: "iv", tag: "tag", data: "data" },
+      });
+    });
+
+    it("should decrypt credentials on login", async function () {
+      mockConfig.get.returns({
+        host: "http://localhost",
+        user: "testuser",
+        secrets: { iv: "iv", tag: "tag", data: "data" },
+      });
+
+      await auth.login({ alias: "test" });
+
+      expect(mockVault.decrypt.calledOnce).to.be.true;
+      expect(
+        mockSdk.ConnectionParameters.ofUserAndPassword.calledWith(
+          "http://localhost",
+          "testuser",
+          "testpass",
+        ),
+      ).to.be.true;
+    });
+
+    it("should throw CampaignError for encrypted credentials without vault", async function () {
+      auth = new CampaignAuth(mockSdk, mockConfig);
+      mockConfig.get.returns({ host: "http://localhost", user: "testuser", secrets: {} });
+
+      try {
+        await auth.login({ alias: "test" });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("no vault");
+      }
+    });
+
+    it("should migrate plain text credentials", async function () {
+      auth.instances = {
+        plain: { host: "http://plain", user: "u", password: "p" },
+        encrypted: { host: "http://encrypted", user: "u", secrets: {} },
+      };
+
+      const migrated = await auth.migrate();
+
+      expect(migrated).to.equal(1);
+      expect(mockVault.encrypt.calledOnceWith({ password: "p" })).to.be.true;
+      expect(mockConfig.set.calledOnceWith("instances.plain")).to.be.true;
+      expect(mockConfig.set.firstCall.args[1]).to.not.have.property("password");
+    });
+
+    it("should keep the protected flag of migrated instances", async function () {
+      auth.instances = {
+        prod: { host: "http://prod", user: "u", password: "p", protected: true },
+      };
+
+      await auth.migrate();
+
+      expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        protected: true,
+        authType: "password",
+        host: "http://prod",
+        user: "u",
+        secrets: { iv: "iv", tag: "tag", data: "data" },
+      });
+    });
+  });
+
+  describe("session cache", function () {
+    let store, client;
+
+    beforeEach(function () {
+      // Mock Configstore backed by a plain object, with dotted keys
+      store = {
+        "instances.test": { host: "http://localhost", user: "testuser", password: "testpass" },
+      };
+      mockConfig.get.callsFake((key) => store[key]);
+      mockConfig.set.callsFake((key, value) => {
+        store[key] = value;
+      });
+      mockConfig.delete.callsFake((key) => {
+        delete store[key];
+      });
+      mockSdk.ConnectionParameters.ofSessionAndSecurityToken = sinon.stub().returns({});
+      client = {
+        _sessionToken: "session",
+        _securityToken: "security",
+        logon: sinon.stub().resolves(),
+        logoff: sinon.stub().resolves(),
+        reinit: sinon.stub(),
+        getSessionInfo: sinon.stub().returns({
+          serverInfo: { instanceName: "test-instance", releaseName: "v1.0", buildNumber: "12345" },
+        }),
+      };
+      mockSdk.init.resolves(client);
+    });
+
+    it("should cache the session after login", async function () {
+      await auth.login({ alias: "test" });
+
+      expect(store["sessions.test"]).to.include({ sessionToken: "session", securityToken: "security" });
+      expect(store["sessions.test"].expiresAt).to.be.above(Date.now());
+      expect(store["sessions.test"].serverInfo.instanceName).to.equal("test-instance");
+    });
+
+    it("should reuse a valid cached session", async function () {
+      await auth.login({ alias: "test" });
+      await auth.login({ alias: "test" });
+
+      expect(mockSdk.ConnectionParameters.ofUserAndPassword.calledOnce).to.be.true;
+      expect(
+        mockSdk.ConnectionParameters.ofSessionAndSecurityToken.calledOnceWith("http://localhost", "session", "security"),
+      ).to.be.true;
+      expect(auth.logins.test.sessionReused).to.be.true;
+      expect(auth.logins.test.serverInfo.instanceName).to.equal("test-instance");
+    });
+
+    it("should login again when the cached session is expired", async function () {
+      await auth.login({ alias: "test" });
+      store["sessions.test"].expiresAt = Date.now() - 1;
+      await auth.login({ alias: "test" });
+
+      expect(mockSdk.ConnectionParameters.ofUserAndPassword.calledTwice).to.be.true;
+    });
+
+    it("should refresh the session when the server rejects it", async function () {
+      await auth.login({ alias: "test" });
+      const { refreshClient } = mockSdk.ConnectionParameters.ofUserAndPassword.firstCall.args[3];
+      client._sessionToken = "new-session";
+
+      await refreshClient(client);
+
+      expect(client.reinit.calledOnce).to.be.true;
+      expect(store["sessions.test"].sessionToken).to.equal("new-session");
+    });
+
+    it("should cache the session of a plain text alias without asking for the passphrase", async function () {
+      const vault = {
+        encrypt: sinon.stub().rejects(new CampaignError("Vault passphrase required.")),
+        decrypt: sinon.stub().rejects(new CampaignError("Vault passphrase required.")),
+      };
+      auth = new CampaignAuth(mockSdk, mockConfig, vault);
+
+      await auth.login({ alias: "test" });
+
+      expect(vault.encrypt.called).to.be.false;
+      expect(store["sessions.test"]).to.include({ sessionToken: "session", securityToken: "security" });
+    });
+
+    it("should encrypt the session of an alias in the vault", async function () {
+      const vault = {
+        encrypt: sinon.stub().resolves({ iv: "iv", tag: "tag", data: "data" }),
+        decrypt: sinon.stub().resolves({ password: "testpass" }),
+      };
+      store["instances.test"] = { host: "http://localhost", user: "testuser", secrets: {} };
+      auth = new CampaignAuth(mockSdk, mockConfig, vault);
+
+      await auth.login({ alias: "test" });
+
+      expect(vault.encrypt.calledOnceWith({ sessionToken: "session", securityToken: "security" })).to.be.true;
+      expect(store["sessions.test"]).to.not.have.property("sessionToken");
+      expect(store["sessions.test"].secrets).to.deep.equal({ iv: "iv", tag: "tag", data: "data" });
+    });
+
+    it("should log in even if the session can't be cached", async function () {
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      const vault = {
+        encrypt: sinon.stub().rejects(new CampaignError("Vault passphrase required.")),
+        decrypt: sinon.stub().resolves({ password: "testpass" }),
+      };
+      store["instances.test"] = { host: "http://localhost", user: "testuser", secrets: {} };
+      auth = new CampaignAuth(mockSdk, mockConfig, vault, logger);
+
+      expect(await auth.login({ alias: "test" })).to.equal(client);
+
+      expect(store["sessions.test"]).to.be.undefined;
+      expect(logger.warn).to.have.been.calledWithMatch("Vault passphrase required");
+    });
+
+    it("should not cache a session when the client has no tokens", async function () {
+      delete client._sessionToken;
+
+      await auth.login({ alias: "test" });
+
+      expect(store["sessions.test"]).to.be.undefined;
+    });
+
+    it("should not cache sessions of the session-token auth type", async function () {
+      store["instances.test"] = { authType: "session-token", host: "http://localhost", sessionToken: "session", securityToken: "security" };
+
+      await auth.login({ alias: "test" });
+
+      expect(store["sessions.test"]).to.be.undefined;
+    });
+
+    it("should log out and clear the cached session", async function () {
+      await auth.login({ alias: "test" });
+
+      const cleared = await auth.logout({ alias: "test" });
+
+      expect(cleared).to.equal(1);
+      expect(client.logoff.calledOnce).to.be.true;
+      expect(store["sessions.test"]).to.be.undefined;
+    });
+
+    it("should clear the session even if the server logoff fails", async function () {
+      await auth.login({ alias: "test" });
+      client.logoff.rejects(new Error("Session expired"));
+
+      await auth.logout({ alias: "test" });
+
+      expect(store["sessions.test"]).to.be.undefined;
+    });
+  });
+
+  describe("remove", function () {
+    it("should remove an existing instance", function () {
+      auth.instances = { test: { host: "http://localhost" } };
+      auth.instanceIds = ["test"];
+
+      auth.remove({ alias: "test" });
+
+      expect(mockConfig.delete.calledWith("instances.test")).to.be.true;
+      expect(mockConfig.delete.calledWith("sessions.test")).to.be.true;
+      expect(auth.instanceIds).to.deep.equal([]);
+    });
+
+    it("should throw CampaignError when instance doesn't exist", function () {
+      expect(() => auth.remove({ alias: "nonexistent" })).to.throw(CampaignError, "doesn't exist");
+    });
+  });
+
+  describe("protected", function () {
+    beforeEach(function () {
+      auth.instances = { prod: { host: "http://prod", protected: true }, dev: { host: "http://dev" } };
+      auth.instanceIds = ["prod", "dev"];
+    });
+
+    it("should refuse protected instances", function () {
+      expect(auth.isProtected("dev")).to.be.false;
+      expect(() => auth.assertUnprotected("dev", "instance watch")).to.not.throw();
+      expect(() => auth.assertUnprotected("prod", "instance watch")).to.throw(
+        CampaignError,
+        "Instance prod is protected, instance watch is refused",
+      );
+    });
+
+    it("should require the alias as confirmation for protected instances", function () {
+      expect(() => auth.assertConfirmed("dev", undefined, "package install")).to.not.throw();
+      expect(() => auth.assertConfirmed("prod", "prod", "package install")).to.not.throw();
+      expect(() => auth.assertConfirmed("prod", "dev", "package install")).to.throw(
+        CampaignError,
+        "Run it again with --confirm prod",
+      );
+    });
+
+    it("should keep the protection on update unless removed", async function () {
+      mockConfig.get.withArgs("instances.prod").returns({ host: "http://prod", user: "u", password: "p" });
+
+      await auth.update({ alias: "prod", password: "new" });
+      await auth.update({ alias: "prod", protected: false });
+
+      expect(mockConfig.set.firstCall.args[1]).to.include({ protected: true });
+      expect(mockConfig.set.secondCall.args[1]).to.not.have.property("protected");
+    });
+  });
+
+  describe("rename", function () {
+    beforeEach(function () {
+      auth.instances = { stage: { host: "http://stage" }, prod: { host: "http://prod" } };
+      auth.instanceIds = ["stage", "prod"];
+    });
+
+    it("should move the instance to the new alias", function () {
+      auth.rename({ alias: "stage", to: "staging" });
+
+      expect(mockConfig.set.calledOnceWith("instances.staging", { host: "http://stage" })).to.be.true;
+      expect(mockConfig.delete.calledOnceWith("instances.stage")).to.be.true;
+      expect(auth.instanceIds).to.have.members(["staging", "prod"]);
+    });
+
+    it("should throw CampaignError when the new alias already exists", function () {
+      expect(() => auth.rename({ alias: "stage", to: "prod" })).to.throw(CampaignError, "already exists");
+      expect(mockConfig.set.called).to.be.false;
+    });
+  });
+
+  describe("update", function () {
+    beforeEach(function () {
+      auth.instances = { test: {} };
+      auth.instanceIds = ["test"];
+      mockConfig.get.withArgs("instances.test").returns({
+        authType: "password",
+        host: "http://localhost",
+        user: "testuser",
+        password: "old",
+      });
+    });
+
+    it("should keep fields not provided", async function () {
+      await auth.update({ alias: "test", password: "new", host: undefined });
+
+      expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        authType: "password",
+        host: "http://localhost",
+        user: "testuser",
+        password: "new",
+      });
+    });
+
+    it("should drop the fields of the previous auth type", async function () {
+      mockSdk.ConnectionParameters.ofBearerToken = sinon.stub().returns({});
+
+      await auth.update({ alias: "test", authType: "bearer-token", bearerToken: "token" });
+
+      expect(mockConfig.set.firstCall.args[1]).to.deep.equal({
+        authType: "bearer-token",
+        host: "http://localhost",
+        bearerToken: "token",
+      });
+    });
+
+    it("should throw CampaignError when instance doesn't exist", async function () {
+      try {
+        await auth.update({ alias: "nonexistent", password: "new" });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+      }
+    });
+  });
+
+  describe("test", function () {
+    let consoleLogStub;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      auth.instances = { ok: {}, down: {} };
+      auth.instanceIds = ["ok", "down"];
+      mockConfig.get.withArgs("instances.ok").returns({
+        host: "http://ok",
+        user: "testuser",
+        password: "testpass",
+      });
+      mockConfig.get.withArgs("instances.down").returns({
+        host: "http://down",
+        user: "testuser",
+        password: "testpass",
+      });
+      mockSdk.init.callsFake(async () => ({
+        test: sinon.stub().resolves({}),
+        logon: sinon.stub().resolves(),
+        getSessionInfo: sinon.stub().returns({
+          serverInfo: { instanceName: "test-instance", releaseName: "v1.0", buildNumber: "12345" },
+        }),
+      }));
+      mockSdk.init.onSecondCall().resolves({
+        test: sinon.stub().rejects(new Error("ECONNREFUSED")),
+      });
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+    });
+
+    it("should report the health of all instances", async function () {
+      const rows = await auth.test();
+
+      expect(rows).to.have.length(2);
+      expect(rows[0]).to.include({
+        alias: "ok",
+        reachable: true,
+        login: true,
+        instanceName: "test-instance",
+        build: "12345",
+      });
+      expect(rows[0].latency).to.be.a("number");
+      expect(rows[1]).to.include({ alias: "down", reachable: false, login: false, error: "ECONNREFUSED" });
+      expect(consoleLogStub.calledWith(sinon.match(/ALIAS.*REACHABLE.*LOGIN/))).to.be.true;
+    });
+
+    it("should test a single instance", async function () {
+      const rows = await auth.test({ alias: "ok" });
+      expect(rows.map((row) => row.alias)).to.deep.equal(["ok"]);
+    });
+  });
+
   describe("list", function () {
     it("should list all instances", function () {
       auth.instances = {
@@ -167,11 +740,25 @@ describe("CampaignAuth", function () {
       expect(() => auth.list()).to.not.throw();
     });
 
+    it("should return the instances without their credentials", function () {
+      auth.instances = {
+        prod: { host: "http://prod", user: "produser", password: "secret" },
+        staging: { host: "http://staging", authType: "bearer-token", secrets: "encrypted", protected: true }
+      };
+      auth.instanceIds = ["prod", "staging"];
+
+      expect(auth.list()).to.deep.equal([
+        { alias: "prod", host: "http://prod", authType: "password", encrypted: false, protected: false },
+        { alias: "staging", host: "http://staging", authType: "bearer-token", encrypted: true, protected: true },
+      ]);
+    });
+
     it("should handle empty instances", function () {
       auth.instances = {};
       auth.instanceIds = [];
 
       expect(() => auth.list()).to.not.throw();
+      expect(auth.list()).to.deep.equal([]);
     });
   });
 });
\ No newline at end of file
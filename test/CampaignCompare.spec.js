@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import sdk from "@adobe/acc-js-sdk";
+import CampaignCompare from "../src/CampaignCompare.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignCompare", function () {
+  let fromInstance, toInstance, compare, consoleLogStub;
+
+  function mockInstance(records) {
+    return {
+      schemas: ["xtk:form"],
+      client: { DomUtil: sdk.DomUtil },
+      _fetchSchema: sinon.stub().resolves(new Map(Object.entries(records))),
+    };
+  }
+
+  beforeEach(function () {
+    consoleLogStub = sinon.stub(console, "log");
+    fromInstance = mockInstance({
+      "/Forms/cus/same.xml": '<form id="1" lastModified="2024-01-01" name="same"><createdBy _cs="admin"/></form>',
+      "/Forms/cus/changed.xml": '<form label="old" name="changed"/>',
+      "/Forms/cus/staging.xml": '<form name="staging"/>',
+    });
+    toInstance = mockInstance({
+      "/Forms/cus/same.xml": '<form id="2" lastModified="2024-02-01" name="same"><createdBy _cs="other"/></form>',
+      "/Forms/cus/changed.xml": '<form label="new" name="changed"/>',
+      "/Forms/cus/prod.xml": '<form name="prod"/>',
+    });
+    compare = new CampaignCompare(
+      { alias: "staging", instance: fromInstance },
+      { alias: "prod", instance: toInstance },
+    );
+  });
+
+  afterEach(function () {
+    consoleLogStub.restore();
+  });
+
+  describe("constructor", function () {
+    it("should throw CampaignError when comparing an alias with itself", function () {
+      expect(
+        () =>
+          new CampaignCompare(
+            { alias: "prod", instance: fromInstance },
+            { alias: "prod", instance: toInstance },
+          ),
+      ).to.throw(CampaignError);
+    });
+  });
+
+  describe("compare", function () {
+    it("should report entities only on one side and different entities", async function () {
+      const report = await compare.compare();
+      const [schemaReport] = report.schemas;
+      expect(schemaReport.onlyFrom).to.deep.equal(["/Forms/cus/staging.xml"]);
+      expect(schemaReport.onlyTo).to.deep.equal(["/Forms/cus/prod.xml"]);
+      expect(schemaReport.different.map((d) => d.filename)).to.deep.equal([
+        "/Forms/cus/changed.xml",
+      ]);
+      expect(schemaReport.different[0].patch).to.include('+<form label="new"');
+      expect(schemaReport.identical).to.equal(1);
+      expect(report.summary).to.deep.equal({
+        onlyFrom: 1,
+        onlyTo: 1,
+        different: 1,
+        identical: 1,
+        errors: 0,
+      });
+    });
+
+    it("should record query errors per schema", async function () {
+      toInstance._fetchSchema.rejects(new Error("Test error"));
+      const report = await compare.compare();
+      expect(report.schemas[0].error).to.equal("Test error");
+      expect(report.summary.errors).to.equal(1);
+    });
+  });
+
+  describe("_normalize", function () {
+    it("should ignore volatile attributes and elements", function () {
+      expect(
+        compare._normalize('<form id="1" lastModified="x" name="a"><createdBy/><input/></form>'),
+      ).to.equal('<form name="a">\n<input/>\n</form>');
+    });
+  });
+
+  describe("print", function () {
+    it("should print a summary", async function () {
+      compare.print(await compare.compare());
+      expect(consoleLogStub.calledWith(sinon.match(/1 identical, 1 different/))).to.be.true;
+    });
+  });
+
+  describe("writeReport", function () {
+    const testDir = "/tmp/test-campaign-compare";
+
+    afterEach(function () {
+      fs.removeSync(testDir);
+    });
+
+    it("should write a JSON report", async function () {
+      const report = await compare.compare();
+      compare.writeReport(report, `${testDir}/report.json`);
+      expect(fs.readJsonSync(`${testDir}/report.json`).summary.different).to.equal(1);
+    });
+
+    it("should write an HTML report", async function () {
+      const report = await compare.compare();
+      compare.writeReport(report, `${testDir}/report.html`);
+      const html = fs.readFileSync(`${testDir}/report.html`, "utf8");
+      expect(html).to.include("<h1>staging vs prod</h1>");
+      expect(html).to.include("Only in prod: /Forms/cus/prod.xml");
+    });
+
+    it("should throw CampaignError for unsupported formats", async function () {
+      const report = await compare.compare();
+      expect(() => compare.writeReport(report, `${testDir}/report.txt`)).to.throw(
+        CampaignError,
+      );
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import CampaignConfig from "../src/CampaignConfig.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignConfig", function () {
+  describe("load", function () {
+    const testDir = "/tmp/test-campaign-config";
+
+    afterEach(function () {
+      fs.removeSync(testDir);
+    });
+
+    it("should load a configuration file", function () {
+      fs.outputJsonSync(`${testDir}/acc.config.json`, {
+        "xtk:form": { filename: "/{@name}.xml" },
+      });
+      const config = CampaignConfig.load(`${testDir}/acc.config.json`);
+      expect(config.data).to.have.key("xtk:form");
+    });
+
+    it("should throw CampaignError for invalid JSON", function () {
+      fs.outputFileSync(`${testDir}/acc.config.json`, "{ invalid");
+      expect(() => CampaignConfig.load(`${testDir}/acc.config.json`)).to.throw(
+        CampaignError,
+        /isn't valid JSON/,
+      );
+    });
+
+    it("should throw CampaignError for a missing file", function () {
+      expect(() => CampaignConfig.load(`${testDir}/missing.json`)).to.throw(
+        CampaignError,
+        /doesn't exist/,
+      );
+    });
+
+    it("should extend the bundled configuration", function () {
+      fs.outputJsonSync(`${testDir}/acc.config.json`, {
+        extends: "campaign-cli",
+        "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" },
+        "nms:webApp": null,
+      });
+      const { data } = CampaignConfig.load(`${testDir}/acc.config.json`);
+      const bundled = fs.readJsonSync("config/acc.config.json");
+      expect(data).to.not.have.any.keys("extends", "nms:webApp");
+      expect(data["xtk:jssp"]).to.deep.equal(bundled["xtk:jssp"]);
+      // deep merged: the bundled queryDef is kept
+      expect(data["xtk:form"]).to.deep.equal({
+        ...bundled["xtk:form"],
+        filename: "/Forms/{@namespace}/{@name}.xml",
+      });
+    });
+
+    it("should replace the arrays of an extended file", function () {
+      fs.outputJsonSync(`${testDir}/base.json`, {
+        "xtk:form": {
+          filename: "/{@name}.xml",
+          queryDef: { where: { condition: [{ expr: "@namespace = 'cus'" }] } },
+        },
+      });
+      fs.outputJsonSync(`${testDir}/project/acc.config.json`, {
+        extends: ["../base.json"],
+        "xtk:form": {
+          queryDef: { where: { condition: [{ expr: "@namespace = 'prj'" }] } },
+        },
+      });
+      const { data } = CampaignConfig.load(`${testDir}/project/acc.config.json`);
+      expect(data["xtk:form"]).to.deep.equal({
+        filename: "/{@name}.xml",
+        queryDef: { where: { condition: [{ expr: "@namespace = 'prj'" }] } },
+      });
+    });
+
+    it("should throw CampaignError for circular extends", function () {
+      fs.outputJsonSync(`${testDir}/a.json`, { extends: "./b.json" });
+      fs.outputJsonSync(`${testDir}/b.json`, { extends: "./a.json" });
+      expect(() => CampaignConfig.load(`${testDir}/a.json`)).to.throw(
+        CampaignError,
+        /Circular extends/,
+      );
+    });
+  });
+
+  describe("mergeDefault", function () {
+    it("should deep merge default and concatenate conditions", function () {
+      const merged = CampaignConfig.mergeDefault(
+        {
+          filename: "/{@name}.xml",
+          pageSize: 100,
+          queryDef: { where: { condition: [{ expr: "@builtIn = false" }] } },
+        },
+        {
+          pageSize: 20,
+          queryDef: { where: { condition: [{ expr: "@isModel = true" }] } },
+        },
+      );
+      expect(merged).to.deep.equal({
+        filename: "/{@name}.xml",
+        pageSize: 20,
+        queryDef: {
+          where: {
+            condition: [{ expr: "@builtIn = false" }, { expr: "@isModel = true" }],
+          },
+        },
+      });
+    });
+  });
+
+  describe("validate", function () {
+    it("should accept the bundled configuration", function () {
+      const config = CampaignConfig.load("config/acc.config.json");
+      expect(config.validate()).to.deep.equal([]);
+    });
+
+    it("should report structure errors with their location", function () {
+      const config = new CampaignConfig({
+        "xtk:form": { filname: "/{@name}.xml" },
+        "xtk:jssp": {
+          filename: "/{@name}.js",
+          queryDef: { where: { condition: { expr: "@name = 'a'" } } },
+        },
+      });
+      expect(config.validate()).to.deep.include.members([
+        { location: "/xtk:form", message: 'must NOT have additional properties: "filname"' },
+        { location: "/xtk:jssp/queryDef/where/condition", message: "must be array" },
+      ]);
+    });
+
+    it("should report a filename neither set nor inherited from default", function () {
+      const config = new CampaignConfig({ "xtk:form": { pageSize: 20 } });
+      expect(config.validate()).to.deep.equal([
+        {
+          location: "/xtk:form",
+          message: "must have required property 'filename', or inherit it from default",
+        },
+      ]);
+      config.data.default = { filename: "/{@name}.xml" };
+      expect(config.validate()).to.deep.equal([]);
+    });
+
+    it("should accept a default holding only where conditions", function () {
+      const config = new CampaignConfig({
+        default: { queryDef: { where: { condition: [{ expr: "@builtIn = false" }] } } },
+        "xtk:form": { filename: "/{@namespace}/{@name}.xml" },
+      });
+      expect(config.validate()).to.deep.equal([]);
+      config.data.default.filename = "/scripts.sql";
+      expect(config.validate().map((error) => error.location)).to.deep.equal([
+        "/default/filename",
+      ]);
+    });
+
+    it("should report invalid schema names", function () {
+      const config = new CampaignConfig({ xtk_form: { filename: "/{@name}.xml" } });
+      expect(config.validate()).to.deep.equal([
+        { location: "/", message: 'must NOT have additional properties: "xtk_form"' },
+      ]);
+    });
+
+    it("should report invalid placeholders", function () {
+      const config = new CampaignConfig({
+        "xtk:form": { filename: "/{name}/{@namespace}.xml" },
+        "xtk:jssp": { filename: "/{@name.js" },
+        "xtk:sql": { filename: "/scripts.sql" },
+      });
+      expect(config.validate().map((error) => error.location + " " + error.message)).to.deep.equal([
+        "/xtk:form/filename placeholder {name} must be an attribute, e.g. {@name}",
+        "/xtk:jssp/filename unbalanced { or } in filename",
+        "/xtk:jssp/filename must contain at least one {@attribute} placeholder, otherwise all records are written to the same file",
+        "/xtk:sql/filename must contain at least one {@attribute} placeholder, otherwise all records are written to the same file",
+      ]);
+    });
+  });
+
+  describe("verify", function () {
+    let client, schema;
+
+    beforeEach(function () {
+      schema = {
+        root: {
+          findNode: sinon.stub().callsFake(async (name) =>
+            ["@name", "@namespace", "data"].includes(name) ? {} : undefined,
+          ),
+        },
+      };
+      client = {
+        application: {
+          getSchema: sinon.stub().callsFake(async (schemaId) =>
+            schemaId === "cus:missing" ? null : schema,
+          ),
+        },
+      };
+    });
+
+    it("should report missing schemas, attributes and content elements", async function () {
+      const config = new CampaignConfig({
+        default: { filename: "/{@other}.xml" },
+        "xtk:javascript": { filename: "/{@namespace}/{@label}.js", content: "source" },
+        "cus:missing": { filename: "/{@name}.xml" },
+      });
+      expect(await config.verify(client)).to.deep.equal([
+        { location: "/xtk:javascript/filename", message: "attribute @label doesn't exist in xtk:javascript" },
+        { location: "/xtk:javascript/content", message: "element source doesn't exist in xtk:javascript" },
+        { location: "/cus:missing", message: "schema cus:missing doesn't exist on the instance" },
+      ]);
+    });
+
+    it("should accept a configuration matching the instance", async function () {
+      const config = new CampaignConfig({
+        "xtk:javascript": { filename: "/{@namespace}/{@name}.js", content: "data" },
+      });
+      expect(await config.verify(client)).to.deep.equal([]);
+    });
+  });
+
+  describe("print", function () {
+    let logger;
+
+    beforeEach(function () {
+      logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+    });
+
+    it("should print each error with its location", function () {
+      new CampaignConfig({}, "acc.config.json").print(
+        [{ location: "/xtk:form", message: "must have required property 'filename'" }],
+        logger,
+      );
+      expect(
+        logger.error.calledWith(
+          "❌ acc.config.json#/xtk:form: must have required property 'filename'",
+        ),
+      ).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import sdk from "@adobe/acc-js-sdk";
+import CampaignDocs from "../src/CampaignDocs.js";
+import CampaignInstance from "../src/CampaignInstance.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignDocs", function () {
+  const testDir = "/tmp/test-campaign-docs";
+  const pullDir = `${testDir}/pull`;
+  const outDir = `${testDir}/docs`;
+  let docs, logger;
+
+  beforeEach(function () {
+    logger = {
+      error: sinon.stub(),
+      warn: sinon.stub(),
+      info: sinon.stub(),
+      debug: sinon.stub(),
+    };
+    const instance = new CampaignInstance(
+      { DomUtil: sdk.DomUtil },
+      { "xtk:srcSchema": { filename: "/Data schemas/{@namespace}/{@name}.xml" } },
+      { logger },
+    );
+    docs = new CampaignDocs(instance, { logger });
+    fs.outputFileSync(
+      `${pullDir}/Data schemas/cus/order.xml`,
+      `<srcSchema namespace="cus" name="order" label="Orders" desc="Orders of the | web shop">
+  <enumeration name="status" basetype="byte" label="Order status">
+    <value name="new" value="0" label="New"/>
+    <value name="paid" value="1" label="Paid"/>
+  </enumeration>
+  <element name="order" label="Orders" autopk="true" sqltable="CusOrder">
+    <dbindex name="reference" unique="true"><keyfield xpath="@reference"/></dbindex>
+    <attribute name="reference" type="string" length="32" label="Reference"/>
+    <attribute name="status" type="byte" enum="status" label="Status"/>
+    <element name="recipient" type="link" target="nms:recipient" label="Customer" revLink="order"/>
+    <element name="shop" type="link" target="cus:shop" label="Shop"/>
+    <element name="address" label="Address">
+      <attribute name="city" label="City"/>
+    </element>
+    <element name="comment" type="memo" label="Comment"/>
+  </element>
+</srcSchema>`,
+    );
+    fs.outputFileSync(
+      `${pullDir}/Data schemas/cus/shop.xml`,
+      `<srcSchema namespace="cus" name="shop">
+  <element name="shop" label="Shops">
+    <key name="name" internal="true"><keyfield xpath="@name"/></key>
+    <attribute name="name" label="Name"/>
+  </element>
+</srcSchema>`,
+    );
+    fs.outputFileSync(
+      `${pullDir}/Data schemas/cus/recipient.xml`,
+      `<srcSchema namespace="cus" name="recipient" extendedSchema="nms:recipient">
+  <element name="recipient"><attribute name="loyalty" type="long" label="Loyalty points"/></element>
+</srcSchema>`,
+    );
+    fs.outputFileSync(`${pullDir}/Data schemas/cus/broken.xml`, "<srcSchema");
+    fs.outputFileSync(`${pullDir}/Forms/cus/order.xml`, "<form/>");
+  });
+
+  afterEach(function () {
+    fs.removeSync(testDir);
+  });
+
+  describe("schemas", function () {
+    it("should write an index and a Markdown page per schema", function () {
+      const result = docs.schemas({ path: pullDir, out: outDir });
+
+      expect(result).to.deep.include({ format: "markdown", count: 3 });
+      expect(result.schemas.map(({ file }) => file)).to.deep.equal([
+        "cus_order.md",
+        "cus_recipient.md",
+        "cus_shop.md",
+      ]);
+      expect(fs.readdirSync(outDir).sort()).to.deep.equal([
+        "cus_order.md",
+        "cus_recipient.md",
+        "cus_shop.md",
+        "index.md",
+      ]);
+      expect(logger.warn).to.have.been.calledWithMatch("/Data schemas/cus/broken.xml");
+    });
+
+    it("should document attributes, links, keys, indexes and enumerations", function () {
+      docs.schemas({ path: pullDir, out: outDir });
+
+      const page = fs.readFileSync(`${outDir}/cus_order.md`, "utf8");
+      expect(page).to.include("# cus:order (Orders)\n");
+      expect(page).to.include("Orders of the \\| web shop");
+      expect(page).to.include("- SQL table `CusOrder`");
+      expect(page).to.include("| `@reference` | string (32) | Reference |  |");
+      expect(page).to.include("| `@status` | byte, enum status | Status |  |");
+      expect(page).to.include("| `address/@city` | string | City |  |");
+      expect(page).to.include("| `comment` | memo | Comment |  |");
+      expect(page).to.include("| `recipient` | `nms:recipient` | N-1 | order | Customer |");
+      expect(page).to.include("| `shop` | [cus:shop](cus_shop.md) | N-1 |  | Shop |");
+      expect(page).to.include("| autopk | `@id` | yes |");
+      expect(page).to.include("| reference | `@reference` | yes |");
+      expect(page).to.include("### status (byte): Order status");
+      expect(page).to.include("| `paid` | 1 | Paid |");
+    });
+
+    it("should cross-link the links and the extended schemas", function () {
+      docs.schemas({ path: pullDir, out: outDir });
+
+      expect(fs.readFileSync(`${outDir}/cus_shop.md`, "utf8")).to.include(
+        "## Referenced by\n\n- [cus:order](cus_order.md) `shop`",
+      );
+      expect(fs.readFileSync(`${outDir}/cus_recipient.md`, "utf8")).to.include(
+        "- Extends `nms:recipient` (built-in)",
+      );
+      const index = fs.readFileSync(`${outDir}/index.md`, "utf8");
+      expect(index).to.include("| [cus:shop](cus_shop.md) | Shops |  |  |");
+      expect(index).to.include(
+        "## Extended built-in schemas\n\n| Built-in schema | Extended by |\n| --- | --- |\n" +
+          "| `nms:recipient` | [cus:recipient](cus_recipient.md) |",
+      );
+    });
+
+    it("should write standalone HTML pages", function () {
+      const result = docs.schemas({ path: pullDir, out: outDir, format: "html" });
+
+      expect(result.schemas[0].file).to.equal("cus_order.html");
+      const page = fs.readFileSync(`${outDir}/cus_order.html`, "utf8");
+      expect(page).to.match(/^<!DOCTYPE html>/);
+      expect(page).to.include('<td><a href="cus_shop.html">cus:shop</a></td>');
+      expect(page).to.include("<p>Orders of the | web shop</p>");
+      expect(fs.existsSync(`${outDir}/index.html`)).to.be.true;
+    });
+
+    it("should throw CampaignError for an unknown format or without schema file", function () {
+      expect(() =>
+        docs.schemas({ path: pullDir, out: outDir, format: "pdf" }),
+      ).to.throw(CampaignError, "Invalid format pdf");
+      expect(() =>
+        docs.schemas({ path: `${testDir}/missing`, out: outDir }),
+      ).to.throw(CampaignError, "No xtk:srcSchema file found");
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import { execFileSync } from "node:child_process";
+import CampaignGit from "../src/CampaignGit.js";
+import CampaignError from "../src/CampaignError.js";
+import CampaignLogger from "../src/CampaignLogger.js";
+
+describe("CampaignGit", function () {
+  const testDir = "/tmp/test-campaign-git";
+  let git, logger;
+
+  function gitLog(cwd, format = "%s") {
+    return execFileSync("git", ["log", `--format=${format}`, "--name-status"], {
+      cwd,
+      encoding: "utf8",
+    });
+  }
+
+  beforeEach(function () {
+    fs.removeSync(testDir);
+    logger = {
+      error: sinon.stub(),
+      warn: sinon.stub(),
+      info: sinon.stub(),
+      debug: sinon.stub(),
+    };
+    git = new CampaignGit(testDir, { logger });
+  });
+
+  afterEach(function () {
+    fs.removeSync(testDir);
+  });
+
+  describe("constructor", function () {
+    it("should default to a CampaignLogger", function () {
+      expect(new CampaignGit(testDir).logger).to.be.instanceOf(CampaignLogger);
+    });
+  });
+
+  describe("pullMessage", function () {
+    const report = {
+      schemas: [
+        { schemaId: "xtk:form", count: 12, files: [], errors: [], removed: ["a.xml"] },
+        { schemaId: "nms:delivery", count: 0, files: [], errors: ["timeout"], removed: [] },
+      ],
+    };
+
+    it("should describe the alias, instance, build and schemas", function () {
+      const message = CampaignGit.pullMessage(
+        "prod",
+        { instanceName: "acc-prod", releaseName: "8.6.1", buildNumber: "9678" },
+        report,
+      );
+      expect(message).to.equal(
+        "Pull prod from acc-prod (8.6.1 build 9678)\n\n" +
+          "- xtk:form: 12 saved, 1 removed\n" +
+          "- nms:delivery: 0 saved, 1 error",
+      );
+    });
+
+    it("should only name the alias without server info", function () {
+      expect(CampaignGit.pullMessage("prod", undefined, report)).to.match(
+        /^Pull prod\n/,
+      );
+    });
+  });
+
+  describe("commit", function () {
+    it("should initialise a repository and commit the files", function () {
+      fs.outputFileSync(`${testDir}/Forms/cus/recipient.xml`, "<form/>");
+
+      const hash = git.commit("Pull prod\n\n- xtk:form: 1 saved");
+
+      expect(hash).to.match(/^[0-9a-f]{7,}$/);
+      expect(fs.existsSync(`${testDir}/.git`)).to.be.true;
+      expect(gitLog(testDir)).to.include("Pull prod").and.include(
+        "A\tForms/cus/recipient.xml",
+      );
+      expect(logger.info).to.have.been.calledWithMatch("Initialised git repository");
+    });
+
+    it("should commit deletions, and nothing when the files are unchanged", function () {
+      fs.outputFileSync(`${testDir}/a.xml`, "<a/>");
+      fs.outputFileSync(`${testDir}/b.xml`, "<b/>");
+      git.commit("First pull");
+      fs.removeSync(`${testDir}/b.xml`);
+
+      expect(git.commit("Second pull")).to.be.a("string");
+      expect(git.commit("Third pull")).to.be.null;
+      expect(gitLog(testDir)).to.include("D\tb.xml").and.not.include("Third pull");
+    });
+
+    it("should only commit the folder inside an existing repository", function () {
+      fs.outputFileSync(`${testDir}/notes.txt`, "notes");
+      fs.outputFileSync(`${testDir}/dist/prod/a.xml`, "<a/>");
+      execFileSync("git", ["init", "--quiet"], { cwd: testDir });
+
+      new CampaignGit(`${testDir}/dist/prod`, { logger }).commit("Pull prod");
+
+      expect(fs.existsSync(`${testDir}/dist/prod/.git`)).to.be.false;
+      const log = gitLog(testDir);
+      expect(log).to.include("A\tdist/prod/a.xml").and.not.include("notes.txt");
+    });
+
+    it("should throw CampaignError if git fails", function () {
+      fs.outputFileSync(`${testDir}/a.xml`, "<a/>");
+      expect(() => git.commit("")).to.throw(
+        CampaignError,
+        "empty commit message",
+      );
+    });
+  });
+});
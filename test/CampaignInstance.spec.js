@@ -2,7 +2,10 @@ import { expect } from "chai";
 import sinon from "sinon";
 import CampaignInstance from "../src/CampaignInstance.js";
 import CampaignError from "../src/CampaignError.js";
+import CampaignManifest from "../src/CampaignManifest.js";
+import CampaignConfig from "../src/CampaignConfig.js";
 import fs from "fs-extra";
+import sdk from "@adobe/acc-js-sdk";
 
 describe("CampaignInstance", function () {
   let mockClient, mockConfig, instance;
@@ -62,9 +65,27 @@ describe("CampaignInstance", function () {
       expect(instance.campaignConfig).to.equal(mockConfig);
       expect(instance.schemas).to.deep.equal(["nms:recipient"]);
     });
+  });
 
-    it("should register observer on client", function () {
-      expect(mockClient.registerObserver.calledOnce).to.be.true;
+  describe("_getSchemaConfig", function () {
+    it("should merge the default config into the schema config", function () {
+      instance = new CampaignInstance(mockClient, {
+        default: {
+          filename: "/{@name}.xml",
+          queryDef: { where: { condition: [{ expr: "@builtIn = false" }] } },
+        },
+        "xtk:form": {
+          queryDef: { where: { condition: [{ expr: "@namespace = 'cus'" }] } },
+        },
+      });
+      expect(instance._getSchemaConfig("xtk:form")).to.deep.equal({
+        filename: "/{@name}.xml",
+        queryDef: {
+          where: {
+            condition: [{ expr: "@builtIn = false" }, { expr: "@namespace = 'cus'" }],
+          },
+        },
+      });
     });
   });
 
@@ -115,6 +136,8 @@ describe("CampaignInstance", function () {
 
     it("should handle query execution errors gracefully", async function () {
       const consoleLogStub = sinon.stub(console, "log");
+      // warnings are logged to stderr
+      const consoleErrorStub = sinon.stub(console, "error");
       
       mockClient.NLWS.xtkQueryDef.create.returns({
         executeQuery: sinon.stub().rejects(new Error("Test error"))
@@ -122,8 +145,284 @@ describe("CampaignInstance", function () {
 
       await instance.check("/tmp/test-empty");
 
-      expect(consoleLogStub.calledWith(sinon.match(/Error executing query/))).to.be.true;
+      expect(consoleErrorStub.calledWith(sinon.match(/Error executing query/))).to.be.true;
       consoleLogStub.restore();
+      consoleErrorStub.restore();
+    });
+
+    it("should return the count and files of each schema", async function () {
+      const consoleLogStub = sinon.stub(console, "log");
+      instance = new CampaignInstance(mockClient, {
+        default: { filename: "/{@name}.xml" },
+        "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" },
+        "xtk:jssp": {},
+      });
+      const executeQuery = sinon.stub();
+      executeQuery.onCall(0).resolves({ form: [{ namespace: "cus", name: "a" }] });
+      executeQuery.onCall(1).rejects(new Error("Test error"));
+      mockClient.NLWS.xtkQueryDef.create.returns({ executeQuery });
+
+      const results = await instance.check({ path: "/tmp/test-check" });
+
+      expect(results).to.deep.equal([
+        { schemaId: "xtk:form", filename: "/Forms/{@namespace}/{@name}.xml", count: 1, files: ["/Forms/cus/a.xml"] },
+        { schemaId: "xtk:jssp", filename: "/{@name}.xml", error: "Test error" },
+      ]);
+      consoleLogStub.restore();
+    });
+  });
+
+  describe("query", function () {
+    it("should build the queryDef from the options and flatten the records", async function () {
+      mockClient.NLWS.xtkQueryDef.create.returns({
+        executeQuery: sinon.stub().resolves({
+          workflow: [
+            { internalName: "WKF1", folder: { label: "Workflows" } },
+            { internalName: "WKF2", $data: "text" },
+          ],
+        }),
+      });
+
+      const result = await instance.query({
+        schema: "xtk:workflow",
+        select: "@internalName, folder/@label, Iif(@failed = 1, 'a,b', 'c'), data",
+        where: "@failed = 1",
+        orderBy: "@lastModified desc, @internalName",
+        limit: "20",
+      });
+
+      expect(mockClient.NLWS.xtkQueryDef.create).to.have.been.calledWith({
+        schema: "xtk:workflow",
+        operation: "select",
+        select: {
+          node: [
+            { expr: "@internalName" },
+            { expr: "folder/@label" },
+            { expr: "Iif(@failed = 1, 'a,b', 'c')" },
+            { expr: "data" },
+          ],
+        },
+        where: { condition: [{ expr: "@failed = 1" }] },
+        orderBy: {
+          node: [
+            { expr: "@lastModified", sortDesc: true },
+            { expr: "@internalName" },
+          ],
+        },
+        lineCount: 20,
+      });
+      expect(result.columns).to.have.lengthOf(4);
+      expect(result.records).to.deep.equal([
+        {
+          "@internalName": "WKF1",
+          "folder/@label": "Workflows",
+          "Iif(@failed = 1, 'a,b', 'c')": undefined,
+          data: undefined,
+        },
+        {
+          "@internalName": "WKF2",
+          "folder/@label": undefined,
+          "Iif(@failed = 1, 'a,b', 'c')": undefined,
+          data: "text",
+        },
+      ]);
+    });
+
+    it("should override a queryDef and use its aliases as columns", async function () {
+      mockClient.NLWS.xtkQueryDef.create.returns({
+        executeQuery: sinon.stub().resolves({ delivery: [{ total: "3" }] }),
+      });
+      const queryDef = {
+        schema: "nms:delivery",
+        select: { node: [{ expr: "count(@id)", alias: "@total" }] },
+      };
+
+      const result = await instance.query({ queryDef, limit: 5 });
+
+      expect(result).to.deep.equal({
+        columns: ["@total"],
+        records: [{ "@total": "3" }],
+      });
+      expect(queryDef).not.to.have.property("lineCount");
+    });
+
+    it("should count the records", async function () {
+      mockClient.NLWS.xtkQueryDef.create.returns({
+        executeQuery: sinon.stub().resolves({ count: "42" }),
+      });
+
+      const result = await instance.query({
+        schema: "nms:recipient",
+        select: "@id",
+        count: true,
+      });
+
+      expect(mockClient.NLWS.xtkQueryDef.create.firstCall.args[0]).to.deep.equal({
+        schema: "nms:recipient",
+        operation: "count",
+      });
+      expect(result.records).to.deep.equal([{ count: 42 }]);
+    });
+
+    it("should throw CampaignError without schema, select or a valid limit", async function () {
+      for (const options of [
+        { select: "@id" },
+        { schema: "nms:recipient" },
+        { schema: "nms:recipient", select: "@id", limit: "0" },
+      ]) {
+        try {
+          await instance.query(options);
+          expect.fail("Should have thrown CampaignError");
+        } catch (err) {
+          expect(err).to.be.instanceOf(CampaignError);
+        }
+      }
+    });
+  });
+
+  describe("export", function () {
+    const testDir = "/tmp/test-campaign-export";
+    const filepath = `${testDir}/recipients.csv`;
+    const recipients = [
+      { id: "1", email: "ada@example.com" },
+      { id: "2", email: "alan@example.com" },
+      { id: "3", email: "grace@example.org" },
+    ];
+    let consoleLogStub, executeQuery;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      // pages of the recipients, by startLine and lineCount
+      executeQuery = sinon.stub();
+      mockClient.NLWS.xtkQueryDef.create.callsFake((queryDef) => ({
+        executeQuery: () =>
+          executeQuery(queryDef) || {
+            recipient: recipients.slice(
+              queryDef.startLine,
+              queryDef.startLine + queryDef.lineCount,
+            ),
+          },
+      }));
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+
+    it("should write the pages to a CSV file and remove the state file", async function () {
+      const report = await instance.export(filepath, {
+        schema: "nms:recipient",
+        select: "@id, @email",
+        delimiter: ";",
+        pageSize: 2,
+      });
+
+      expect(fs.readFileSync(filepath, "utf8")).to.equal(
+        "@id;@email\n1;ada@example.com\n2;alan@example.com\n3;grace@example.org\n",
+      );
+      expect(report).to.deep.equal({
+        path: filepath,
+        schema: "nms:recipient",
+        format: "csv",
+        count: 3,
+        resumed: false,
+      });
+      const pages = mockClient.NLWS.xtkQueryDef.create.args.map(([queryDef]) => queryDef.startLine);
+      expect(pages).to.deep.equal([0, 2]);
+      expect(fs.existsSync(`${filepath}.export.json`)).to.be.false;
+    });
+
+    it("should write a JSON array and stop at the limit", async function () {
+      await instance.export(filepath, {
+        schema: "nms:recipient",
+        select: "@id",
+        format: "json",
+        pageSize: 1,
+        limit: 2,
+      });
+
+      expect(JSON.parse(fs.readFileSync(filepath, "utf8"))).to.deep.equal([
+        { "@id": "1" },
+        { "@id": "2" },
+      ]);
+      expect(mockClient.NLWS.xtkQueryDef.create).to.have.been.calledTwice;
+    });
+
+    it("should resume an interrupted export after the last complete page", async function () {
+      const options = {
+        schema: "nms:recipient",
+        select: "@id",
+        format: "ndjson",
+        pageSize: 1,
+      };
+      executeQuery.onThirdCall().throws(new Error("Connection reset"));
+      try {
+        await instance.export(filepath, options);
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("after 2 records").and.include("--resume");
+      }
+      // a page partially written when interrupted
+      fs.appendFileSync(filepath, '{"@id":');
+
+      const report = await instance.export(filepath, { ...options, resume: true });
+
+      expect(report).to.include({ count: 3, resumed: true });
+      expect(fs.readFileSync(filepath, "utf8").trim().split("\n")).to.deep.equal([
+        '{"@id":"1"}',
+        '{"@id":"2"}',
+        '{"@id":"3"}',
+      ]);
+    });
+
+    it("should refuse to resume an export whose file was deleted", async function () {
+      const options = { schema: "nms:recipient", select: "@id", format: "ndjson", pageSize: 1 };
+      executeQuery.onSecondCall().throws(new Error("Connection reset"));
+      try {
+        await instance.export(filepath, options);
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+      }
+      fs.removeSync(filepath);
+
+      try {
+        await instance.export(filepath, { ...options, resume: true });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("is missing").and.include("without --resume");
+      }
+      expect(fs.existsSync(filepath)).to.be.false;
+    });
+
+    it("should refuse to resume another export", async function () {
+      fs.outputJsonSync(`${filepath}.export.json`, { fingerprint: "other", count: 1, bytes: 0 });
+      try {
+        await instance.export(filepath, { schema: "nms:recipient", select: "@id", resume: true });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("belongs to another export");
+      }
+    });
+
+    it("should throw CampaignError for invalid options", async function () {
+      for (const options of [
+        { format: "xml" },
+        { encoding: "klingon" },
+        { delimiter: '"' },
+        { pageSize: 0 },
+      ]) {
+        try {
+          await instance.export(filepath, { schema: "nms:recipient", select: "@id", ...options });
+          expect.fail("Should have thrown CampaignError");
+        } catch (err) {
+          expect(err).to.be.instanceOf(CampaignError);
+        }
+      }
     });
   });
 
@@ -151,6 +450,7 @@ describe("CampaignInstance", function () {
       fs.mkdirSync.restore();
       fs.readdirSync.restore();
       consoleLogStub.restore();
+      fs.removeSync(testDir);
     });
 
     it("should handle empty directory case", async function () {
@@ -168,6 +468,268 @@ describe("CampaignInstance", function () {
       consoleLogStub.restore();
       fs.removeSync(testDir);
     });
+
+    it("should only fetch records modified since the manifest with incremental", async function () {
+      const testDir = "/tmp/test-campaign-pull-incremental";
+      const manifest = new CampaignManifest(testDir);
+      manifest.set("/recipient_a.xml", {
+        schema: "nms:recipient",
+        lastModified: "2024-01-01 10:00:00.000Z",
+        content: "",
+      });
+      manifest.save();
+
+      const consoleLogStub = sinon.stub(console, "log");
+      sinon.stub(instance, "download").resolves(0);
+
+      await instance.pull(testDir, { incremental: true });
+
+      const recipientCall = instance.download
+        .getCalls()
+        .find((call) => call.args[0] === "nms:recipient");
+      expect(recipientCall.args[3].conditions).to.deep.equal([
+        { expr: "@lastModified > #2024-01-01 10:00:00.000Z#" },
+      ]);
+      // the default entry isn't a schema
+      expect(
+        instance.download.getCalls().map((call) => call.args[0]),
+      ).to.deep.equal(["nms:recipient"]);
+      // entries are only removed by a full pull
+      expect(new CampaignManifest(testDir).get("/recipient_a.xml")).to.exist;
+
+      instance.download.restore();
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+    it("should prune the files of the previous pull deleted on the server", async function () {
+      const testDir = "/tmp/test-campaign-pull-prune";
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      instance = new CampaignInstance(
+        { DomUtil: sdk.DomUtil },
+        { "nms:recipient": { filename: "/Recipients/{@id}.xml" } },
+        { logger },
+      );
+      const records = (ids) =>
+        ids.map((id) => sdk.DomUtil.parse(`<recipient id="${id}"/>`).documentElement);
+      sinon.stub(instance, "_queryRecords").resolves(records(["1", "2", "3"]));
+      await instance.pull(testDir);
+      // created locally, never pulled
+      fs.outputFileSync(`${testDir}/Recipients/4.xml`, '<recipient id="4"/>');
+
+      instance._queryRecords.resolves(records(["1", "2"]));
+      const report = await instance.pull(testDir, { prune: true });
+
+      expect(report.schemas[0].removed).to.deep.equal(["Recipients/3.xml"]);
+      expect(fs.readdirSync(`${testDir}/Recipients`).sort()).to.deep.equal([
+        "1.xml",
+        "2.xml",
+        "4.xml",
+      ]);
+      expect(new CampaignManifest(testDir).get("/Recipients/3.xml")).to.not.exist;
+
+      fs.removeSync(testDir);
+    });
+
+    it("should prune the files removed from the manifest by a previous pull without prune", async function () {
+      const testDir = "/tmp/test-campaign-pull-prune-later";
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      instance = new CampaignInstance(
+        { DomUtil: sdk.DomUtil },
+        { "nms:recipient": { filename: "/Recipients/{@id}.xml" } },
+        { logger },
+      );
+      const records = (ids) =>
+        ids.map((id) => sdk.DomUtil.parse(`<recipient id="${id}"/>`).documentElement);
+      sinon.stub(instance, "_queryRecords").resolves(records(["1", "2", "3"]));
+      await instance.pull(testDir);
+
+      instance._queryRecords.resolves(records(["1", "2"]));
+      await instance.pull(testDir);
+      expect(fs.existsSync(`${testDir}/Recipients/3.xml`)).to.be.true;
+      expect(new CampaignManifest(testDir).removed).to.deep.equal({
+        "/Recipients/3.xml": "nms:recipient",
+      });
+      const report = await instance.pull(testDir, { prune: true });
+
+      expect(report.schemas[0].removed).to.deep.equal(["Recipients/3.xml"]);
+      expect(fs.existsSync(`${testDir}/Recipients/3.xml`)).to.be.false;
+      expect(new CampaignManifest(testDir).removed).to.deep.equal({});
+
+      fs.removeSync(testDir);
+    });
+
+    it("should not prune the files of a schema whose query failed", async function () {
+      const testDir = "/tmp/test-campaign-pull-prune-error";
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      instance = new CampaignInstance(
+        { DomUtil: sdk.DomUtil },
+        { "nms:recipient": { filename: "/Recipients/{@id}.xml" } },
+        { logger },
+      );
+      sinon
+        .stub(instance, "_queryRecords")
+        .resolves([sdk.DomUtil.parse('<recipient id="1"/>').documentElement]);
+      await instance.pull(testDir);
+
+      instance._queryRecords.rejects(new Error("Test error"));
+      const report = await instance.pull(testDir, { prune: true });
+
+      expect(report.schemas[0].removed).to.be.empty;
+      expect(fs.existsSync(`${testDir}/Recipients/1.xml`)).to.be.true;
+
+      fs.removeSync(testDir);
+    });
+  });
+
+  describe("logger", function () {
+    it("should log through the injected logger", async function () {
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      instance = new CampaignInstance(mockClient, mockConfig, { logger });
+      mockClient.NLWS.xtkQueryDef.create.returns({
+        executeQuery: sinon.stub().resolves({ recipient: [] }),
+      });
+
+      await instance.check({ path: "/tmp/test-check" });
+
+      expect(logger.info.calledWith(sinon.match(/Checking instance/))).to.be.true;
+      expect(logger.debug.called).to.be.true;
+    });
+  });
+
+  describe("_getPageSize", function () {
+    it("should use the schema pageSize, then the default one", function () {
+      instance = new CampaignInstance(mockClient, {
+        default: { filename: "/{@name}.xml", pageSize: 200 },
+        "xtk:form": { filename: "/{@name}.xml", pageSize: 50 },
+        "xtk:jssp": { filename: "/{@name}.js" },
+      });
+      expect(instance._getPageSize("xtk:form")).to.equal(50);
+      expect(instance._getPageSize("xtk:jssp")).to.equal(200);
+    });
+
+    it("should throw CampaignError for an invalid pageSize", function () {
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/{@name}.xml", pageSize: "100" },
+      });
+      expect(() => instance._getPageSize("xtk:form")).to.throw(CampaignError);
+    });
+  });
+
+  describe("pull concurrency", function () {
+    const testDir = "/tmp/test-campaign-pull-concurrency";
+    let consoleLogStub;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      instance = new CampaignInstance(mockClient, {
+        default: { filename: "/{@name}.xml", pageSize: 2 },
+        "xtk:form": { filename: "/{@name}.xml" },
+        "xtk:jssp": { filename: "/{@name}.js" },
+      });
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+
+    it("should download pages in parallel up to the concurrency", async function () {
+      let running = 0;
+      let maxRunning = 0;
+      // 5 records per schema: pages of 2, 2 and 1
+      sinon.stub(instance, "download").callsFake(async (schemaId, folderPath, startLine) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        running--;
+        return Math.min(2, 5 - startLine);
+      });
+
+      const report = await instance.pull(testDir, { concurrency: 2 });
+
+      expect(maxRunning).to.equal(2);
+      expect(report.path).to.equal(testDir);
+      expect(report.schemas.map((schema) => schema.schemaId)).to.deep.equal(["xtk:form", "xtk:jssp"]);
+      const pages = instance.download.getCalls().map((call) => `${call.args[0]}@${call.args[2]}`);
+      expect(pages).to.have.members([
+        "xtk:form@0", "xtk:form@2", "xtk:form@4",
+        "xtk:jssp@0", "xtk:jssp@2", "xtk:jssp@4",
+      ]);
+    });
+
+    it("should download the pages of a schema in parallel from its count", async function () {
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/{@name}.xml", pageSize: 2 },
+      });
+      mockClient.NLWS.xtkQueryDef.create.returns({ executeQuery: sinon.stub().resolves({ count: "5" }) });
+      let running = 0;
+      let maxRunning = 0;
+      sinon.stub(instance, "download").callsFake(async (schemaId, folderPath, startLine) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        running--;
+        return Math.min(2, 5 - startLine);
+      });
+
+      await instance.pull(testDir, { concurrency: 3 });
+
+      expect(maxRunning).to.equal(3);
+      expect(mockClient.NLWS.xtkQueryDef.create.firstCall.args[0]).to.deep.equal({
+        schema: "xtk:form",
+        operation: "count",
+      });
+      const pages = instance.download.getCalls().map((call) => call.args[2]);
+      expect(pages).to.deep.equal([0, 2, 4]);
+    });
+
+    it("should pull the first record and the records at page boundaries", async function () {
+      mockClient.DomUtil = sdk.DomUtil;
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/{@name}.xml", pageSize: 2 },
+      });
+      const names = ["r0", "r1", "r2", "r3", "r4"];
+      mockClient.NLWS.xtkQueryDef.create.returns({ executeQuery: sinon.stub().resolves({ count: "5" }) });
+      sinon.stub(instance, "_queryRecords").callsFake(async (schemaId, startLine) =>
+        names
+          .slice(startLine, startLine + 2)
+          .map((name) => sdk.DomUtil.parse(`<form name="${name}"/>`).documentElement),
+      );
+
+      const report = await instance.pull(testDir, { concurrency: 2 });
+
+      expect(report.schemas[0].count).to.equal(5);
+      expect(fs.readdirSync(testDir).filter((file) => file.endsWith(".xml")).sort()).to.deep.equal(
+        names.map((name) => `${name}.xml`),
+      );
+    });
+
+    it("should throw CampaignError for an invalid concurrency", async function () {
+      try {
+        await instance.pull(testDir, { concurrency: 0 });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("concurrency");
+      }
+    });
+  });
+
+  describe("_queryRecords", function () {
+    it("should add conditions to the config where conditions", async function () {
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": {
+          filename: "/{@name}.xml",
+          queryDef: { where: { condition: [{ expr: "@namespace = 'cus'" }] } },
+        },
+      });
+      await instance._queryRecords("xtk:form", 1, [{ expr: "@name = 'a'" }]);
+      const queryDef = mockClient.DomUtil.fromJSON.firstCall.args[1];
+      expect(queryDef.where.condition).to.deep.equal([
+        { expr: "@namespace = 'cus'" },
+        { expr: "@name = 'a'" },
+      ]);
+    });
   });
 
   describe("download", function () {
@@ -190,10 +752,13 @@ describe("CampaignInstance", function () {
       // Spy on fs.outputFileSync
       const outputFileSyncSpy = sinon.spy(fs, "outputFileSync");
 
-      const result = await instance.download("nms:recipient", testDir, 1);
+      const report = { count: 0, files: [], errors: [] };
+      const result = await instance.download("nms:recipient", testDir, 0, { report });
 
       expect(result).to.equal(1);
       expect(outputFileSyncSpy.called).to.be.true;
+      expect(report.count).to.equal(1);
+      expect(report.files).to.have.lengthOf(1);
 
       // Restore the spy
       outputFileSyncSpy.restore();
@@ -209,12 +774,391 @@ describe("CampaignInstance", function () {
       const testDir = "/tmp/test-download-error";
       fs.ensureDirSync(testDir);
 
-      const result = await instance.download("nms:recipient", testDir, 1);
+      const report = { count: 0, files: [], errors: [] };
+      const result = await instance.download("nms:recipient", testDir, 0, { report });
 
       expect(result).to.equal(0);
+      expect(report.errors).to.deep.equal(["Test error"]);
+
+      fs.removeSync(testDir);
+    });
+  });
+
+  describe("_parseFilename", function () {
+    it("should extract attribute values from a filename", function () {
+      const keys = instance._parseFilename(
+        "/Input forms/{@namespace}/{@name}.xml",
+        ["@namespace", "@name"],
+        "/Input forms/cus/recipient.xml",
+      );
+      expect(keys).to.deep.equal({ namespace: "cus", name: "recipient" });
+    });
+
+    it("should return null when the filename doesn't match", function () {
+      const keys = instance._parseFilename(
+        "/Input forms/{@namespace}/{@name}.xml",
+        ["@namespace", "@name"],
+        "/Input forms/cus/recipient.js",
+      );
+      expect(keys).to.be.null;
+    });
+  });
+
+  describe("_resolveEntity", function () {
+    it("should find the schema matching a filename", function () {
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" },
+        "xtk:jssp": { filename: "/Pages/{@namespace}/{@name}.js" },
+      });
+      expect(instance._resolveEntity("/Pages/cus/home.js")).to.deep.equal({
+        schemaId: "xtk:jssp",
+        keys: { namespace: "cus", name: "home" },
+      });
+      expect(instance._resolveEntity("/Other/cus/home.js")).to.be.null;
+    });
+  });
+
+  describe("content extraction", function () {
+    const testDir = "/tmp/test-campaign-content";
+    const serverXml =
+      '<javascript lastModified="2024-01-01" label="Utils" name="utils" namespace="cus">' +
+      "<data><![CDATA[if (a && b) { x = y[z[0]]; }]]></data></javascript>";
+    let consoleLogStub, writeStub;
 
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      mockClient.DomUtil = sdk.DomUtil;
+      writeStub = sinon.stub().resolves();
+      mockClient.NLWS.xml.xtkSession = { write: writeStub };
+      mockClient.NLWS.xml.xtkQueryDef.create.returns({
+        selectAll: sinon.stub().resolves(),
+        executeQuery: sinon
+          .stub()
+          .resolves(
+            sdk.DomUtil.parse(`<javascript-collection>${serverXml}</javascript-collection>`)
+              .documentElement,
+          ),
+      });
+      instance = new CampaignInstance(mockClient, {
+        "xtk:javascript": {
+          filename: "/JavaScript codes/{@namespace}/{@name}.js",
+          content: "data",
+          metadata: true,
+        },
+      });
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
       fs.removeSync(testDir);
     });
+
+    it("should write the decoded content and the metadata sidecar", function () {
+      const record = sdk.DomUtil.parse(serverXml).documentElement;
+      instance._saveRecord(testDir, "xtk:javascript", record);
+      expect(fs.readFileSync(`${testDir}/JavaScript codes/cus/utils.js`, "utf8")).to.equal(
+        "if (a && b) { x = y[z[0]]; }",
+      );
+      const metadata = fs.readFileSync(`${testDir}/JavaScript codes/cus/utils.js.meta.xml`, "utf8");
+      expect(metadata).to.include('label="Utils"');
+      expect(metadata).to.not.include("<data>");
+    });
+
+    it("should round-trip content containing the CDATA end marker", function () {
+      const files = [
+        ["/JavaScript codes/cus/utils.js", "var s = 'a]]>b';"],
+        ["/JavaScript codes/cus/utils.js.meta.xml", '<javascript label="Utils" name="utils" namespace="cus"/>'],
+      ];
+      const record = instance._deserializeRecord(
+        "xtk:javascript",
+        { namespace: "cus", name: "utils" },
+        files,
+      );
+      expect(instance._serializeRecord("xtk:javascript", record)).to.deep.equal(files);
+    });
+
+    it("should rebuild the record from the keys without metadata sidecar", function () {
+      const record = instance._deserializeRecord(
+        "xtk:javascript",
+        { namespace: "cus", name: "utils" },
+        [["/JavaScript codes/cus/utils.js", "return 1;"], ["/JavaScript codes/cus/utils.js.meta.xml", null]],
+      );
+      expect(sdk.DomUtil.toXMLString(record)).to.equal(
+        '<javascript namespace="cus" name="utils"><data><![CDATA[return 1;]]></data></javascript>',
+      );
+    });
+
+    it("should push the edited content with its metadata", async function () {
+      const record = sdk.DomUtil.parse(serverXml).documentElement;
+      instance._saveRecord(testDir, "xtk:javascript", record);
+      fs.outputFileSync(`${testDir}/JavaScript codes/cus/utils.js`, "return 2;");
+      const result = await instance.push({ path: testDir });
+      // the sidecar is pushed with its record file, not on its own
+      expect(result).to.deep.include({ pushed: 1, skipped: 0 });
+      const written = writeStub.firstCall.args[0];
+      expect(sdk.DomUtil.getAttributeAsString(written, "label")).to.equal("Utils");
+      expect(sdk.DomUtil.elementValue(sdk.DomUtil.findElement(written, "data"))).to.equal("return 2;");
+    });
+
+    it("should keep the attributes of code entities from pull to push with the bundled config", async function () {
+      instance = new CampaignInstance(mockClient, CampaignConfig.load("config/acc.config.json").data);
+      sinon
+        .stub(instance, "_queryRecords")
+        .callsFake(async (schemaId) =>
+          schemaId === "xtk:javascript" ? [sdk.DomUtil.parse(serverXml).documentElement] : [],
+        );
+      await instance.pull(testDir);
+      const filename = "Administration/Configuration/JavaScript codes/cus/utils.js";
+      fs.outputFileSync(`${testDir}/${filename}`, "return 2;");
+
+      const result = await instance.push({ path: testDir, files: [filename] });
+
+      expect(result).to.deep.include({ pushed: 1, conflicts: 0 });
+      const written = writeStub.firstCall.args[0];
+      expect(sdk.DomUtil.getAttributeAsString(written, "label")).to.equal("Utils");
+      expect(sdk.DomUtil.getAttributeAsString(written, "lastModified")).to.equal("2024-01-01");
+      expect(sdk.DomUtil.elementValue(sdk.DomUtil.findElement(written, "data"))).to.equal("return 2;");
+    });
+
+    it("should compare the content with diff", async function () {
+      const record = sdk.DomUtil.parse(serverXml).documentElement;
+      instance._saveRecord(testDir, "xtk:javascript", record);
+      mockClient.NLWS.xml.xtkQueryDef.create.returns({
+        selectAll: sinon.stub().resolves(),
+        executeQuery: sinon
+          .stub()
+          .resolves(
+            sdk.DomUtil.parse(`<javascript-collection>${serverXml}</javascript-collection>`)
+              .documentElement,
+          ),
+      });
+      const result = await instance.diff({ path: testDir });
+      expect(result).to.deep.include({ added: [], modified: [], removed: [], unchanged: 2 });
+    });
+  });
+
+  describe("push", function () {
+    const testDir = "/tmp/test-campaign-push";
+    const localXml = '<form lastModified="2024-01-01" name="recipient" namespace="cus"/>';
+    let consoleLogStub, writeStub, serverXml;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      fs.outputFileSync(`${testDir}/Forms/cus/recipient.xml`, localXml);
+      fs.outputFileSync(`${testDir}/README.md`, "not an entity");
+      mockClient.DomUtil = sdk.DomUtil;
+      writeStub = sinon.stub().resolves();
+      mockClient.NLWS.xml.xtkSession = { write: writeStub };
+      mockClient.NLWS.xml.xtkQueryDef.create.callsFake(() => ({
+        selectAll: sinon.stub().resolves(),
+        executeQuery: sinon
+          .stub()
+          .callsFake(
+            async () =>
+              sdk.DomUtil.parse(`<form-collection>${serverXml || ""}</form-collection>`)
+                .documentElement,
+          ),
+      }));
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" },
+      });
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+
+    it("should create entities missing on the server", async function () {
+      serverXml = null;
+      const result = await instance.push({ path: testDir });
+      expect(result).to.deep.include({ pushed: 1, skipped: 1 });
+      expect(writeStub.calledOnce).to.be.true;
+      const written = writeStub.firstCall.args[0];
+      expect(sdk.DomUtil.getAttributeAsString(written, "xtkschema")).to.equal("xtk:form");
+    });
+
+    it("should skip entities identical to the server", async function () {
+      serverXml = localXml;
+      const result = await instance.push({ path: testDir, files: ["Forms"] });
+      expect(result).to.deep.include({ pushed: 0, unchanged: 1, skipped: 0 });
+      expect(writeStub.called).to.be.false;
+    });
+
+    it("should update entities not modified on the server since the last pull", async function () {
+      serverXml = '<form lastModified="2024-01-01" name="recipient" namespace="cus" label="old"/>';
+      const result = await instance.push({ path: testDir });
+      expect(result.pushed).to.equal(1);
+      expect(writeStub.calledOnce).to.be.true;
+    });
+
+    it("should refuse entities modified on the server since the last pull", async function () {
+      serverXml = '<form lastModified="2024-02-01" name="recipient" namespace="cus"/>';
+      const result = await instance.push({ path: testDir });
+      expect(result).to.deep.include({ pushed: 0, conflicts: 1 });
+      expect(writeStub.called).to.be.false;
+    });
+
+    it("should overwrite entities modified on the server with force", async function () {
+      serverXml = '<form lastModified="2024-02-01" name="recipient" namespace="cus"/>';
+      const result = await instance.push({ path: testDir, force: true });
+      expect(result).to.deep.include({ pushed: 1, conflicts: 0 });
+    });
+
+    it("should require force for entities of the server whose last pull is unknown", async function () {
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      instance = new CampaignInstance(
+        mockClient,
+        { "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" } },
+        { logger },
+      );
+      fs.outputFileSync(`${testDir}/Forms/cus/recipient.xml`, '<form name="recipient" namespace="cus" label="new"/>');
+      serverXml = '<form lastModified="2024-02-01" name="recipient" namespace="cus"/>';
+
+      const result = await instance.push({ path: testDir });
+
+      expect(result).to.deep.include({ pushed: 0, conflicts: 0, skipped: 2 });
+      expect(writeStub.called).to.be.false;
+      expect(logger.warn).to.have.been.calledWithMatch("last pull is unknown, use --force");
+      expect(await instance.push({ path: testDir, force: true })).to.deep.include({ pushed: 1 });
+    });
+
+    it("should skip files unchanged since the last pull without querying", async function () {
+      const manifest = new CampaignManifest(testDir);
+      manifest.set("/Forms/cus/recipient.xml", {
+        schema: "xtk:form",
+        lastModified: "2024-01-01",
+        content: localXml,
+      });
+      manifest.save();
+      const result = await instance.push({ path: testDir });
+      expect(result).to.deep.include({ pushed: 0, unchanged: 1, skipped: 1 });
+      expect(mockClient.NLWS.xml.xtkQueryDef.create.called).to.be.false;
+    });
+
+    it("should save the server version after pushing", async function () {
+      serverXml = '<form lastModified="2024-01-01" name="recipient" namespace="cus" label="old"/>';
+      writeStub.callsFake(async () => {
+        serverXml = '<form lastModified="2024-03-01" name="recipient" namespace="cus"/>';
+      });
+      await instance.push({ path: testDir });
+      expect(fs.readFileSync(`${testDir}/Forms/cus/recipient.xml`, "utf8")).to.equal(serverXml);
+      const entry = new CampaignManifest(testDir).get("/Forms/cus/recipient.xml");
+      expect(entry.lastModified).to.equal("2024-03-01");
+      expect(entry.hash).to.equal(CampaignManifest.hash(serverXml));
+    });
+
+    it("should throw CampaignError for a missing file", async function () {
+      try {
+        await instance.push({ path: testDir, files: ["missing.xml"] });
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("doesn't exist");
+      }
+    });
+  });
+
+  describe("watch", function () {
+    const testDir = "/tmp/test-campaign-watch";
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    let consoleLogStub, watcher;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      fs.outputFileSync(`${testDir}/Forms/cus/recipient.xml`, "<form/>");
+      sinon.stub(instance, "push").resolves({ pushed: 1 });
+    });
+
+    afterEach(async function () {
+      await watcher.close();
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+
+    it("should push each saved file once its changes settle", async function () {
+      watcher = instance.watch({ path: testDir, delay: 20 });
+      const filepath = `${testDir}/Forms/cus/recipient.xml`;
+
+      fs.writeFileSync(filepath, '<form label="a"/>');
+      fs.writeFileSync(filepath, '<form label="b"/>');
+      fs.writeFileSync(`${testDir}/Forms/cus/.recipient.xml.swp`, "");
+      await wait(200);
+      // saved again without change
+      fs.writeFileSync(filepath, '<form label="b"/>');
+      await wait(200);
+
+      expect(instance.push).to.have.been.calledOnce;
+      expect(instance.push.firstCall.args[0]).to.include({ path: testDir });
+      expect(instance.push.firstCall.args[0].files).to.deep.equal([filepath]);
+    });
+
+    it("should throw CampaignError for a missing folder", function () {
+      watcher = { close: () => Promise.resolve() };
+      expect(() => instance.watch({ path: `${testDir}/missing` })).to.throw(
+        CampaignError,
+        "doesn't exist",
+      );
+    });
+  });
+
+  describe("diff", function () {
+    const testDir = "/tmp/test-campaign-diff";
+    let consoleLogStub;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+      fs.outputFileSync(`${testDir}/Forms/cus/same.xml`, '<form name="same" namespace="cus"/>');
+      fs.outputFileSync(`${testDir}/Forms/cus/changed.xml`, '<form label="old" name="changed" namespace="cus"/>');
+      fs.outputFileSync(`${testDir}/Forms/cus/deleted.xml`, '<form name="deleted" namespace="cus"/>');
+      fs.outputFileSync(`${testDir}/acc.config.json`, "{}");
+      mockClient.DomUtil = sdk.DomUtil;
+      mockClient.NLWS.xml.xtkQueryDef.create.returns({
+        selectAll: sinon.stub().resolves(),
+        executeQuery: sinon.stub().resolves(
+          sdk.DomUtil.parse(
+            "<form-collection>" +
+              '<form name="same" namespace="cus"/>' +
+              '<form label="new" name="changed" namespace="cus"/>' +
+              '<form name="created" namespace="cus"/>' +
+              "</form-collection>",
+          ).documentElement,
+        ),
+      });
+      instance = new CampaignInstance(mockClient, {
+        "xtk:form": { filename: "/Forms/{@namespace}/{@name}.xml" },
+      });
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+      fs.removeSync(testDir);
+    });
+
+    it("should report added, removed and modified entities", async function () {
+      const result = await instance.diff({ path: testDir });
+      expect(result.added).to.deep.equal(["/Forms/cus/created.xml"]);
+      expect(result.removed).to.deep.equal(["/Forms/cus/deleted.xml"]);
+      expect(result.modified).to.deep.equal(["/Forms/cus/changed.xml"]);
+      expect(result.unchanged).to.equal(1);
+      expect(consoleLogStub.calledWith(sinon.match(/\+<form label="new"/))).to.be.true;
+    });
+
+    it("should only print filenames with nameOnly", async function () {
+      await instance.diff({ path: testDir, nameOnly: true });
+      expect(consoleLogStub.calledWith(sinon.match(/@@/))).to.be.false;
+      expect(consoleLogStub.calledWith(sinon.match(/changed\.xml/))).to.be.true;
+    });
+
+    it("should not report removed entities when the query fails", async function () {
+      mockClient.NLWS.xml.xtkQueryDef.create.returns({
+        selectAll: sinon.stub().resolves(),
+        executeQuery: sinon.stub().rejects(new Error("Test error")),
+      });
+      const result = await instance.diff({ path: testDir });
+      expect(result.removed).to.be.empty;
+      expect(result.errors).to.equal(1);
+    });
   });
 
   describe("isFolderEmpty", function () {
@@ -244,52 +1188,4 @@ describe("CampaignInstance", function () {
       fs.removeSync(testDir);
     });
   });
-
-  describe("archive methods", function () {
-    it("should save archive request", function () {
-      const testRequest = "<test>request</test>";
-      const spy = sinon.spy(fs, "outputFileSync");
-
-      instance.saveArchiveRequest(testRequest);
-
-      expect(spy.calledOnce).to.be.true;
-      expect(spy.firstCall.args[1]).to.equal(testRequest);
-
-      spy.restore();
-    });
-
-    it("should save archive response", function () {
-      const testResponse = "<test>response</test>";
-      const spy = sinon.spy(fs, "outputFileSync");
-
-      instance.saveArchiveResponse(testResponse);
-
-      expect(spy.calledOnce).to.be.true;
-      expect(spy.firstCall.args[1]).to.equal(testResponse);
-
-      spy.restore();
-    });
-
-    it("should generate correct archive date format", function () {
-      // Note: sinon.useFakeTimers doesn't affect new Date() calls, so we need to stub Date directly
-      const originalDate = global.Date;
-      
-      // Create a mock Date that returns our fixed time
-      class MockDate extends Date {
-        constructor() {
-          super("2023-01-15T14:30:45.123Z");
-        }
-      }
-      
-      global.Date = MockDate;
-
-      try {
-        const result = instance.getArchiveDate();
-        // The actual time will depend on the system timezone, so we'll check the format instead
-        expect(result).to.match(/^2023\/01\/15\/\d{2}-\d{2}-\d{2}_\d{3}$/);
-      } finally {
-        global.Date = originalDate;
-      }
-    });
-  });
 });
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import CampaignLogger from "../src/CampaignLogger.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignLogger", function () {
+  let consoleLogStub, consoleErrorStub;
+
+  beforeEach(function () {
+    consoleLogStub = sinon.stub(console, "log");
+    consoleErrorStub = sinon.stub(console, "error");
+  });
+
+  afterEach(function () {
+    consoleLogStub.restore();
+    consoleErrorStub.restore();
+  });
+
+  describe("levels", function () {
+    it("should log info and debug to stdout, warn and error to stderr", function () {
+      const logger = new CampaignLogger({ level: "debug", color: true });
+
+      logger.info("info");
+      logger.debug("debug");
+      logger.warn("warn");
+      logger.error("error");
+
+      expect(consoleLogStub.args).to.deep.equal([["info"], ["debug"]]);
+      expect(consoleErrorStub.args).to.deep.equal([["warn"], ["error"]]);
+    });
+
+    it("should drop the messages below the level", function () {
+      const logger = new CampaignLogger({ level: "warn" });
+
+      logger.debug("debug");
+      logger.info("info");
+      logger.warn("warn");
+
+      expect(consoleLogStub.called).to.be.false;
+      expect(consoleErrorStub.calledOnceWith("warn")).to.be.true;
+    });
+
+    it("should log everything to stderr with stderr", function () {
+      const logger = new CampaignLogger({ stderr: true });
+
+      logger.info("info");
+
+      expect(consoleLogStub.called).to.be.false;
+      expect(consoleErrorStub.calledOnceWith("info")).to.be.true;
+    });
+
+    it("should throw CampaignError for an unknown level", function () {
+      expect(() => new CampaignLogger({ level: "trace" })).to.throw(
+        CampaignError,
+        "Invalid log level",
+      );
+    });
+  });
+
+  describe("colors", function () {
+    it("should remove the colors without color", function () {
+      const logger = new CampaignLogger({ color: false });
+
+      logger.info("\u001b[36mcyan\u001b[39m");
+
+      expect(consoleLogStub.calledOnceWith("cyan")).to.be.true;
+    });
+
+    it("should detect NO_COLOR, FORCE_COLOR and terminals", function () {
+      const tty = { isTTY: true };
+      const pipe = {};
+      expect(CampaignLogger.supportsColor(tty, {})).to.be.true;
+      expect(CampaignLogger.supportsColor(pipe, {})).to.be.false;
+      expect(CampaignLogger.supportsColor(tty, { NO_COLOR: "1" })).to.be.false;
+      expect(CampaignLogger.supportsColor(pipe, { FORCE_COLOR: "1" })).to.be.true;
+      expect(CampaignLogger.supportsColor(tty, { FORCE_COLOR: "0" })).to.be.false;
+    });
+  });
+
+  describe("log file", function () {
+    const logFile = "/tmp/test-campaign-logger/acc.log";
+
+    afterEach(function () {
+      fs.removeSync("/tmp/test-campaign-logger");
+    });
+
+    it("should append every message without colors, whatever the level", function () {
+      const logger = new CampaignLogger({ level: "error", logFile });
+
+      logger.debug("\u001b[36mdetails\u001b[39m");
+      logger.error("failed");
+
+      const lines = fs.readFileSync(logFile, "utf8").trim().split("\n");
+      expect(lines).to.have.lengthOf(2);
+      expect(lines[0]).to.match(/^\d{4}-\d{2}-\d{2}T.* DEBUG details$/);
+      expect(lines[1]).to.match(/ ERROR failed$/);
+      expect(consoleLogStub.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { expect } from "chai";
+import fs from "fs-extra";
+import CampaignManifest from "../src/CampaignManifest.js";
+
+describe("CampaignManifest", function () {
+  const testDir = "/tmp/test-campaign-manifest";
+  let manifest;
+
+  beforeEach(function () {
+    manifest = new CampaignManifest(testDir);
+  });
+
+  afterEach(function () {
+    fs.removeSync(testDir);
+  });
+
+  describe("constructor", function () {
+    it("should start empty without a manifest file", function () {
+      expect(manifest.entities).to.deep.equal({});
+    });
+  });
+
+  describe("set", function () {
+    it("should record the content hash instead of the content", function () {
+      manifest.set("/Forms/cus/recipient.xml", {
+        schema: "xtk:form",
+        keys: { namespace: "cus", name: "recipient" },
+        lastModified: "2024-01-01 10:00:00.000Z",
+        content: "<form/>",
+      });
+      expect(manifest.get("/Forms/cus/recipient.xml")).to.deep.equal({
+        schema: "xtk:form",
+        keys: { namespace: "cus", name: "recipient" },
+        lastModified: "2024-01-01 10:00:00.000Z",
+        hash: CampaignManifest.hash("<form/>"),
+      });
+    });
+  });
+
+  describe("getLastModified", function () {
+    it("should return the most recent @lastModified of a schema", function () {
+      manifest.set("/a.xml", { schema: "xtk:form", lastModified: "2024-02-01 00:00:00.000Z", content: "" });
+      manifest.set("/b.xml", { schema: "xtk:form", lastModified: "2024-01-01 00:00:00.000Z", content: "" });
+      manifest.set("/c.xml", { schema: "xtk:jssp", lastModified: "2024-03-01 00:00:00.000Z", content: "" });
+      expect(manifest.getLastModified("xtk:form")).to.equal("2024-02-01 00:00:00.000Z");
+      expect(manifest.getLastModified("nms:recipient")).to.be.null;
+    });
+  });
+
+  describe("removeSchema", function () {
+    it("should only remove the entries of a schema", function () {
+      manifest.set("/a.xml", { schema: "xtk:form", content: "" });
+      manifest.set("/c.xml", { schema: "xtk:jssp", content: "" });
+      manifest.removeSchema("xtk:form");
+      expect(Object.keys(manifest.entities)).to.deep.equal(["/c.xml"]);
+    });
+
+    it("should return the entries of a schema, removed ones included, until they are set again", function () {
+      manifest.set("/a.xml", { schema: "xtk:form", content: "" });
+      manifest.markRemoved("/b.xml", "xtk:form");
+      manifest.markRemoved("/c.xml", "xtk:jssp");
+      manifest.markRemoved("/d.xml", "xtk:form");
+      manifest.set("/d.xml", { schema: "xtk:form", content: "" });
+
+      expect(manifest.removeSchema("xtk:form").sort()).to.deep.equal(["/a.xml", "/b.xml", "/d.xml"]);
+      expect(manifest.removed).to.deep.equal({ "/c.xml": "xtk:jssp" });
+    });
+  });
+
+  describe("save", function () {
+    it("should write entries sorted by filename and load them back", function () {
+      manifest.set("/b.xml", { schema: "xtk:form", content: "b" });
+      manifest.set("/a.xml", { schema: "xtk:form", content: "a" });
+      manifest.save();
+      const data = fs.readJsonSync(`${testDir}/${CampaignManifest.FILENAME}`);
+      expect(data.version).to.equal(1);
+      expect(Object.keys(data.entities)).to.deep.equal(["/a.xml", "/b.xml"]);
+      expect(new CampaignManifest(testDir).get("/b.xml").hash).to.equal(
+        CampaignManifest.hash("b"),
+      );
+    });
+  });
+});
@@ -0,0 +1,317 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import sdk from "@adobe/acc-js-sdk";
+import CampaignMock from "../src/CampaignMock.js";
+import CampaignInstance from "../src/CampaignInstance.js";
+import CampaignPackage from "../src/CampaignPackage.js";
+import CampaignConfig from "../src/CampaignConfig.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignMock", function () {
+  const fixturesDir = "/tmp/test-campaign-mock/fixtures";
+  const pullDir = "/tmp/test-campaign-mock/pull";
+  let mock, url, client, logger;
+
+  async function logon(user = "admin", password = "admin") {
+    const newClient = await sdk.init(
+      sdk.ConnectionParameters.ofUserAndPassword(url, user, password),
+    );
+    await newClient.logon();
+    return newClient;
+  }
+
+  function query(queryDef) {
+    return client.NLWS.xtkQueryDef.create(queryDef).executeQuery();
+  }
+
+  beforeEach(async function () {
+    fs.copySync("test/fixtures/mock", fixturesDir);
+    logger = {
+      error: sinon.stub(),
+      warn: sinon.stub(),
+      info: sinon.stub(),
+      debug: sinon.stub(),
+    };
+    mock = new CampaignMock(fixturesDir, { user: "admin", password: "admin", logger });
+    url = await mock.start(0);
+    client = await logon();
+  });
+
+  afterEach(async function () {
+    await mock.stop();
+    fs.removeSync("/tmp/test-campaign-mock");
+  });
+
+  describe("constructor", function () {
+    it("should throw CampaignError for a missing fixtures folder", function () {
+      expect(() => new CampaignMock("/tmp/test-campaign-mock/missing")).to.throw(
+        CampaignError,
+        "doesn't exist",
+      );
+    });
+  });
+
+  describe("logon", function () {
+    it("should return the server info of the mock instance", function () {
+      expect(client.application.instanceName).to.equal("mock");
+      expect(logger.info).to.have.been.calledWithMatch("xtk:session#Logon");
+    });
+
+    it("should refuse other credentials", async function () {
+      try {
+        await logon("admin", "wrong");
+        expect.fail("Should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("Invalid login or password");
+      }
+    });
+
+    it("should answer the test page", async function () {
+      const response = await fetch(`${url}/r/test`);
+      expect(await response.text()).to.include("status='OK'");
+    });
+  });
+
+  describe("ExecuteQuery", function () {
+    it("should filter records with where conditions", async function () {
+      const result = await query({
+        schema: "nms:recipient",
+        operation: "select",
+        select: { node: [{ expr: "@id" }, { expr: "@email" }] },
+        where: {
+          condition: [
+            { expr: "@age > 40 AND @email NOT LIKE '%.org'" },
+            { expr: "@id IN ('1')", boolOperator: "OR" },
+          ],
+        },
+      });
+      expect(result.recipient).to.deep.equal([
+        { id: "1", email: "ada@example.com" },
+        { id: "2", email: "alan@example.com" },
+      ]);
+    });
+
+    it("should skip startLine records and return lineCount records", async function () {
+      const result = await query({
+        schema: "nms:recipient",
+        operation: "select",
+        startLine: 1,
+        lineCount: 1,
+        select: { node: [{ expr: "@id" }] },
+      });
+      expect(result.recipient).to.deep.equal([{ id: "2" }]);
+    });
+
+    it("should sort records on attributes", async function () {
+      const result = await query({
+        schema: "nms:recipient",
+        operation: "select",
+        select: { node: [{ expr: "@id" }] },
+        orderBy: { node: [{ expr: "@age", sortDesc: true }] },
+      });
+      expect(result.recipient).to.deep.equal([{ id: "3" }, { id: "2" }, { id: "1" }]);
+    });
+
+    it("should count and get records", async function () {
+      expect(
+        await query({ schema: "nms:recipient", operation: "count" }),
+      ).to.deep.equal({ count: "3" });
+      const record = await query({
+        schema: "nms:recipient",
+        operation: "get",
+        select: { node: [{ expr: "@firstName" }] },
+        where: { condition: [{ expr: "@email = 'grace@example.org'" }] },
+      });
+      expect(record).to.deep.equal({ firstName: "Grace" });
+    });
+
+    it("should return a SOAP fault for an unsupported expression", async function () {
+      try {
+        await query({
+          schema: "nms:recipient",
+          operation: "select",
+          select: { node: [{ expr: "@id" }] },
+          where: { condition: [{ expr: "Lower(@email) = 'x'" }] },
+        });
+        expect.fail("Should have thrown");
+      } catch (err) {
+        expect(err.message).to.include("isn't supported by the mock server");
+      }
+    });
+  });
+
+  describe("Write", function () {
+    it("should update an existing record and insert a new one", async function () {
+      await client.NLWS.xtkSession.write({
+        xtkschema: "xtk:form",
+        namespace: "cus",
+        name: "order",
+        label: "Orders",
+      });
+      await client.NLWS.xtkSession.write({
+        xtkschema: "nms:recipient",
+        id: "4",
+        email: "katherine@example.com",
+      });
+
+      const form = fs.readFileSync(`${fixturesDir}/xtk/form/cus_order.xml`, "utf8");
+      expect(form).to.include('label="Orders"').and.include("<container>");
+      expect(form).not.to.include("xtkschema");
+      expect(fs.readdirSync(`${fixturesDir}/nms/recipient`)).to.include("4.xml");
+    });
+
+    it("should delete a record", async function () {
+      await client.NLWS.xtkSession.write({
+        xtkschema: "nms:recipient",
+        _operation: "delete",
+        id: "3",
+      });
+      expect(fs.existsSync(`${fixturesDir}/nms/recipient/3.xml`)).to.be.false;
+    });
+  });
+
+  describe("end-to-end", function () {
+    it("should call static and non-static methods with CampaignInstance", async function () {
+      const instance = new CampaignInstance(client, {}, { logger });
+      fs.outputFileSync(
+        `${pullDir}/recipient.xml`,
+        '<recipient xtkschema="nms:recipient" id="4" email="katherine@example.com"/>',
+      );
+      fs.outputFileSync(
+        `${pullDir}/queryDef.xml`,
+        '<queryDef schema="nms:recipient" operation="get"><select><node expr="@email"/></select>' +
+          '<where><condition expr="@id = 4"/></where></queryDef>',
+      );
+
+      const option = await instance.call("xtk:session", "GetOption", {
+        args: ["NmsTracking_Pointer"],
+      });
+      await instance.call("xtk:session", "Write", {
+        args: [`@${pullDir}/recipient.xml`],
+      });
+      const { output, entity } = await instance.call("xtk:queryDef", "ExecuteQuery", {
+        entity: `@${pullDir}/queryDef.xml`,
+      });
+
+      expect(option).to.deep.equal({ value: "42", type: 6 });
+      expect(output.getAttribute("email")).to.equal("katherine@example.com");
+      expect(entity.getAttribute("schema")).to.equal("nms:recipient");
+    });
+
+    it("should throw CampaignError for an unknown method or schema", async function () {
+      const instance = new CampaignInstance(client, {}, { logger });
+      for (const [schemaId, methodName] of [
+        ["xtk:session", "Unknown"],
+        ["session", "GetOption"],
+      ]) {
+        try {
+          await instance.call(schemaId, methodName);
+          expect.fail("Should have thrown CampaignError");
+        } catch (err) {
+          expect(err).to.be.instanceOf(CampaignError);
+        }
+      }
+    });
+
+    it("should pull the fixture records with CampaignInstance", async function () {
+      const instance = new CampaignInstance(
+        client,
+        {
+          "xtk:form": {
+            filename: "/Forms/{@namespace}/{@name}.xml",
+            pageSize: 2,
+            queryDef: {
+              where: { condition: [{ expr: "@namespace NOT IN ('xtk', 'nms')" }] },
+            },
+          },
+        },
+        { logger },
+      );
+
+      const report = await instance.pull(pullDir);
+
+      expect(report.schemas[0]).to.include({ schemaId: "xtk:form", count: 2 });
+      expect(fs.readdirSync(`${pullDir}/Forms/cus`).sort()).to.deep.equal([
+        "contact.xml",
+        "order.xml",
+      ]);
+      expect(fs.readFileSync(`${pullDir}/Forms/cus/contact.xml`, "utf8")).to.include(
+        '<input xpath="@email"/>',
+      );
+    });
+
+    it("should pull with a config file holding $schema", async function () {
+      fs.outputJsonSync("/tmp/test-campaign-mock/acc.config.json", {
+        $schema: "./node_modules/campaign-cli/config/acc.config.schema.json",
+        "nms:recipient": { filename: "/Recipients/{@id}.xml" },
+      });
+      const instance = new CampaignInstance(
+        client,
+        CampaignConfig.load("/tmp/test-campaign-mock/acc.config.json").data,
+        { logger },
+      );
+
+      const report = await instance.pull(pullDir);
+
+      expect(instance.schemas).to.deep.equal(["nms:recipient"]);
+      expect(report.schemas).to.have.lengthOf(1);
+      expect(report.schemas[0]).to.include({ schemaId: "nms:recipient", count: 3 });
+    });
+
+    it("should prune the files of records deleted on the server", async function () {
+      const instance = new CampaignInstance(
+        client,
+        { "nms:recipient": { filename: "/Recipients/{@id}.xml" } },
+        { logger },
+      );
+      await instance.pull(pullDir);
+      fs.removeSync(`${fixturesDir}/nms/recipient/3.xml`);
+
+      // a plain pull, then a pull with prune, as pull --git
+      await instance.pull(pullDir);
+      expect(fs.existsSync(`${pullDir}/Recipients/3.xml`)).to.be.true;
+      const report = await instance.pull(pullDir, { prune: true });
+
+      expect(report.schemas[0].removed).to.deep.equal(["Recipients/3.xml"]);
+      expect(fs.readdirSync(`${pullDir}/Recipients`).sort()).to.deep.equal([
+        "1.xml",
+        "2.xml",
+      ]);
+      const manifest = fs.readJsonSync(`${pullDir}/acc.manifest.json`);
+      expect(manifest.entities).not.to.have.key("/Recipients/3.xml");
+      expect(manifest.removed).to.deep.equal({});
+    });
+
+    it("should validate and install a package with CampaignPackage", async function () {
+      const campaignPackage = new CampaignPackage(
+        new CampaignInstance(client, {}, { logger }),
+        { logger },
+      );
+      fs.outputFileSync(
+        `${pullDir}/package.xml`,
+        '<package namespace="cus" name="release">' +
+          '<entities schema="nms:recipient"><recipient id="4" email="katherine@example.com"/></entities>' +
+          '<entities schema="cus:missing"><missing name="a"/></entities>' +
+          "</package>",
+      );
+
+      const dryRun = await campaignPackage.install(`${pullDir}/package.xml`, { dryRun: true });
+      const failed = await campaignPackage.install(`${pullDir}/package.xml`);
+      expect(fs.existsSync(`${fixturesDir}/nms/recipient/4.xml`)).to.be.false;
+      fs.outputFileSync(
+        `${pullDir}/package.xml`,
+        '<package namespace="cus" name="release">' +
+          '<entities schema="nms:recipient"><recipient id="4" email="katherine@example.com"/></entities>' +
+          "</package>",
+      );
+      const result = await campaignPackage.install(`${pullDir}/package.xml`);
+
+      expect(dryRun).to.include({ valid: 1, errors: 1 });
+      expect(dryRun.entities[1].message).to.include("cus:missing doesn't exist");
+      expect(failed).to.include({ installed: 0, errors: 1, skipped: 1 });
+      expect(result).to.include({ installed: 1, errors: 0 });
+      expect(fs.existsSync(`${fixturesDir}/nms/recipient/4.xml`)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { expect } from "chai";
+import chalk from "chalk";
+import CampaignOutput from "../src/CampaignOutput.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignOutput", function () {
+  const columns = ["@id", "@email"];
+  const records = [
+    { "@id": "1", "@email": "ada@example.com" },
+    { "@id": "10", "@email": 'say "hi", bye' },
+  ];
+  let chalkLevel;
+
+  beforeEach(function () {
+    chalkLevel = chalk.level;
+    chalk.level = 0;
+  });
+
+  afterEach(function () {
+    chalk.level = chalkLevel;
+  });
+
+  describe("table", function () {
+    it("should align the columns on the widest value", function () {
+      expect(CampaignOutput.format(records, columns, "table")).to.equal(
+        "@id  @email\n" +
+          "---  ---------------\n" +
+          "1    ada@example.com\n" +
+          '10   say "hi", bye\n',
+      );
+    });
+
+    it("should print missing values as empty and objects as JSON", function () {
+      expect(
+        CampaignOutput.table([{ a: { b: 1 } }, {}], ["a", "c"]),
+      ).to.equal('a        c\n-------  -\n{"b":1}\n\n');
+    });
+  });
+
+  describe("csv", function () {
+    it("should quote the values with commas, quotes or new lines", function () {
+      expect(CampaignOutput.format(records, columns, "csv")).to.equal(
+        "@id,@email\n1,ada@example.com\n10,\"say \"\"hi\"\", bye\"\n",
+      );
+      expect(CampaignOutput.csvLine(["a\nb", undefined])).to.equal('"a\nb",\n');
+      expect(CampaignOutput.csvLine(["a;b", "c,d"], ";")).to.equal('"a;b";c,d\n');
+    });
+  });
+
+  describe("json", function () {
+    it("should write an array in json and a line per record in ndjson", function () {
+      expect(JSON.parse(CampaignOutput.format(records, columns, "json"))).to.deep.equal(records);
+      expect(CampaignOutput.format(records, columns, "ndjson").split("\n")).to.deep.equal([
+        JSON.stringify(records[0]),
+        JSON.stringify(records[1]),
+        "",
+      ]);
+    });
+  });
+
+  it("should throw CampaignError for an unknown format", function () {
+    expect(() => CampaignOutput.format(records, columns, "xml")).to.throw(
+      CampaignError,
+      "Invalid format",
+    );
+  });
+});
@@ -0,0 +1,271 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import sdk from "@adobe/acc-js-sdk";
+import CampaignPackage from "../src/CampaignPackage.js";
+import CampaignInstance from "../src/CampaignInstance.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignPackage", function () {
+  const testDir = "/tmp/test-campaign-package";
+  const pullDir = `${testDir}/pull`;
+  const outPath = `${testDir}/release/package.xml`;
+  let campaignPackage, logger;
+
+  beforeEach(function () {
+    logger = {
+      error: sinon.stub(),
+      warn: sinon.stub(),
+      info: sinon.stub(),
+      debug: sinon.stub(),
+    };
+    const instance = new CampaignInstance(
+      { DomUtil: sdk.DomUtil },
+      {
+        "xtk:srcSchema": { filename: "/Schemas/{@namespace}/{@name}.xml" },
+        "xtk:javascript": {
+          filename: "/JavaScript codes/{@namespace}/{@name}.js",
+          content: "data",
+          metadata: true,
+        },
+      },
+      { logger },
+    );
+    campaignPackage = new CampaignPackage(instance, { logger });
+    fs.outputFileSync(
+      `${pullDir}/Schemas/cus/order.xml`,
+      '<srcSchema namespace="cus" name="order" id="1234" lastModified="2024-01-01 00:00:00.000Z">' +
+        '<createdBy _cs="Admin"/><element name="order"/></srcSchema>',
+    );
+    fs.outputFileSync(
+      `${pullDir}/Schemas/cus/contact.xml`,
+      '<srcSchema namespace="cus" name="contact"><element name="contact"/></srcSchema>',
+    );
+    fs.outputFileSync(`${pullDir}/JavaScript codes/cus/utils.js`, "var a = 1 && 2;");
+    fs.outputFileSync(
+      `${pullDir}/JavaScript codes/cus/utils.js.meta.xml`,
+      '<javascript namespace="cus" name="utils.js" label="Utils"/>',
+    );
+    fs.outputFileSync(`${pullDir}/README.md`, "notes");
+  });
+
+  afterEach(function () {
+    fs.removeSync(testDir);
+  });
+
+  describe("build", function () {
+    it("should group the entities by schema in the config order, sorted by filename", function () {
+      const result = campaignPackage.build({
+        path: pullDir,
+        files: ["JavaScript codes", "Schemas"],
+        out: outPath,
+        attributes: { name: "release", namespace: "cus", label: undefined },
+      });
+
+      expect(result).to.deep.equal({
+        path: outPath,
+        count: 3,
+        entities: [
+          { schema: "xtk:srcSchema", count: 2 },
+          { schema: "xtk:javascript", count: 1 },
+        ],
+        skipped: 0,
+      });
+      const xml = fs.readFileSync(outPath, "utf8");
+      expect(xml).to.match(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<package name="release" namespace="cus">/);
+      expect(xml.indexOf('name="contact"')).to.be.below(xml.indexOf('name="order"'));
+      expect(xml.indexOf('schema="xtk:srcSchema"')).to.be.below(
+        xml.indexOf('schema="xtk:javascript"'),
+      );
+      expect(xml).to.include("<![CDATA[var a = 1 && 2;]]>").and.include('label="Utils"');
+    });
+
+    it("should leave out the instance specific attributes and elements", function () {
+      campaignPackage.build({ path: pullDir, files: ["Schemas/cus/order.xml"], out: outPath });
+
+      const xml = fs.readFileSync(outPath, "utf8");
+      expect(xml).to.include('<srcSchema namespace="cus" name="order"><element name="order"/>');
+      expect(xml).not.to.include("createdBy").and.not.include("1234");
+    });
+
+    it("should build the same package from glob patterns and a list file", function () {
+      fs.outputFileSync(
+        `${testDir}/files.txt`,
+        "# release 42\nSchemas/**/*.xml\n\nJavaScript codes/cus/utils.js  # library\n",
+      );
+      campaignPackage.build({
+        path: pullDir,
+        files: ["JavaScript codes", "Schemas"],
+        out: outPath,
+      });
+      const expected = fs.readFileSync(outPath, "utf8");
+
+      const result = campaignPackage.build({
+        path: pullDir,
+        list: `${testDir}/files.txt`,
+        out: outPath,
+      });
+
+      expect(result.count).to.equal(3);
+      expect(fs.readFileSync(outPath, "utf8")).to.equal(expected);
+    });
+
+    it("should skip the files not matching any schema", function () {
+      const result = campaignPackage.build({
+        path: pullDir,
+        files: ["*.md", "Schemas/cus/c?ntact.xml"],
+        out: outPath,
+      });
+
+      expect(result).to.include({ count: 1, skipped: 1 });
+      expect(logger.warn).to.have.been.calledWithMatch("/README.md: not matching any schema");
+    });
+
+    it("should throw CampaignError when nothing can be packaged", function () {
+      for (const files of [[], ["Missing"], ["Forms/*.xml"], ["README.md"]]) {
+        expect(() =>
+          campaignPackage.build({ path: pullDir, files, out: outPath }),
+        ).to.throw(CampaignError);
+      }
+      expect(fs.existsSync(outPath)).to.be.false;
+    });
+  });
+
+  describe("install", function () {
+    const packagePath = `${testDir}/package.xml`;
+    let installPackage, getSchema;
+
+    // schema node of the SDK, with its attributes and child elements by name
+    const schemaNode = (children = {}) => ({
+      type: "",
+      findNode: async (name) => children[name],
+    });
+    const attribute = { isAttribute: true };
+
+    beforeEach(function () {
+      installPackage = sinon.stub().resolves();
+      getSchema = sinon.stub().resolves(null);
+      getSchema.withArgs("xtk:form").resolves({
+        root: schemaNode({
+          "@namespace": attribute,
+          "@name": attribute,
+          input: schemaNode({ "@label": attribute }),
+        }),
+      });
+      getSchema.withArgs("xtk:option").resolves({
+        root: schemaNode({ "@name": attribute, "@stringValue": attribute }),
+      });
+      const client = {
+        DomUtil: sdk.DomUtil,
+        application: { getSchema },
+        NLWS: { xml: { pushDown: () => ({ xtkBuilder: { installPackage } }) } },
+      };
+      campaignPackage = new CampaignPackage(
+        new CampaignInstance(client, {}, { logger }),
+        { logger },
+      );
+      fs.outputFileSync(
+        packagePath,
+        '<package name="release" namespace="cus">' +
+          '<entities schema="xtk:form"><form namespace="cus" name="a" _operation="insert"/>' +
+          '<form namespace="cus" name="b"><input label="Email"/></form></entities>' +
+          '<entities schema="xtk:option"><option name="NmsTracking_Pointer"/></entities>' +
+          "</package>",
+      );
+    });
+
+    it("should install the package in one call", async function () {
+      const result = await campaignPackage.install(packagePath);
+
+      expect(result).to.include({ dryRun: false, installed: 3, errors: 0, skipped: 0 });
+      expect(result.entities.map(({ key, status }) => `${key} ${status}`)).to.deep.equal([
+        "cus:a installed",
+        "cus:b installed",
+        "NmsTracking_Pointer installed",
+      ]);
+      expect(installPackage).to.have.been.calledOnce;
+      expect(sdk.DomUtil.toXMLString(installPackage.firstCall.args[0].documentElement)).to.equal(
+        "<pkgDesc>" + fs.readFileSync(packagePath, "utf8") + "</pkgDesc>",
+      );
+    });
+
+    it("should report the server message on the entities it names", async function () {
+      installPackage.rejects(new Error("XSV-350122 Duplicate key of form cus:b"));
+
+      const result = await campaignPackage.install(packagePath);
+
+      expect(result).to.include({ installed: 0, errors: 1, skipped: 2 });
+      expect(result.entities[1]).to.deep.equal({
+        schema: "xtk:form",
+        key: "cus:b",
+        status: "error",
+        message: "XSV-350122 Duplicate key of form cus:b",
+      });
+      expect(result.entities[0].status).to.equal("skipped");
+      expect(logger.warn).to.have.been.calledWithMatch("Duplicate key");
+    });
+
+    it("should report a server message naming no entity on all the entities", async function () {
+      installPackage.rejects(new Error("SOP-330011 Error while executing the method"));
+
+      const result = await campaignPackage.install(packagePath);
+
+      expect(result).to.include({ installed: 0, errors: 3, skipped: 0 });
+      expect(result.entities.map(({ message }) => message)).to.deep.equal(
+        Array(3).fill("SOP-330011 Error while executing the method"),
+      );
+    });
+
+    it("should install nothing when an entity is invalid", async function () {
+      fs.outputFileSync(
+        packagePath,
+        '<package><entities schema="xtk:form"><form name="a"/><form name="b" title="B"/></entities></package>',
+      );
+
+      const result = await campaignPackage.install(packagePath);
+
+      expect(installPackage.called).to.be.false;
+      expect(result).to.include({ installed: 0, errors: 1, skipped: 1 });
+      expect(result.entities[1].message).to.equal("@title doesn't exist in xtk:form.");
+    });
+
+    it("should only validate the entities against the schemas in dry run", async function () {
+      fs.outputFileSync(
+        packagePath,
+        "<pkgDesc><package>" +
+          '<entities schema="xtk:form"><srcSchema name="a"/><form name="b"/>' +
+          '<form name="c"><input label="C" xpath="@c"/></form><form name="d"><container/></form></entities>' +
+          '<entities schema="cus:missing"><missing id="1"/></entities>' +
+          "</package></pkgDesc>",
+      );
+
+      const result = await campaignPackage.install(packagePath, { dryRun: true });
+
+      expect(installPackage.called).to.be.false;
+      expect(getSchema).to.have.been.calledTwice;
+      expect(result).to.include({ dryRun: true, valid: 1, errors: 4 });
+      expect(result.entities.map(({ message }) => message)).to.deep.equal([
+        "<srcSchema> isn't a record of xtk:form, expected <form>.",
+        "✅ valid.",
+        "input/@xpath doesn't exist in xtk:form.",
+        "container doesn't exist in xtk:form.",
+        "Schema cus:missing doesn't exist on the instance.",
+      ]);
+    });
+
+    it("should throw CampaignError for a file which isn't a package", async function () {
+      for (const content of [null, "<package", "<form/>", "<package/>", "<package><entities/></package>"]) {
+        fs.removeSync(packagePath);
+        if (content !== null) {
+          fs.outputFileSync(packagePath, content);
+        }
+        try {
+          await campaignPackage.install(packagePath);
+          expect.fail("Should have thrown CampaignError");
+        } catch (err) {
+          expect(err).to.be.instanceOf(CampaignError);
+        }
+      }
+    });
+  });
+});
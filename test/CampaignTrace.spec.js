@@ -0,0 +1,143 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import fs from "fs-extra";
+import CampaignTrace from "../src/CampaignTrace.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignTrace", function () {
+  const testDir = "/tmp/test-campaign-trace";
+  let trace, observer;
+
+  function readLines() {
+    return fs
+      .readFileSync(trace.filepath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  }
+
+  beforeEach(function () {
+    trace = new CampaignTrace(testDir, { command: "instance pull" });
+    observer = trace.observer();
+  });
+
+  afterEach(function () {
+    fs.removeSync(testDir);
+  });
+
+  describe("constructor", function () {
+    it("should start the trace file with the command", function () {
+      const [start] = readLines();
+      expect(start).to.include({ type: "start", command: "instance pull" });
+    });
+  });
+
+  describe("redact", function () {
+    it("should redact passwords and tokens", function () {
+      const redacted = CampaignTrace.redact(
+        '<login xsi:type="xsd:string">admin</login>' +
+          '<password xsi:type="xsd:string">s3cret</password>' +
+          "<pstrSessionToken xsi:type='xsd:string'>___abc</pstrSessionToken>" +
+          '<bearerToken>ey.123</bearerToken><user clientSecret="xyz"/>',
+      );
+      expect(redacted).to.equal(
+        '<login xsi:type="xsd:string">admin</login>' +
+          '<password xsi:type="xsd:string">***</password>' +
+          "<pstrSessionToken xsi:type='xsd:string'>***</pstrSessionToken>" +
+          '<bearerToken>***</bearerToken><user clientSecret="***"/>',
+      );
+    });
+
+    it("should redact session headers", function () {
+      expect(
+        CampaignTrace.redactHeaders({
+          "X-Security-Token": "@abc",
+          Cookie: "__sessiontoken=___abc",
+          SoapAction: "xtk:session#Logon",
+        }),
+      ).to.deep.equal({
+        "X-Security-Token": "***",
+        Cookie: "***",
+        SoapAction: "xtk:session#Logon",
+      });
+    });
+  });
+
+  describe("observer", function () {
+    it("should write request/response pairs with timing and status", function () {
+      const soapCall = {
+        urn: "xtk:queryDef",
+        methodName: "ExecuteQuery",
+        request: { url: "http://localhost/nl/jsp/soaprouter.jsp", headers: { "X-Session-Token": "abc" } },
+      };
+      observer.onSOAPCall(soapCall, "<queryDef/>");
+      observer.onSOAPCallSuccess(soapCall, "<result/>");
+      const [, call] = readLines();
+      expect(call).to.include({
+        type: "call",
+        id: 1,
+        kind: "soap",
+        urn: "xtk:queryDef",
+        method: "ExecuteQuery",
+        status: 200,
+        request: "<queryDef/>",
+        response: "<result/>",
+      });
+      expect(call.headers).to.deep.equal({ "X-Session-Token": "***" });
+      expect(call.durationMs).to.be.a("number");
+    });
+
+    it("should write failures with their status and error", function () {
+      const request = { method: "GET", url: "http://localhost/r/test" };
+      observer.onHTTPCall(request, undefined);
+      observer.onHTTPCallFailure(request, { statusCode: 401, message: "Unauthorized" });
+      const [, call] = readLines();
+      expect(call).to.include({ kind: "http", status: 401, error: "Unauthorized" });
+    });
+  });
+
+  describe("print", function () {
+    let consoleLogStub;
+
+    beforeEach(function () {
+      consoleLogStub = sinon.stub(console, "log");
+    });
+
+    afterEach(function () {
+      consoleLogStub.restore();
+    });
+
+    it("should print one line per call and a summary", function () {
+      const soapCall = { urn: "xtk:session", methodName: "Logon", request: {} };
+      observer.onSOAPCall(soapCall, "<Logon/>");
+      observer.onSOAPCallFailure(soapCall, { statusCode: 500, faultString: "Invalid login" });
+      const summary = CampaignTrace.print(trace.filepath);
+      expect(summary).to.include({ calls: 1, errors: 1 });
+      expect(consoleLogStub.calledWith(sinon.match(/#1 .*xtk:session#Logon.*Invalid login/))).to.be.true;
+      expect(consoleLogStub.calledWith(sinon.match(/request/))).to.be.false;
+    });
+
+    it("should print the bodies with full", function () {
+      const soapCall = { urn: "xtk:session", methodName: "Logon", request: {} };
+      observer.onSOAPCall(soapCall, "<Logon/>");
+      observer.onSOAPCallSuccess(soapCall, "<LogonResponse/>");
+      CampaignTrace.print(trace.filepath, { full: true });
+      expect(consoleLogStub.calledWith(sinon.match(/<LogonResponse\/>/))).to.be.true;
+    });
+
+    it("should print through the given logger", function () {
+      const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() };
+      const soapCall = { urn: "xtk:session", methodName: "Logon", request: {} };
+      observer.onSOAPCall(soapCall, "<Logon/>");
+      observer.onSOAPCallSuccess(soapCall, "<LogonResponse/>");
+      CampaignTrace.print(trace.filepath, { logger });
+      expect(logger.info.calledWith(sinon.match(/1 call\(s\), 0 error\(s\)/))).to.be.true;
+      expect(consoleLogStub.called).to.be.false;
+    });
+
+    it("should throw CampaignError for a file which isn't a trace", function () {
+      fs.outputFileSync(`${testDir}/other.txt`, "not json");
+      expect(() => CampaignTrace.print(`${testDir}/other.txt`)).to.throw(CampaignError);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import readline from "node:readline";
+import CampaignVault from "../src/CampaignVault.js";
+import CampaignError from "../src/CampaignError.js";
+
+describe("CampaignVault", function () {
+  let store, mockConfig, vault, getPassphrase;
+
+  beforeEach(function () {
+    // Mock Configstore backed by a plain object
+    store = {};
+    mockConfig = {
+      get: sinon.stub().callsFake((key) => store[key]),
+      set: sinon.stub().callsFake((key, value) => {
+        store[key] = value;
+      }),
+    };
+    getPassphrase = sinon.stub().resolves("correct horse");
+    vault = new CampaignVault(mockConfig, { getPassphrase });
+  });
+
+  describe("constructor", function () {
+    it("should throw CampaignError when config is missing", function () {
+      expect(() => new CampaignVault(null)).to.throw(CampaignError);
+    });
+  });
+
+  describe("encrypt", function () {
+    it("should create the vault metadata on first use", async function () {
+      await vault.encrypt({ password: "admin" });
+      expect(getPassphrase.calledOnceWith({ create: true })).to.be.true;
+      expect(store.vault).to.include({ kdf: "scrypt" });
+      expect(store.vault.salt).to.be.a("string");
+      expect(store.vault.check).to.have.keys("iv", "tag", "data");
+    });
+
+    it("should not store secrets in plain text", async function () {
+      const encrypted = await vault.encrypt({ password: "admin" });
+      expect(JSON.stringify(encrypted)).to.not.include("admin");
+    });
+
+    it("should ask for the passphrase only once", async function () {
+      await vault.encrypt({ password: "admin" });
+      await vault.encrypt({ password: "other" });
+      expect(getPassphrase.calledOnce).to.be.true;
+    });
+  });
+
+  describe("decrypt", function () {
+    it("should decrypt secrets with the same passphrase", async function () {
+      const encrypted = await vault.encrypt({ password: "admin" });
+      const otherVault = new CampaignVault(mockConfig, { getPassphrase });
+      expect(await otherVault.decrypt(encrypted)).to.deep.equal({
+        password: "admin",
+      });
+      expect(getPassphrase.secondCall.args[0]).to.deep.equal({ create: false });
+    });
+
+    it("should throw CampaignError with a wrong passphrase", async function () {
+      const encrypted = await vault.encrypt({ password: "admin" });
+      const otherVault = new CampaignVault(mockConfig, {
+        getPassphrase: sinon.stub().resolves("wrong"),
+      });
+      try {
+        await otherVault.decrypt(encrypted);
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("Wrong vault passphrase");
+      }
+    });
+
+    it("should throw CampaignError when the entry was tampered with", async function () {
+      const encrypted = await vault.encrypt({ password: "admin" });
+      encrypted.data = Buffer.from("tampered").toString("base64");
+      try {
+        await vault.decrypt(encrypted);
+        expect.fail("Should have thrown CampaignError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(CampaignError);
+        expect(err.message).to.include("corrupted");
+      }
+    });
+  });
+
+  describe("passphrase", function () {
+    const envPassphrase = process.env.ACC_VAULT_PASSPHRASE;
+
+    afterEach(function () {
+      if (envPassphrase === undefined) {
+        delete process.env.ACC_VAULT_PASSPHRASE;
+      } else {
+        process.env.ACC_VAULT_PASSPHRASE = envPassphrase;
+      }
+    });
+
+    it("should read the passphrase from ACC_VAULT_PASSPHRASE", async function () {
+      process.env.ACC_VAULT_PASSPHRASE = "from env";
+      const envVault = new CampaignVault(mockConfig);
+      const encrypted = await envVault.encrypt({ password: "admin" });
+      const otherVault = new CampaignVault(mockConfig, {
+        getPassphrase: sinon.stub().resolves("from env"),
+      });
+      expect(await otherVault.decrypt(encrypted)).to.deep.equal({
+        password: "admin",
+      });
+    });
+
+    it("should prompt for the passphrase on stderr", async function () {
+      delete process.env.ACC_VAULT_PASSPHRASE;
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = true;
+      let output;
+      const createInterface = sinon.stub(readline, "createInterface").callsFake((options) => {
+        output = options.output;
+        return {
+          question: (query, callback) => {
+            // readline echoes the typed characters to its output
+            output.write("typed");
+            callback("typed");
+          },
+          close: sinon.stub(),
+        };
+      });
+      const stderrWrite = sinon.stub(process.stderr, "write");
+      const stdoutWrite = sinon.spy(process.stdout, "write");
+      try {
+        await new CampaignVault(mockConfig).encrypt({ password: "admin" });
+      } finally {
+        stderrWrite.restore();
+        stdoutWrite.restore();
+        createInterface.restore();
+        process.stdin.isTTY = isTTY;
+      }
+
+      expect(createInterface.firstCall.args[0]).to.include({ input: process.stdin, terminal: true });
+      expect(output).to.not.equal(process.stderr).and.not.equal(process.stdout);
+      expect(stderrWrite).to.have.been.calledWith("🔑 New vault passphrase: ");
+      expect(stderrWrite).to.have.been.calledWith("🔑 Confirm passphrase: ");
+      expect(stderrWrite).to.not.have.been.calledWith("typed");
+      expect(stdoutWrite).to.not.have.been.called;
+    });
+  });
+});
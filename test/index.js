@@ -7,6 +7,18 @@ global.expect = chai.expect;
 
 // Import all test files
 import "./CampaignError.spec.js";
+import "./CampaignLogger.spec.js";
 import "./CampaignAuth.spec.js";
+import "./CampaignVault.spec.js";
+import "./CampaignConfig.spec.js";
+import "./CampaignManifest.spec.js";
 import "./CampaignInstance.spec.js";
+import "./CampaignCompare.spec.js";
+import "./CampaignTrace.spec.js";
+import "./CampaignMock.spec.js";
+import "./CampaignOutput.spec.js";
+import "./CampaignGit.spec.js";
+import "./CampaignPackage.spec.js";
+import "./CampaignDocs.spec.js";
+import "./CampaignLint.spec.js";
 import "./main.spec.js";
\ No newline at end of file